@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+/**
+ * L-Banner Creative Linter
+ * 
+ * Command line front end for VSATParser, for checking creatives outside the
+ * browser (e.g. at upload time). For every XML file it:
+ * 1. Validates the document (VSATParser.validate)
+ * 2. Parses it into the banner configuration the player would render (VSATParser.parseVSAT)
+ * 3. Prints the configuration, errors and warnings
+ * 
+ * XML is parsed with @xmldom/xmldom as VSATParser's XML backend.
+ * 
+ * Usage: lbanner-lint [--json] [--quiet] [--verbose] <file.xml> [...]
+ * 
+ * Exit codes:
+ * - 0: all files are valid (warnings allowed)
+ * - 1: at least one file has errors or could not be read
+ * - 2: invalid usage
+ */
+
+import { readFileSync } from "fs";
+import { DOMParser } from "@xmldom/xmldom";
+import VSATParser from "../vsat-parser.js";
+
+const USAGE = `Usage: lbanner-lint [options] <file.xml> [...]
+
+Options:
+  --json      Print one JSON report per run instead of text
+  --quiet     Do not print parsed configurations
+  --verbose   Forward parser logs to stderr
+  -h, --help  Show this help`;
+
+/**
+ * xmldom backend that rejects recoverable errors (e.g. unknown entities) too,
+ * so malformed XML is reported instead of half-parsed
+ */
+VSATParser.setXMLBackend({
+  parseFromString(xmlText, mimeType) {
+    let problem = null;
+    const parser = new DOMParser({
+      onError(level, message) {
+        if (level !== "warning" && !problem) problem = message.trim();
+      },
+    });
+    const xmlDoc = parser.parseFromString(xmlText, mimeType);
+    if (problem) throw new Error(problem);
+    return xmlDoc;
+  },
+});
+
+/**
+ * Run a function with parser console output silenced or sent to stderr
+ * The parser logs progress to the console, which would mix with the report on stdout
+ * @param {boolean} verbose - Forward logs to stderr instead of dropping them
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+function withParserLogs(verbose, fn) {
+  const { log, warn, error } = console;
+  const sink = verbose ? (...args) => error(...args) : () => {};
+  console.log = sink;
+  console.warn = sink;
+  console.error = sink;
+  try {
+    return fn();
+  } finally {
+    Object.assign(console, { log, warn, error });
+  }
+}
+
+/**
+ * Lint a single creative file
+ * @param {string} file - Path to the VAST XML file
+ * @param {boolean} verbose - Forward parser logs to stderr
+ * @returns {Object} { file, valid, banner, errors, warnings }
+ */
+function lintFile(file, verbose) {
+  let xmlText;
+  try {
+    xmlText = readFileSync(file, "utf-8");
+  } catch (err) {
+    return { file, valid: false, banner: null, errors: [{ path: "/", message: `Cannot read file: ${err.message}` }], warnings: [] };
+  }
+
+  return withParserLogs(verbose, () => {
+    const { errors, warnings } = VSATParser.validate(xmlText);
+    const banner = VSATParser.parseVSAT(xmlText);
+    if (!banner && errors.length === 0) {
+      // e.g. Wrapper ads, which only parse after their VASTAdTagURI is resolved
+      warnings.push({ path: "/", message: `No banner parsed (VAST error ${VSATParser.lastErrorCode})` });
+    }
+    return { file, valid: errors.length === 0, banner, errors, warnings };
+  });
+}
+
+/**
+ * Print a lint report as text
+ * @param {Object} report - Result of lintFile
+ * @param {boolean} quiet - Omit the parsed configuration
+ */
+function printReport(report, quiet) {
+  console.log(report.file);
+  if (!quiet && report.banner) {
+    const json = JSON.stringify(report.banner, null, 2).replace(/\n/g, "\n  ");
+    console.log(`  ${json}`);
+  }
+  report.errors.forEach(({ path, message }) => console.log(`  error    ${path}: ${message}`));
+  report.warnings.forEach(({ path, message }) => console.log(`  warning  ${path}: ${message}`));
+  const summary = `${report.errors.length} error(s), ${report.warnings.length} warning(s)`;
+  console.log(`  ${report.valid ? "OK" : "FAILED"} - ${summary}\n`);
+}
+
+const args = process.argv.slice(2);
+const flags = new Set(args.filter((arg) => arg.startsWith("-")));
+const files = args.filter((arg) => !arg.startsWith("-"));
+const unknown = [...flags].filter((flag) => !["--json", "--quiet", "--verbose", "-h", "--help"].includes(flag));
+
+if (flags.has("-h") || flags.has("--help")) {
+  console.log(USAGE);
+  process.exit(0);
+}
+if (unknown.length > 0 || files.length === 0) {
+  if (unknown.length > 0) console.error(`Unknown option: ${unknown.join(", ")}`);
+  console.error(USAGE);
+  process.exit(2);
+}
+
+const reports = files.map((file) => lintFile(file, flags.has("--verbose")));
+if (flags.has("--json")) {
+  const output = flags.has("--quiet") ? reports.map(({ banner, ...rest }) => rest) : reports;
+  console.log(JSON.stringify(output, null, 2));
+} else {
+  reports.forEach((report) => printReport(report, flags.has("--quiet")));
+}
+
+process.exit(reports.every((report) => report.valid) ? 0 : 1);
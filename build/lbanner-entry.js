@@ -3,8 +3,8 @@
  * 
  * This is the main entry point for the bundled L-Banner player.
  * It:
- * 1. Imports all required modules (VSAT parser, analytics, main, styles)
- * 2. Loads external dependencies (Shaka Player, Bootstrap) from CDN
+ * 1. Imports all required modules (VSAT parser, VAST macros/tracker/errors, consent, tracking, viewability, frequency caps, storage, player adapters, events, renderer, analytics, main, styles)
+ * 2. Loads the video player library the chosen adapter needs (Shaka Player, hls.js or video.js) and Bootstrap from CDN
  * 3. Creates the public LBannerPlayer API wrapper
  * 
  * The LBannerPlayer.init() method ensures proper initialization order:
@@ -14,6 +14,18 @@
  */
 
 import "../vsat-parser";
+import "../vast-macros";
+import "../vast-tracker";
+import "../vast-errors";
+import "../lbanner-consent";
+import "../lbanner-tracking";
+import "../lbanner-viewability";
+import "../lbanner-frequency";
+import "../lbanner-storage";
+import "../lbanner-players";
+import "../lbanner-events";
+import "../lbanner-timing";
+import "../lbanner-renderer";
 import "../analytics";
 import "../main";
 import "../styles.css";
@@ -57,6 +69,56 @@ function loadShakaPlayer() {
     });
 }
 
+/**
+ * Load a script from CDN
+ * 
+ * Returns immediately if the global the script defines already exists.
+ * 
+ * @param {string} src - Script URL
+ * @param {string} globalName - Window property defined by the script
+ * @returns {Promise<void>} Resolves when the script is loaded
+ * @throws {Error} If script loading fails
+ */
+function loadScript(src, globalName) {
+    return new Promise((resolve, reject) => {
+        if (window[globalName]) {
+            resolve();
+            return;
+        }
+
+        const script = document.createElement("script");
+        script.src = src;
+        script.onload = resolve;
+        script.onerror = reject;
+        document.head.appendChild(script);
+    });
+}
+
+/**
+ * Load video.js library and CSS from CDN
+ * 
+ * @returns {Promise<void>} Resolves when video.js is loaded
+ * @throws {Error} If script loading fails
+ */
+function loadVideoJs() {
+    if (!window.videojs) {
+        const cssLink = document.createElement("link");
+        cssLink.rel = "stylesheet";
+        cssLink.href = "https://cdn.jsdelivr.net/npm/video.js@8.17.4/dist/video-js.min.css";
+        document.head.appendChild(cssLink);
+    }
+    return loadScript("https://cdn.jsdelivr.net/npm/video.js@8.17.4/dist/video.min.js", "videojs");
+}
+
+/**
+ * Loaders of the video player libraries, keyed by LBannerPlayers.getLibrary() result
+ */
+const PLAYER_LIBRARY_LOADERS = {
+    shaka: loadShakaPlayer,
+    hls: () => loadScript("https://cdn.jsdelivr.net/npm/hls.js@1.5.17/dist/hls.min.js", "Hls"),
+    videojs: loadVideoJs,
+};
+
 /**
  * Load Bootstrap JavaScript library from CDN
  * 
@@ -88,7 +150,7 @@ function loadBootstrap() {
  * 
  * Creates the public API object immediately so it's available before modules load.
  * The init() method ensures proper initialization order by:
- * 1. Loading external dependencies (Shaka Player, Bootstrap)
+ * 1. Loading external dependencies (video player library, Bootstrap)
  * 2. Waiting for internal modules (initLBanner) to be available
  * 3. Calling the underlying initialization function
  * 
@@ -101,24 +163,39 @@ function loadBootstrap() {
      */
     global.LBannerPlayer = {
         /**
-         * Initialize L-Banner Player system
+         * Initialize an L-Banner player
          * 
          * Main public API method. Loads dependencies, waits for modules,
-         * and initializes the entire L-Banner system.
+         * and initializes a player in its container. Call it once per
+         * container to run several players on one page.
          * 
          * @param {Object} [options={}] - Initialization options
          * @param {string} options.apiKey - API key for ad server (required)
          * @param {string} options.vastUrl - VAST XML URL to fetch banners from (required)
          * @param {string} [options.videoUrl] - Optional video URL override
          * @param {string} [options.adEndpoint] - Optional ad endpoint for analytics
-         * @param {string} [options.container_id] - Optional container ID
+         * @param {string} [options.container_id] - Optional container ID (one player per container)
+         * @param {string} [options.namespace] - Storage namespace of the player (defaults to container_id)
+         * @param {string|Object} [options.player] - Video player: "shaka" (default), "native", "hls", "videojs",
+         *   { type, instance } to use an existing library player, or a custom adapter (see LBannerPlayers)
+         * @param {boolean} [options.bootstrap] - Load Bootstrap (defaults to true for the Shaka player only)
          * @param {boolean} [options.enableCookieTracking] - Enable/disable cookie tracking
          * @param {boolean} [options.showBannersOnPause] - Show banners when paused
-         * @returns {Promise<Object>} Object with banners and player instance
+         * @param {number} [options.maxWrapperDepth] - Maximum number of VAST Wrapper hops to follow
+         * @param {number} [options.wrapperTimeout] - Timeout in milliseconds for each VAST request
+         * @param {Object} [options.macros] - Custom VAST macros: name -> value or function(context)
+         * @param {boolean} [options.strict] - Refuse creatives that have validation errors
+         * @param {Object} [options.tracking] - First-party event tracking: { endpoint, batchSize, flushInterval, maxQueueSize }
+         * @param {Object} [options.frequencyCap] - Frequency caps for every banner: { suppressAfterClick, limits }
+         * @param {Object|string} [options.storage] - Interaction state backend: "cookie", "localStorage", "indexedDB", "memory" or { type, key, maxAgeDays, maxEntries }
+         * @param {Object} [options.consent] - Explicit consent: { gdprApplies, tcString, purposes, usPrivacy, gppString, gppSid }
+         * @param {number} [options.cmpTimeout] - Milliseconds to wait for the page's CMP
+         * @param {Object} [options.on] - Event handlers registered before initialization: event name -> function
+         * @returns {Promise<Object>} Player instance with its namespace, config, banners, library player, adapter, root element, on/off/once, destroy() and reload()
          * @throws {Error} If apiKey/vastUrl missing or initialization fails
          */
         async init(options = {}) {
-            const { apiKey, vastUrl, ...rest } = options;
+            const { apiKey, vastUrl, bootstrap, ...rest } = options;
             if (!apiKey || !vastUrl) {
                 throw new Error("apiKey and vastUrl are required");
             }
@@ -127,11 +204,15 @@ function loadBootstrap() {
 
             /**
              * Load external dependencies first
-             * Shaka Player and Bootstrap are loaded in parallel for efficiency
+             * Only the library of the chosen player is loaded (none for native video or
+             * an existing player instance). Bootstrap stays on by default for the Shaka
+             * player, which always loaded it. Both are loaded in parallel for efficiency
              */
+            const library = global.LBannerPlayers.getLibrary(rest.player);
+            const loadBootstrapLibrary = bootstrap !== undefined ? bootstrap : library === "shaka";
             await Promise.all([
-                loadShakaPlayer(),
-                loadBootstrap(),
+                library ? PLAYER_LIBRARY_LOADERS[library]() : null,
+                loadBootstrapLibrary ? loadBootstrap() : null,
             ]);
 
             /**
@@ -159,6 +240,35 @@ function loadBootstrap() {
                 url: vastUrl,
                 ...rest,
             });
+        },
+
+        /**
+         * Destroy players and release everything they hold
+         * Listeners, timers, banner DOM, preload links and the video player are released;
+         * the container can then be initialized again (e.g. with a new VAST URL)
+         *
+         * @param {Object|string} [target] - Player instance returned by init(), namespace or container id;
+         *   every player when omitted
+         * @returns {Promise<number>} Number of players destroyed
+         */
+        async destroy(target) {
+            if (!global.destroyLBanner) {
+                throw new Error("destroyLBanner not available. The bundle may not have loaded correctly.");
+            }
+            return global.destroyLBanner(target);
+        },
+
+        /**
+         * Update consent mid-session (e.g. from the host's own consent banner)
+         * Replaces any consent read from the CMP
+         *
+         * @param {Object} consent - { gdprApplies, tcString, purposes, usPrivacy, gppString, gppSid }
+         */
+        setConsent(consent) {
+            if (!global.LBannerConsent) {
+                throw new Error("LBannerConsent not available. The bundle may not have loaded correctly.");
+            }
+            global.LBannerConsent.set(consent);
         }
     };
 
@@ -0,0 +1,409 @@
+/**
+ * L-Banner Consent Module
+ *
+ * Reads the visitor's privacy choices and decides what the player may do:
+ * - storage: write banner interaction state (cookie/localStorage/IndexedDB)
+ *   and persist the offline tracking queue
+ * - firstPartyTracking: send events to the LBannerTracking endpoint
+ * - thirdPartyPixels: fire VAST Impression, tracking, click and error pixels
+ *
+ * Consent comes from an explicit object passed to init() or set(), or from
+ * the consent management platform (CMP) on the page:
+ * - IAB TCF v2 (__tcfapi): gdprApplies, TC string and purpose consents
+ * - IAB GPP (__gpp): GPP string, applicable sections, parsed tcfeuv2 and US sections
+ * - IAB US Privacy (__uspapi): the "1YNN" string; opting out of sale blocks third-party pixels
+ *
+ * Where GDPR applies, each use needs consent for its TCF purposes (see PURPOSES).
+ * While a CMP is present but has not answered, nothing is allowed. Without a
+ * CMP and without explicit consent, everything is allowed (hosts that manage
+ * consent themselves keep using enableCookieTracking).
+ *
+ * Changes reported by the CMP (or set()) dispatch "lbanner-consent-changed" on window.
+ */
+
+const LBannerConsent = {
+    /**
+     * TCF purposes each use needs consent for when GDPR applies
+     * - 1: Store and/or access information on a device
+     * - 7: Measure advertising performance
+     */
+    PURPOSES: {
+        storage: [1],
+        firstPartyTracking: [7],
+        thirdPartyPixels: [1, 7],
+    },
+
+    /**
+     * GPP section ids of US state and national privacy sections
+     */
+    GPP_US_SECTIONS: ["usnat", "usca", "usva", "usco", "usut", "usct"],
+
+    /**
+     * Milliseconds init() waits for a CMP before resolving
+     */
+    TIMEOUT_MS: 1000,
+
+    /**
+     * Current consent
+     * - status: "none" (no CMP, no explicit consent), "pending" (CMP not answered) or "ready"
+     * - source: Signals the state was built from ("explicit", "tcf", "gpp", "usp")
+     * - gdprApplies: true/false, or null if unknown
+     * - tcString: TCF consent string
+     * - purposeConsents: TCF purpose id -> consented
+     * - usPrivacy: US Privacy string (e.g. "1YNN")
+     * - usOptOut: Visitor opted out of sale/sharing under US law
+     * - gppString / gppSid: GPP string and applicable section ids
+     */
+    state: {
+        status: "none",
+        source: [],
+        gdprApplies: null,
+        tcString: null,
+        purposeConsents: {},
+        usPrivacy: null,
+        usOptOut: false,
+        gppString: null,
+        gppSid: [],
+    },
+
+    /**
+     * CMP signals that have not answered yet ("tcf", "gpp", "usp")
+     */
+    awaiting: new Set(),
+
+    /**
+     * Functions removing the CMP listeners registered by init()
+     */
+    detachers: [],
+
+    /**
+     * TCF purposes per use in effect (PURPOSES with init() overrides)
+     */
+    purposes: null,
+
+    /**
+     * Promise returned by the first init(), shared by later calls
+     */
+    initialized: null,
+
+    /**
+     * Last consent passed to set() (serialized), or null if consent came from a CMP
+     */
+    explicitConsent: null,
+
+    /**
+     * Read consent
+     *
+     * With options.consent the CMPs are not queried. Otherwise TCF, GPP and
+     * US Privacy are queried and TCF/GPP changes are followed for the rest
+     * of the session.
+     *
+     * Consent is shared by every player on the page, so only the first call
+     * reads it. Later calls (one per additional player) wait for the consent
+     * the first call is reading. They may repeat its consent and purposes, but
+     * never change them: consent changes go through set().
+     *
+     * @param {Object} [options={}] - Consent options
+     * @param {Object} [options.consent] - Explicit consent (see set())
+     * @param {Object} [options.purposes] - Overrides of PURPOSES
+     * @param {number} [options.timeout] - Milliseconds to wait for a CMP (default TIMEOUT_MS)
+     * @returns {Promise<Object>} Consent state once known, or pending after the timeout
+     * @throws {Error} If a later call passes consent or purposes other than those in effect
+     */
+    init(options = {}) {
+        if (this.initialized) {
+            this.assertShared(options);
+            return this.initialized;
+        }
+        this.initialized = this.read(options);
+        return this.initialized;
+    },
+
+    /**
+     * Check that a later init() agrees with the consent in effect
+     *
+     * @param {Object} options - Options of init()
+     * @throws {Error} If options.consent or options.purposes differ from the page's
+     */
+    assertShared(options) {
+        if (options.consent && JSON.stringify(options.consent) !== this.explicitConsent) {
+            throw new Error("[LBannerConsent] Consent is shared by every player on the page - change it with set(), not per player");
+        }
+        Object.entries(options.purposes || {}).forEach(([use, ids]) => {
+            if (JSON.stringify(ids) !== JSON.stringify(this.purposes[use])) {
+                throw new Error(`[LBannerConsent] TCF purposes are shared by every player on the page - '${use}' already needs ${JSON.stringify(this.purposes[use])}`);
+            }
+        });
+    },
+
+    /**
+     * Read consent for the first time (see init())
+     *
+     * @param {Object} options - Options of init()
+     * @returns {Promise<Object>} Consent state once known, or pending after the timeout
+     */
+    read(options) {
+        this.detach();
+        this.awaiting = new Set();
+        this.purposes = { ...this.PURPOSES, ...(options.purposes || {}) };
+
+        if (options.consent) {
+            this.set(options.consent);
+            return Promise.resolve(this.state);
+        }
+
+        const hasTCF = typeof window.__tcfapi === "function";
+        const hasGPP = typeof window.__gpp === "function";
+        const hasUSP = typeof window.__uspapi === "function";
+        if (!hasTCF && !hasGPP && !hasUSP) {
+            console.log("[LBannerConsent] No CMP found - storage and tracking are not consent-gated");
+            this.apply({ status: "none", source: [] });
+            return Promise.resolve(this.state);
+        }
+
+        this.awaiting = new Set([hasTCF && "tcf", hasGPP && "gpp", hasUSP && "usp"].filter(Boolean));
+        this.apply({ status: "pending", source: [] });
+        console.log("[LBannerConsent] Waiting for CMP:", [...this.awaiting]);
+
+        return new Promise((resolve) => {
+            const timer = setTimeout(() => {
+                console.warn("[LBannerConsent] CMP did not answer in time - consent stays pending");
+                resolve(this.state);
+            }, options.timeout ?? this.TIMEOUT_MS);
+            const done = () => {
+                if (this.state.status !== "ready") return;
+                clearTimeout(timer);
+                resolve(this.state);
+            };
+            if (hasTCF) this.listenTCF(done);
+            if (hasGPP) this.listenGPP(done);
+            if (hasUSP) this.readUSP(done);
+        });
+    },
+
+    /**
+     * Set consent explicitly (e.g. from the host's own consent banner)
+     *
+     * @param {Object} consent - Consent signals
+     * @param {boolean} [consent.gdprApplies] - Whether GDPR applies to the visitor
+     * @param {string} [consent.tcString] - TCF consent string, passed to [GDPRCONSENT]
+     * @param {Array<number>|Object} [consent.purposes] - Consented TCF purpose ids, or map of id -> boolean
+     * @param {string} [consent.usPrivacy] - US Privacy string (e.g. "1YNN")
+     * @param {string} [consent.gppString] - GPP string
+     * @param {Array<number>|string} [consent.gppSid] - GPP applicable section ids
+     */
+    set(consent) {
+        const purposes = Array.isArray(consent.purposes)
+            ? Object.fromEntries(consent.purposes.map((id) => [id, true]))
+            : { ...(consent.purposes || {}) };
+        this.explicitConsent = JSON.stringify(consent);
+        this.apply({
+            status: "ready",
+            source: ["explicit"],
+            gdprApplies: typeof consent.gdprApplies === "boolean" ? consent.gdprApplies : null,
+            tcString: consent.tcString || null,
+            purposeConsents: purposes,
+            usPrivacy: consent.usPrivacy || null,
+            usOptOut: this.isUSPOptOut(consent.usPrivacy),
+            gppString: consent.gppString || null,
+            gppSid: this.parseSid(consent.gppSid),
+        });
+    },
+
+    /**
+     * Whether the current consent allows a use
+     *
+     * @param {string} use - "storage", "firstPartyTracking" or "thirdPartyPixels"
+     * @returns {boolean} True if allowed
+     */
+    allows(use) {
+        const { status, gdprApplies, purposeConsents, usOptOut } = this.state;
+        if (status === "none") return true;
+        if (status === "pending") return false;
+        if (use === "thirdPartyPixels" && usOptOut) return false;
+        if (gdprApplies !== true) return true;
+        const required = (this.purposes || this.PURPOSES)[use] || [];
+        return required.every((id) => purposeConsents[id] === true);
+    },
+
+    /**
+     * Consent values for VAST macros ([GDPR], [GDPRCONSENT], [US_PRIVACY], [GPP_STRING], [GPP_SID])
+     *
+     * @returns {Object} Macro context { gdpr, gdprConsent, usPrivacy, gppString, gppSid }
+     */
+    getMacroContext() {
+        const { gdprApplies, tcString, usPrivacy, gppString, gppSid } = this.state;
+        return {
+            gdpr: gdprApplies === null ? undefined : gdprApplies ? 1 : 0,
+            gdprConsent: tcString || undefined,
+            usPrivacy: usPrivacy || undefined,
+            gppString: gppString || undefined,
+            gppSid: gppSid.length ? gppSid.join(",") : undefined,
+        };
+    },
+
+    /**
+     * Follow TCF consent through __tcfapi addEventListener
+     *
+     * @param {Function} onReady - Called whenever TCF consent is received
+     */
+    listenTCF(onReady) {
+        let listenerId = null;
+        const callback = (tcData, success) => {
+            if (!success || !tcData) return;
+            listenerId = tcData.listenerId ?? listenerId;
+            // "cmpuishown" means the visitor is still deciding
+            if (tcData.gdprApplies !== false && !["tcloaded", "useractioncomplete"].includes(tcData.eventStatus)) {
+                return;
+            }
+            this.received("tcf", {
+                gdprApplies: tcData.gdprApplies !== false,
+                tcString: tcData.tcString || null,
+                purposeConsents: { ...(tcData.purpose?.consents || {}) },
+            });
+            onReady();
+        };
+        window.__tcfapi("addEventListener", 2, callback);
+        this.detachers.push(() => {
+            if (listenerId !== null) window.__tcfapi("removeEventListener", 2, () => { }, listenerId);
+        });
+    },
+
+    /**
+     * Follow GPP signals through __gpp addEventListener
+     *
+     * @param {Function} onReady - Called whenever a ready GPP signal is received
+     */
+    listenGPP(onReady) {
+        let listenerId = null;
+        const callback = (event, success) => {
+            if (!success || !event) return;
+            listenerId = event.listenerId ?? listenerId;
+            const ping = event.pingData || event;
+            if (ping.signalStatus !== "ready") return;
+
+            const sections = ping.parsedSections || {};
+            const section = (name) => (Array.isArray(sections[name]) ? sections[name][0] : sections[name]) || null;
+            const update = {
+                gppString: ping.gppString || null,
+                gppSid: this.parseSid(ping.applicableSections),
+                usOptOut: this.GPP_US_SECTIONS.some((name) => {
+                    const us = section(name);
+                    // 1 = opted out, 2 = did not opt out, 0 = not applicable
+                    return !!us && [us.SaleOptOut, us.SharingOptOut, us.TargetedAdvertisingOptOut].includes(1);
+                }),
+            };
+            // TCF is authoritative for GDPR when the page also exposes __tcfapi
+            const tcfeu = section("tcfeuv2");
+            if (tcfeu && !this.state.source.includes("tcf")) {
+                update.gdprApplies = update.gppSid.includes(2);
+                update.purposeConsents = Object.fromEntries(
+                    (tcfeu.PurposeConsent || tcfeu.PurposeConsents || []).map((consented, index) => [index + 1, !!consented])
+                );
+            }
+            this.received("gpp", update);
+            onReady();
+        };
+        window.__gpp("addEventListener", callback);
+        this.detachers.push(() => {
+            if (listenerId !== null) window.__gpp("removeEventListener", () => { }, listenerId);
+        });
+    },
+
+    /**
+     * Read the US Privacy string through __uspapi (it has no change events)
+     *
+     * @param {Function} onReady - Called once the string is known
+     */
+    readUSP(onReady) {
+        window.__uspapi("getUSPData", 1, (uspData, success) => {
+            if (!success || !uspData) return;
+            this.received("usp", {
+                usPrivacy: uspData.uspString || null,
+                usOptOut: this.state.usOptOut || this.isUSPOptOut(uspData.uspString),
+            });
+            onReady();
+        });
+    },
+
+    /**
+     * Whether a US Privacy string opts out of sale ("1YYN": third character Y)
+     *
+     * @param {string|null} uspString - US Privacy string
+     * @returns {boolean} True if opted out
+     */
+    isUSPOptOut(uspString) {
+        return typeof uspString === "string" && uspString.charAt(2).toUpperCase() === "Y";
+    },
+
+    /**
+     * Normalize GPP section ids
+     *
+     * @param {Array<number>|string|number|null} sid - Ids as array or comma-separated string
+     * @returns {Array<number>} Section ids, without the "no section" values -1 and 0
+     */
+    parseSid(sid) {
+        const list = Array.isArray(sid) ? sid : String(sid ?? "").split(",");
+        return list.map((id) => parseInt(id, 10)).filter((id) => id > 0);
+    },
+
+    /**
+     * Merge a CMP answer into the state
+     * Consent is ready once every CMP found by init() has answered
+     *
+     * @param {string} source - "tcf", "gpp" or "usp"
+     * @param {Object} update - Changed state fields
+     */
+    received(source, update) {
+        this.awaiting.delete(source);
+        this.apply({
+            ...update,
+            status: this.awaiting.size > 0 ? "pending" : "ready",
+            source: this.state.source.includes(source) ? this.state.source : this.state.source.concat(source),
+        });
+    },
+
+    /**
+     * Merge an update into the state and announce the change
+     *
+     * @param {Object} update - Changed state fields
+     */
+    apply(update) {
+        const previous = JSON.stringify(this.state);
+        this.state = { ...this.state, ...update };
+        if (JSON.stringify(this.state) === previous) return;
+
+        console.log("[LBannerConsent] Consent updated:", {
+            status: this.state.status,
+            source: this.state.source,
+            storage: this.allows("storage"),
+            firstPartyTracking: this.allows("firstPartyTracking"),
+            thirdPartyPixels: this.allows("thirdPartyPixels"),
+        });
+        if (typeof window !== "undefined" && window.dispatchEvent) {
+            window.dispatchEvent(new CustomEvent("lbanner-consent-changed", { detail: this.state }));
+        }
+    },
+
+    /**
+     * Remove CMP listeners
+     */
+    detach() {
+        this.detachers.forEach((detach) => {
+            try {
+                detach();
+            } catch (err) {
+                console.warn("[LBannerConsent] Could not remove CMP listener:", err);
+            }
+        });
+        this.detachers = [];
+    },
+};
+
+/**
+ * Export LBannerConsent globally for use in other modules
+ * Makes consent checks available on window object for main.js, analytics.js and the trackers
+ */
+if (typeof window !== "undefined") {
+    window.LBannerConsent = LBannerConsent;
+}
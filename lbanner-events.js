@@ -0,0 +1,147 @@
+/**
+ * L-Banner Events Module
+ *
+ * Lifecycle events of a player, subscribed with player.on/off/once (or the
+ * `on` init option for events raised while the player initializes).
+ *
+ * Every payload carries:
+ * - type: Event name
+ * - namespace: Namespace of the player
+ * - timestamp: Milliseconds since the epoch
+ * - videoTime: Playback position in seconds (null before the video player is connected)
+ *
+ * Events and their own payload fields:
+ * - vastLoaded: url (null for VAST XML passed directly), bannerIds
+ * - vastError: url, code (VAST error code), message, error
+ * - bannerScheduled: bannerId, startOffset, endOffset, reason ("vast", "duration" or "api")
+ * - bannerStateChanged: from, to (LBannerTiming states), bannerId (banner on screen, exiting or suppressed), trigger
+ * - bannerWillShow: bannerId, reason ("timeupdate", "pause", "seek-complete", "play-resume", "api")
+ * - bannerShown: bannerId, segmentIds, position, reason
+ * - bannerHidden: bannerId, reason ("timeupdate", "seeking", "play-resume", "replaced", "closed", "removed", "api", "hidden")
+ * - bannerClosed: bannerId
+ * - buttonClicked: bannerId, segmentId, elementId, kind ("button", "legacyButton" or "companion"), label
+ * - pollVoted: bannerId, segmentId, elementId, option
+ * - trackingFired: bannerId, event (VAST event name), url
+ * - error: reason ("playback", "media" or "init"), code, message, error, bannerId when known
+ *
+ * bannerId is the banner's key in the player's banners (its VAST Ad id).
+ */
+
+const LBannerEvents = {
+    /**
+     * Events a player emits
+     */
+    EVENTS: [
+        "vastLoaded",
+        "vastError",
+        "bannerScheduled",
+        "bannerStateChanged",
+        "bannerWillShow",
+        "bannerShown",
+        "bannerHidden",
+        "bannerClosed",
+        "buttonClicked",
+        "pollVoted",
+        "trackingFired",
+        "error",
+    ],
+
+    /**
+     * Create an event emitter
+     *
+     * @returns {Object} Emitter with on(event, handler), off(event, handler), once(event, handler) and emit(event, payload)
+     */
+    create() {
+        const handlers = new Map();
+
+        const checkEvent = (event) => {
+            if (!this.EVENTS.includes(event)) {
+                console.warn(`[LBannerEvents] Unknown event '${event}' (expected ${this.EVENTS.join(", ")})`);
+            }
+        };
+
+        // Each subscription is its own entry, so unsubscribing removes exactly that one
+        const remove = (event, subscription) => {
+            const remaining = (handlers.get(event) || []).filter((entry) => entry !== subscription);
+            if (remaining.length > 0) handlers.set(event, remaining);
+            else handlers.delete(event);
+        };
+
+        const subscribe = (event, handler, once) => {
+            if (typeof handler !== "function") {
+                throw new Error(`[LBannerEvents] Handler for '${event}' must be a function`);
+            }
+            checkEvent(event);
+            const subscription = { handler, once };
+            handlers.set(event, (handlers.get(event) || []).concat(subscription));
+            return () => remove(event, subscription);
+        };
+
+        const emitter = {
+            /**
+             * Subscribe to an event
+             * @param {string} event - Event name (see EVENTS)
+             * @param {Function} handler - Called with the payload
+             * @returns {Function} Unsubscribe function (removes this subscription only)
+             */
+            on: (event, handler) => subscribe(event, handler, false),
+
+            /**
+             * Subscribe to the next occurrence of an event only
+             * @param {string} event - Event name (see EVENTS)
+             * @param {Function} handler - Called with the payload
+             * @returns {Function} Unsubscribe function (removes this subscription only)
+             */
+            once: (event, handler) => subscribe(event, handler, true),
+
+            /**
+             * Unsubscribe a handler, or every handler of the event without one
+             * A handler subscribed several times loses its latest subscription only
+             * @param {string} event - Event name
+             * @param {Function} [handler] - Handler passed to on() or once()
+             */
+            off: (event, handler) => {
+                if (!handler) {
+                    handlers.delete(event);
+                    return;
+                }
+                const latest = (handlers.get(event) || []).filter((entry) => entry.handler === handler).pop();
+                if (latest) remove(event, latest);
+            },
+
+            /**
+             * Call the handlers of an event
+             * A handler that throws never breaks the player or other handlers
+             * @param {string} event - Event name
+             * @param {Object} [payload={}] - Event fields (type and timestamp are added)
+             */
+            emit: (event, payload = {}) => {
+                const entries = handlers.get(event);
+                if (!entries) return;
+                const data = { type: event, timestamp: Date.now(), ...payload };
+                handlers.set(event, entries.filter((entry) => !entry.once));
+                entries.forEach(({ handler }) => {
+                    try {
+                        handler(data);
+                    } catch (error) {
+                        console.error(`[LBannerEvents] Handler for '${event}' failed:`, error);
+                    }
+                });
+            },
+        };
+        return emitter;
+    },
+};
+
+/**
+ * Export LBannerEvents globally for use in other modules
+ * Makes the event emitter available on window object for main.js
+ */
+if (typeof window !== "undefined") {
+    window.LBannerEvents = LBannerEvents;
+}
+
+/**
+ * ES module export for non-browser consumers (e.g. test/lbanner-events.test.js)
+ */
+export default LBannerEvents;
@@ -0,0 +1,185 @@
+/**
+ * L-Banner Frequency Capping Module
+ *
+ * Decides whether a banner may start a new display, based on the per-banner
+ * history kept by ElementCookieStore in analytics.js (see LBannerStorage):
+ * recent impression timestamps, lifetime impression count,
+ * campaign and clicked state.
+ *
+ * Rules come from the banner's <FrequencyCap> (configuration.behavior.frequencyCap)
+ * and from the frequencyCap init option, which applies to every banner:
+ * - Limits: at most N impressions per hour, day or lifetime, counted for the
+ *   banner itself, for all banners of its campaign, or for all banners (global)
+ * - suppressAfterClick: never show a banner again once it was clicked
+ *
+ * A banner's campaign is FrequencyCap@campaign, falling back to its Ad id.
+ */
+
+const LBannerFrequency = {
+    /**
+     * Length of each cap period in milliseconds
+     */
+    PERIOD_MS: {
+        hour: 60 * 60 * 1000,
+        day: 24 * 60 * 60 * 1000,
+        lifetime: Infinity,
+    },
+
+    /**
+     * Rules applied to every banner (frequencyCap init option)
+     * { suppressAfterClick: boolean, limits: [{ scope, impressions, per }] }
+     */
+    defaults: { suppressAfterClick: false, limits: [] },
+
+    /**
+     * Set the rules applied to every banner
+     *
+     * @param {Object} [options={}] - Rules from the frequencyCap init option (see normalize)
+     */
+    configure(options = {}) {
+        this.defaults = this.normalize(options);
+    },
+
+    /**
+     * Validate rules from the frequencyCap init option
+     * Players keep their own normalized rules and pass them to getCapReason()
+     *
+     * @param {Object} [options={}] - Rules from the frequencyCap init option
+     * @param {boolean} [options.suppressAfterClick=false] - Hide banners once clicked
+     * @param {Array<Object>} [options.limits=[]] - Limits: { scope: "banner"|"campaign"|"global", impressions, per: "hour"|"day"|"lifetime" }
+     * @returns {Object} { suppressAfterClick, limits } without invalid limits
+     */
+    normalize(options = {}) {
+        const limits = (options.limits || []).filter((limit) => {
+            const valid =
+                ["banner", "campaign", "global"].includes(limit?.scope || "banner") &&
+                limit?.per in this.PERIOD_MS &&
+                limit?.impressions > 0;
+            if (!valid) console.warn("[LBannerFrequency] Ignoring invalid frequency cap limit:", limit);
+            return valid;
+        });
+        return {
+            suppressAfterClick: !!options.suppressAfterClick,
+            limits: limits.map((limit) => ({ ...limit, scope: limit.scope || "banner" })),
+        };
+    },
+
+    /**
+     * Campaign a banner belongs to
+     *
+     * @param {Object} banner - Parsed banner
+     * @returns {string|null} FrequencyCap@campaign, else the Ad id, else the banner id
+     */
+    getCampaignId(banner) {
+        return banner?.configuration?.behavior?.frequencyCap?.campaignId || banner?.meta?.adId || banner?.meta?.id || null;
+    },
+
+    /**
+     * Rules in effect for a banner: its own FrequencyCap plus the defaults
+     *
+     * @param {Object} banner - Parsed banner
+     * @param {Object} [defaults=this.defaults] - Rules applied to every banner of the player
+     * @returns {Object} { suppressAfterClick, limits }
+     */
+    getRules(banner, defaults = this.defaults) {
+        const own = banner?.configuration?.behavior?.frequencyCap;
+        return {
+            suppressAfterClick: !!(own?.suppressAfterClick || defaults.suppressAfterClick),
+            limits: (own?.limits || []).concat(defaults.limits),
+        };
+    },
+
+    /**
+     * Check whether a banner has reached any of its caps
+     *
+     * @param {Object} banner - Parsed banner
+     * @param {Object} history - Cookie data keyed by banner id ({ impressions, count, campaignId, state })
+     * @param {number} [now=Date.now()] - Current time in milliseconds
+     * @param {Object} [defaults=this.defaults] - Rules applied to every banner of the player
+     * @returns {string|null} Reason the banner is capped (e.g. "banner: 3 per day"), or null if it may show
+     */
+    getCapReason(banner, history = {}, now = Date.now(), defaults = this.defaults) {
+        const bannerId = banner?.meta?.id;
+        if (!bannerId) return null;
+        const rules = this.getRules(banner, defaults);
+
+        if (rules.suppressAfterClick && history[bannerId]?.state === "clicked") {
+            return "clicked";
+        }
+
+        const campaignId = this.getCampaignId(banner);
+        const reached = rules.limits.find((limit) => {
+            const entries = Object.entries(history).filter(([id, entry]) => {
+                if (limit.scope === "global") return true;
+                if (limit.scope === "campaign") return id === bannerId || entry?.campaignId === campaignId;
+                return id === bannerId;
+            });
+            const count = entries.reduce((sum, [, entry]) => sum + this.countImpressions(entry, limit.per, now), 0);
+            return count >= limit.impressions;
+        });
+        return reached ? `${reached.scope}: ${reached.impressions} per ${reached.per}` : null;
+    },
+
+    /**
+     * Check whether a banner may start a new display
+     *
+     * @param {Object} banner - Parsed banner
+     * @param {Object} history - Cookie data keyed by banner id
+     * @param {number} [now=Date.now()] - Current time in milliseconds
+     * @param {Object} [defaults=this.defaults] - Rules applied to every banner of the player
+     * @returns {boolean} True if a cap is reached
+     */
+    isCapped(banner, history, now, defaults) {
+        return this.getCapReason(banner, history, now, defaults) !== null;
+    },
+
+    /**
+     * Impression timestamps an hour or day limit can still count
+     * The storage keeps every impression of the last day (the longest period
+     * counted from timestamps), so limits of any size can be reached
+     *
+     * @param {Array<number>} [timestamps=[]] - Stored impression timestamps of one banner
+     * @param {number} [now=Date.now()] - Current time in milliseconds
+     * @returns {Array<number>} Timestamps within the last day
+     */
+    recentImpressions(timestamps = [], now = Date.now()) {
+        return timestamps.filter((timestamp) => now - timestamp < this.PERIOD_MS.day);
+    },
+
+    /**
+     * Impressions of one history entry within a period
+     *
+     * Lifetime uses the stored count; hour and day use the recent timestamps.
+     * Entries written before frequency capping only have lastShown.
+     *
+     * @param {Object} entry - Cookie entry of one banner
+     * @param {string} per - "hour", "day" or "lifetime"
+     * @param {number} now - Current time in milliseconds
+     * @returns {number} Impression count
+     */
+    countImpressions(entry, per, now) {
+        if (!entry) return 0;
+        const timestamps = Array.isArray(entry.impressions)
+            ? entry.impressions
+            : entry.lastShown
+                ? [entry.lastShown]
+                : [];
+        if (per === "lifetime") {
+            return Math.max(entry.count || 0, timestamps.length);
+        }
+        return timestamps.filter((timestamp) => now - timestamp < this.PERIOD_MS[per]).length;
+    },
+};
+
+/**
+ * Export LBannerFrequency globally for use in other modules
+ * Makes frequency capping available on window object for main.js and analytics.js
+ */
+if (typeof window !== "undefined") {
+    window.LBannerFrequency = LBannerFrequency;
+}
+
+/**
+ * ES module export for non-browser consumers (e.g. test/lbanner-frequency.test.js)
+ */
+export default LBannerFrequency;
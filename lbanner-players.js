@@ -0,0 +1,374 @@
+/**
+ * L-Banner Player Adapter Module
+ *
+ * Connects the banner timing, tracking and rendering to the video player
+ * through one adapter interface, so banners work with several playback libraries:
+ * - shaka: Shaka Player with its UI overlay (default)
+ * - native: a plain <video> element
+ * - hls: hls.js (falls back to native playback where the browser plays HLS itself)
+ * - videojs: video.js
+ *
+ * Every adapter implements the same interface:
+ * {
+ *   type: string,                          // Adapter name
+ *   load(url): Promise<void>,              // Load a video URL
+ *   getCurrentTime(): number,              // Playback position in seconds
+ *   getDuration(): number,                 // Content duration in seconds (NaN/Infinity if unknown)
+ *   isPaused(): boolean,
+ *   isEnded(): boolean,
+ *   isMuted(): boolean,                    // Muted or volume 0
+ *   on(event, handler): Function,          // Subscribe to an event (see EVENTS), returns the unsubscribe function
+ *   getContainer(): HTMLElement,           // Element holding the player, the one its controls put into fullscreen
+ *   getInstance(): Object|null,            // Underlying library player (shaka.Player, Hls, video.js player)
+ *   getErrorType(error): string,           // "network", "format" or "media" for an error passed to "error" handlers
+ *   destroy(): void|Promise<void>          // Release what the adapter created, restore the video element
+ * }
+ *
+ * Adapters wrap an existing library instance when one is passed ({ type, instance });
+ * they never load into or destroy an instance they did not create.
+ */
+
+const LBannerPlayers = {
+    /**
+     * Adapter used when the player option is missing
+     */
+    DEFAULT_TYPE: "shaka",
+
+    /**
+     * Events every adapter emits
+     * Media events carry no payload; "error" handlers receive the library's error
+     */
+    EVENTS: [
+        "timeupdate",
+        "play",
+        "pause",
+        "seeking",
+        "seeked",
+        "ended",
+        "loadedmetadata",
+        "durationchange",
+        "volumechange",
+        "emptied",
+        "error",
+    ],
+
+    /**
+     * Methods a custom adapter must implement (the others get defaults)
+     */
+    REQUIRED_METHODS: ["load", "getCurrentTime", "getDuration", "isPaused", "isEnded", "isMuted", "on", "getContainer"],
+
+    /**
+     * Normalize the player option of initLBanner
+     *
+     * @param {string|Object} [option] - Adapter type, { type, instance } to wrap an existing
+     *   library player, or a custom adapter implementing the interface
+     * @returns {Object} { type, instance, adapter } (instance/adapter null when not given)
+     */
+    resolve(option) {
+        if (!option) return { type: this.DEFAULT_TYPE, instance: null, adapter: null };
+        if (typeof option === "string") return { type: option, instance: null, adapter: null };
+        if (typeof option.on === "function") {
+            return { type: option.type || "custom", instance: null, adapter: option };
+        }
+        return { type: option.type || this.DEFAULT_TYPE, instance: option.instance || null, adapter: null };
+    },
+
+    /**
+     * Playback library the player option needs on the page
+     *
+     * @param {string|Object} [option] - Player option of initLBanner
+     * @returns {string|null} "shaka", "hls" or "videojs", or null if nothing has to be loaded
+     */
+    getLibrary(option) {
+        const { type, instance, adapter } = this.resolve(option);
+        if (instance || adapter) return null;
+        return ["shaka", "hls", "videojs"].includes(type) ? type : null;
+    },
+
+    /**
+     * Create the adapter for a player
+     *
+     * @param {string|Object} [option] - Player option of initLBanner (see resolve)
+     * @param {Object} elements - Elements of the player
+     * @param {HTMLVideoElement|null} elements.video - Video element in the player container
+     * @param {HTMLElement} elements.container - Player container
+     * @returns {Object} Player adapter
+     * @throws {Error} If the type is unknown, a custom adapter is incomplete or the library is missing
+     */
+    create(option, elements) {
+        const { type, instance, adapter } = this.resolve(option);
+        if (adapter) {
+            const missing = this.REQUIRED_METHODS.filter((method) => typeof adapter[method] !== "function");
+            if (missing.length > 0) {
+                throw new Error(`[LBannerPlayers] Custom player adapter is missing ${missing.join(", ")}`);
+            }
+            return {
+                getInstance: () => null,
+                getErrorType: () => "media",
+                destroy: () => { },
+                ...adapter,
+                type,
+            };
+        }
+        if (!this.adapters[type]) {
+            throw new Error(`[LBannerPlayers] Unknown player type '${type}'`);
+        }
+        if (!instance && !elements.video) {
+            throw new Error(`[LBannerPlayers] The ${type} player needs a <video> element in the player container`);
+        }
+        console.log(`[LBannerPlayers] Using ${type} player${instance ? " (existing instance)" : ""}`);
+        return this.adapters[type].call(this, { ...elements, instance });
+    },
+
+    /**
+     * Whether the player is shown fullscreen
+     *
+     * @param {Object} adapter - Player adapter
+     * @returns {boolean} True if the fullscreen element is or contains the player container
+     */
+    isFullscreen(adapter) {
+        if (typeof document === "undefined") return false;
+        const fullscreenElement = document.fullscreenElement || document.webkitFullscreenElement || null;
+        const container = adapter.getContainer();
+        return !!fullscreenElement && !!container && fullscreenElement.contains(container);
+    },
+
+    /**
+     * Add an event listener to a DOM target
+     *
+     * @param {EventTarget} target - Element or library object with addEventListener
+     * @param {string} event - Event name
+     * @param {Function} handler - Listener
+     * @returns {Function} Removes the listener
+     */
+    listen(target, event, handler) {
+        target.addEventListener(event, handler);
+        return () => target.removeEventListener(event, handler);
+    },
+
+    /**
+     * Adapter methods of players that play into a <video> element
+     *
+     * @param {HTMLVideoElement} video - Video element
+     * @returns {Object} Playback state getters and on() for media events (errors as MediaError)
+     */
+    mediaElement(video) {
+        return {
+            getCurrentTime: () => video.currentTime,
+            getDuration: () => video.duration,
+            isPaused: () => video.paused,
+            isEnded: () => video.ended,
+            isMuted: () => video.muted || video.volume === 0,
+            on: (event, handler) =>
+                event === "error"
+                    ? this.listen(video, "error", () => handler(video.error))
+                    : this.listen(video, event, handler),
+            getErrorType: (error) => this.getMediaErrorType(error),
+        };
+    },
+
+    /**
+     * Error type of a MediaError (also used by video.js)
+     *
+     * @param {Object} error - MediaError or object with a MediaError code
+     * @returns {string} "network" (MEDIA_ERR_NETWORK), "format" (MEDIA_ERR_SRC_NOT_SUPPORTED) or "media"
+     */
+    getMediaErrorType(error) {
+        if (error?.code === 2) return "network";
+        if (error?.code === 4) return "format";
+        return "media";
+    },
+
+    /**
+     * Load a URL into a <video> element, remembering the page's own source
+     *
+     * @param {HTMLVideoElement} video - Video element
+     * @param {string} url - Video URL
+     * @param {Object} saved - { src } filled on the first load with the original src attribute
+     */
+    loadSource(video, url, saved) {
+        if (!("src" in saved)) saved.src = video.getAttribute("src");
+        video.src = url;
+        video.load();
+    },
+
+    /**
+     * Put back the src attribute a <video> element had before loadSource()
+     *
+     * @param {HTMLVideoElement} video - Video element
+     * @param {Object} saved - Object passed to loadSource()
+     */
+    restoreSource(video, saved) {
+        if (!("src" in saved)) return;
+        if (saved.src === null) video.removeAttribute("src");
+        else video.setAttribute("src", saved.src);
+        delete saved.src;
+        video.load();
+    },
+
+    /**
+     * Adapter factories, called with { video, container, instance }
+     */
+    adapters: {
+        /**
+         * Shaka Player with the UI overlay on the player container
+         */
+        shaka({ video, container, instance }) {
+            if (!instance && !window.shaka) throw new Error("Shaka Player failed to load");
+            const media = instance?.getMediaElement?.() || video;
+            let shakaPlayer = instance;
+            let ui = null;
+            if (!shakaPlayer) {
+                shakaPlayer = new window.shaka.Player(media);
+                ui = new window.shaka.ui.Overlay(shakaPlayer, container, media);
+                ui.configure({
+                    controlPanelElements: [
+                        "play_pause",
+                        "time_and_duration",
+                        "mute",
+                        "spacer",
+                        "volume",
+                        "captions",
+                        "fullscreen",
+                    ],
+                });
+            }
+            const base = this.mediaElement(media);
+            return {
+                ...base,
+                type: "shaka",
+                on: (event, handler) =>
+                    event === "error"
+                        ? this.listen(shakaPlayer, "error", (errorEvent) => handler(errorEvent.detail))
+                        : base.on(event, handler),
+                load: (url) => shakaPlayer.load(url),
+                getContainer: () => container,
+                getInstance: () => shakaPlayer,
+                getErrorType: (error) => {
+                    const categories = window.shaka?.util?.Error?.Category || {};
+                    if (error?.category !== undefined && error.category === categories.NETWORK) return "network";
+                    if (error?.category !== undefined && error.category === categories.MANIFEST) return "format";
+                    return "media";
+                },
+                // Destroying the overlay destroys the Shaka player as well
+                destroy: () => (ui ? ui.destroy() : undefined),
+            };
+        },
+
+        /**
+         * Plain <video> element, playing URLs the browser supports
+         */
+        native({ video, container }) {
+            const saved = {};
+            return {
+                ...this.mediaElement(video),
+                type: "native",
+                load: (url) => {
+                    this.loadSource(video, url, saved);
+                    return Promise.resolve();
+                },
+                getContainer: () => container,
+                getInstance: () => null,
+                destroy: () => this.restoreSource(video, saved),
+            };
+        },
+
+        /**
+         * hls.js attached to the video element
+         * Browsers without Media Source Extensions (iOS Safari) play HLS natively
+         */
+        hls({ video, container, instance }) {
+            const Hls = window.Hls;
+            if (!instance && !Hls) throw new Error("hls.js failed to load");
+            const media = instance?.media || video;
+            let hls = instance;
+            if (!hls && Hls.isSupported()) {
+                hls = new Hls();
+                hls.attachMedia(media);
+            } else if (!hls) {
+                console.log("[LBannerPlayers] hls.js not supported - using native HLS playback");
+            }
+            const base = this.mediaElement(media);
+            const saved = {};
+            // Value of Hls.Events.ERROR, also when the host bundles its own hls.js
+            const errorEvent = "hlsError";
+            return {
+                ...base,
+                type: "hls",
+                on: (event, handler) => {
+                    if (event !== "error" || !hls) return base.on(event, handler);
+                    const onError = (name, data) => {
+                        if (data?.fatal) handler(data);
+                    };
+                    hls.on(errorEvent, onError);
+                    return () => hls.off(errorEvent, onError);
+                },
+                load: (url) => {
+                    if (hls) {
+                        hls.loadSource(url);
+                    } else {
+                        this.loadSource(media, url, saved);
+                    }
+                    return Promise.resolve();
+                },
+                getContainer: () => container,
+                getInstance: () => hls || null,
+                getErrorType: (error) => {
+                    if (!hls) return base.getErrorType(error);
+                    if (error?.details === "manifestParsingError" || error?.type === "muxError") return "format";
+                    if (error?.type === "networkError") return "network";
+                    return "media";
+                },
+                destroy: () => {
+                    if (hls && !instance) hls.destroy();
+                    this.restoreSource(media, saved);
+                },
+            };
+        },
+
+        /**
+         * video.js player created on the video element
+         * video.js moves the element into its own wrapper, which its fullscreen button targets
+         */
+        videojs({ video, instance }) {
+            if (!instance && !window.videojs) throw new Error("video.js failed to load");
+            // dispose() removes the element, so destroy() puts back a copy of the original
+            const original = instance ? null : { node: video.cloneNode(true), parent: video.parentNode, next: video.nextSibling };
+            const vjs = instance || window.videojs(video);
+            return {
+                type: "videojs",
+                getCurrentTime: () => vjs.currentTime(),
+                getDuration: () => vjs.duration(),
+                isPaused: () => vjs.paused(),
+                isEnded: () => vjs.ended(),
+                isMuted: () => vjs.muted() || vjs.volume() === 0,
+                on: (event, handler) => {
+                    const listener = event === "error" ? () => handler(vjs.error()) : handler;
+                    vjs.on(event, listener);
+                    return () => vjs.off(event, listener);
+                },
+                load: (url) => {
+                    vjs.src(url);
+                    return Promise.resolve();
+                },
+                getContainer: () => vjs.el(),
+                getInstance: () => vjs,
+                getErrorType: (error) => this.getMediaErrorType(error),
+                destroy: () => {
+                    if (instance) return;
+                    vjs.dispose();
+                    const next = original.next?.parentNode === original.parent ? original.next : null;
+                    original.parent?.insertBefore(original.node, next);
+                },
+            };
+        },
+    },
+};
+
+/**
+ * Export LBannerPlayers globally for use in other modules
+ * Makes the player adapters available on window object for main.js and the bundle entry
+ */
+if (typeof window !== "undefined") {
+    window.LBannerPlayers = LBannerPlayers;
+}
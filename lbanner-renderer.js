@@ -0,0 +1,1058 @@
+/**
+ * L-Banner Renderer Module
+ *
+ * Renders banners around the video player, independently of analytics:
+ * - Builds segment DOM (media, companions, polls, buttons) from a parsed banner
+ * - Positions segments on the design canvas and shrinks the video area to make room
+ * - Handles show/hide animations, resize/fullscreen relayout and the close button
+ * - Runs button actions (clickthrough, deep link, custom action)
+ *
+ * Measurement and storage are not part of rendering. Observers registered with
+ * addObserver() are told about each display and interaction; LBannerAnalytics
+ * is one such observer and can be disabled (window.ENABLE_ANALYTICS = false)
+ * or replaced without affecting what is rendered.
+ *
+ * window.LBannerRenderer is the default renderer; LBannerRenderer.create()
+ * returns an independent one, so several players can render on one page.
+ *
+ * Observer methods (all optional):
+ * - bannerShown(banner, { bannerHost, playerShell }): segments are in the DOM
+ * - bannerHidden(banner): the display ended (hidden, replaced or destroyed)
+ * - elementClicked(banner, detail): detail { kind, elementId, segmentId, ... } where kind is
+ *   "button" (with button), "legacyButton", "pollOption" (with option) or "companion" (with companion)
+ * - bannerClosed(banner): the viewer closed the banner with its close button
+ * - mediaError(banner, code): segment media failed to load (VAST error code)
+ */
+(function () {
+  /**
+   * Valid banner position values
+   */
+  const POSITIONS = ["left", "right", "top", "bottom"];
+
+  /**
+   * Assertion helper - throws error if condition is false
+   * @param {boolean} condition - Condition to check
+   * @param {string} message - Error message to throw if condition fails
+   * @throws {Error} If condition is false
+   */
+  function assert(condition, message) {
+    if (!condition) throw new Error(`[LBannerRenderer] ${message}`);
+  }
+
+  /**
+   * Edge of the player a segment is attached to
+   * @param {Object} segment - Segment configuration
+   * @returns {string|null} "left", "right", "top", "bottom", or null for free-floating segments
+   */
+  function getSegmentSide(segment) {
+    if (POSITIONS.includes(segment.side)) return segment.side;
+    if (POSITIONS.includes(segment.position)) return segment.position;
+    return null;
+  }
+
+  /**
+   * Tags and attributes kept in companion HTMLResource markup
+   * Everything else is removed; elements outside the list are dropped with their content
+   */
+  const HTML_ALLOWED_TAGS = [
+    "a", "abbr", "b", "blockquote", "br", "caption", "center", "div", "em", "figcaption", "figure",
+    "h1", "h2", "h3", "h4", "h5", "h6", "hr", "i", "img", "li", "ol", "p", "s", "small", "span",
+    "strong", "sub", "sup", "table", "tbody", "td", "tfoot", "th", "thead", "tr", "u", "ul",
+  ];
+  const HTML_ALLOWED_ATTRIBUTES = {
+    "*": ["class", "style", "title", "lang", "dir"],
+    a: ["href"],
+    img: ["src", "alt", "width", "height"],
+    td: ["colspan", "rowspan"],
+    th: ["colspan", "rowspan"],
+  };
+  /**
+   * CSS properties kept in style attributes (with their longhands, e.g. margin-top)
+   * Nothing can position content outside the segment or load resources
+   */
+  const HTML_ALLOWED_STYLES = [
+    "color", "background-color", "font", "line-height", "letter-spacing", "text-align", "text-decoration",
+    "text-transform", "white-space", "vertical-align", "display", "flex", "flex-direction", "flex-wrap",
+    "align-items", "justify-content", "gap", "width", "height", "max-width", "max-height", "margin",
+    "padding", "border", "border-radius",
+  ];
+  const HTML_URL_PROTOCOLS = {
+    href: ["http:", "https:", "mailto:"],
+    src: ["http:", "https:"],
+  };
+
+  /**
+   * Whether a URL in companion markup may be kept
+   * @param {string} name - Attribute name ("href" or "src")
+   * @param {string} value - Attribute value
+   * @returns {boolean} True for http(s) URLs (and mailto: links or data: images)
+   */
+  function isAllowedURL(name, value) {
+    try {
+      const { protocol, href } = new URL(value, document.baseURI);
+      if (name === "src" && protocol === "data:") return /^data:image\//i.test(href);
+      return HTML_URL_PROTOCOLS[name].includes(protocol);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Keep the allowed declarations of a style attribute
+   * @param {HTMLElement} node - Element with a style attribute
+   */
+  function sanitizeStyle(node) {
+    const declarations = Array.from(node.style)
+      .filter((name) => HTML_ALLOWED_STYLES.some((allowed) => name === allowed || name.startsWith(`${allowed}-`)))
+      .map((name) => [name, node.style.getPropertyValue(name)])
+      .filter(([, value]) => !/url\(|expression\(|image-set\(/i.test(value))
+      .map(([name, value]) => `${name}: ${value}`);
+    if (declarations.length > 0) {
+      node.setAttribute("style", declarations.join("; "));
+    } else {
+      node.removeAttribute("style");
+    }
+  }
+
+  /**
+   * Keep the allowed elements and attributes below a node
+   * @param {Node} parent - Node whose children are sanitized
+   */
+  function sanitizeChildren(parent) {
+    Array.from(parent.childNodes).forEach((node) => {
+      if (node.nodeType === Node.TEXT_NODE) return;
+      const tag = node.nodeType === Node.ELEMENT_NODE && node.namespaceURI === "http://www.w3.org/1999/xhtml"
+        ? node.localName
+        : null;
+      if (!HTML_ALLOWED_TAGS.includes(tag)) {
+        node.remove();
+        return;
+      }
+      const allowed = HTML_ALLOWED_ATTRIBUTES["*"].concat(HTML_ALLOWED_ATTRIBUTES[tag] || []);
+      Array.from(node.attributes).forEach((attr) => {
+        const name = attr.name.toLowerCase();
+        if (!allowed.includes(name) || (HTML_URL_PROTOCOLS[name] && !isAllowedURL(name, attr.value))) {
+          node.removeAttribute(attr.name);
+        }
+      });
+      if (node.hasAttribute("style")) sanitizeStyle(node);
+      if (tag === "a") {
+        node.setAttribute("target", "_blank");
+        node.setAttribute("rel", "noopener noreferrer");
+      }
+      sanitizeChildren(node);
+    });
+  }
+
+  /**
+   * Sanitize companion HTMLResource markup
+   * Keeps text and an allowlist of formatting, link, image and table markup and
+   * of inline style properties; scripts, style sheets, SVG, forms, frames, event
+   * handlers and non-http(s) URLs are removed, and links open in a new tab
+   * @param {string} html - HTML as delivered in the VAST
+   * @returns {DocumentFragment} Sanitized content
+   */
+  function sanitizeHTML(html) {
+    const template = document.createElement("template");
+    template.innerHTML = html;
+    sanitizeChildren(template.content);
+    return template.content;
+  }
+
+  /**
+   * Build container for a companion HTMLResource
+   * @param {Object} element - Element configuration with html markup
+   * @returns {HTMLElement} Container holding the sanitized markup
+   */
+  function buildCompanionHTML(element) {
+    const container = document.createElement("div");
+    container.className = "lb-media lb-companion-html";
+    container.appendChild(sanitizeHTML(element.html || ""));
+    return container;
+  }
+
+  /**
+   * Build sandboxed iframe for a companion IFrameResource
+   * The frame gets no same-origin access, so it cannot reach the host page
+   * @param {Object} element - Element configuration with media.url
+   * @param {Object} [macros={}] - Custom VAST macros of the player
+   * @param {Object} [context={}] - VAST macro context of the player
+   * @returns {HTMLIFrameElement} Iframe element
+   */
+  function buildCompanionIFrame(element, macros = {}, context = {}) {
+    const iframe = document.createElement("iframe");
+    iframe.className = "lb-media lb-companion-iframe";
+    iframe.src = expandMacros(element.media?.url ?? "", macros, context);
+    iframe.setAttribute("sandbox", "allow-scripts allow-popups allow-popups-to-escape-sandbox");
+    iframe.setAttribute("scrolling", "no");
+    iframe.setAttribute("title", "Sponsored content");
+    return iframe;
+  }
+
+  /**
+   * Expand VAST macros in a URL (returns the URL unchanged without VASTMacros)
+   * @param {string} url - URL that may contain [MACRO] placeholders
+   * @param {Object} [macros={}] - Custom VAST macros of the player
+   * @param {Object} [context={}] - VAST macro context of the player
+   * @returns {string} URL with macros expanded
+   */
+  function expandMacros(url, macros = {}, context = {}) {
+    if (!url || !window.VASTMacros) return url;
+    return window.VASTMacros.expand(url, context, macros);
+  }
+
+  /**
+   * Create an independent renderer (one per player)
+   * @returns {Object} Renderer API (see window.LBannerRenderer)
+   */
+  function createRenderer() {
+    /**
+     * Internal renderer state
+     * - playerShell: DOM element containing the video player
+     * - bannerHost: DOM element where banners are rendered
+     * - videoArea: DOM element representing the video area
+     * - closeButton: DOM element for banner close button
+     * - currentBanner: Banner data shown by show()
+     * - displayedBanner: Banner currently in the DOM (null once hidden)
+     * - animationTimer: Pending end of the enter or exit animation (LBannerTiming.ENTER_MS / EXIT_MS)
+     * - resizeTimer: Pending relayout after a resize or fullscreen change
+     * - macros: Custom VAST macros of the player, used for click-through and iframe URLs
+     * - macroContext: Returns the VAST macro context of the player (playhead, size, consent)
+     * - observers: Registered measurement observers
+     */
+    const state = {
+      playerShell: null,
+      bannerHost: null,
+      videoArea: null,
+      closeButton: null,
+      currentBanner: null,
+      displayedBanner: null,
+      animationTimer: null,
+      resizeTimer: null,
+      macros: {},
+      macroContext: () => ({}),
+      observers: [],
+    };
+
+    /**
+     * Initialize the renderer with the player DOM elements
+     * Elements can be passed directly (several players on one page) or by ID/selector.
+     * Can be called again (e.g. by LBannerAnalytics.init) with the same elements
+     * @param {Object} options - Initialization options
+     * @param {HTMLElement} [options.playerShell] - Player container element
+     * @param {HTMLElement} [options.bannerHost] - Banner container element
+     * @param {HTMLElement} [options.videoArea] - Video area element
+     * @param {string} [options.playerShellId] - DOM ID of player container element
+     * @param {string} [options.bannerHostId] - DOM ID of banner container element
+     * @param {string} [options.videoAreaSelector] - CSS selector for video area element
+     * @param {Object} [options.macros] - Custom VAST macros of the player, keyed by upper-case name
+     * @param {Function} [options.macroContext] - Returns the VAST macro context of the player
+     */
+    function init(options) {
+      assert(options, "init requires options");
+      const { playerShellId, bannerHostId, videoAreaSelector } = options;
+      assert(options.playerShell || typeof playerShellId === "string", "playerShellId is required");
+      assert(options.bannerHost || typeof bannerHostId === "string", "bannerHostId is required");
+      assert(options.videoArea || typeof videoAreaSelector === "string", "videoAreaSelector is required");
+
+      state.playerShell = options.playerShell || document.getElementById(playerShellId);
+      state.bannerHost = options.bannerHost || document.getElementById(bannerHostId);
+      state.videoArea = options.videoArea || document.querySelector(videoAreaSelector);
+      state.macros = options.macros || {};
+      state.macroContext = typeof options.macroContext === "function" ? options.macroContext : () => ({});
+
+      console.log("[LBannerRenderer] Elements found:", {
+        playerShell: !!state.playerShell,
+        bannerHost: !!state.bannerHost,
+        videoArea: !!state.videoArea,
+      });
+
+      assert(state.playerShell, "playerShellId is invalid");
+      assert(state.bannerHost, "bannerHostId is invalid");
+      assert(state.videoArea, "videoAreaSelector is invalid");
+
+      // Styles target these classes, so players don't depend on the default element IDs
+      state.playerShell.classList.add("lb-player-shell");
+      state.bannerHost.classList.add("lb-banner-host");
+      state.videoArea.classList.add("lb-video-area");
+    }
+
+    /**
+     * Register a measurement observer (see module description for its methods)
+     * @param {Object} observer - Object with optional bannerShown, bannerHidden, elementClicked, bannerClosed, mediaError
+     * @returns {Function} Function that removes the observer
+     */
+    function addObserver(observer) {
+      if (observer && !state.observers.includes(observer)) {
+        state.observers.push(observer);
+      }
+      return () => {
+        state.observers = state.observers.filter((registered) => registered !== observer);
+      };
+    }
+
+    /**
+     * Call a method on every observer
+     * An observer that throws never breaks rendering or other observers
+     * @param {string} method - Observer method name
+     * @param {...any} args - Arguments passed to the method
+     */
+    function notify(method, ...args) {
+      state.observers.forEach((observer) => {
+        if (typeof observer[method] !== "function") return;
+        try {
+          observer[method](...args);
+        } catch (error) {
+          console.error(`[LBannerRenderer] Observer ${method} failed:`, error);
+        }
+      });
+    }
+
+    /**
+     * Clean up existing banner from DOM and reset video offsets
+     * Removes event listeners, banner elements, and CSS variables
+     * @param {boolean} [immediate=false] - If true, skip animation and remove immediately
+     */
+    function cleanupExisting(immediate = false) {
+      // Remove resize listeners
+      window.removeEventListener("resize", handleResize);
+      document.removeEventListener("fullscreenchange", handleResize);
+      document.removeEventListener("webkitfullscreenchange", handleResize);
+      document.removeEventListener("mozfullscreenchange", handleResize);
+      document.removeEventListener("MSFullscreenChange", handleResize);
+
+      // A pending animation end or relayout belongs to the banner being removed
+      clearTimeout(state.animationTimer);
+      state.animationTimer = null;
+      clearTimeout(state.resizeTimer);
+      state.resizeTimer = null;
+
+      // If immediate cleanup (banner transition), skip animation to prevent button overlap
+      if (immediate) {
+        state.bannerHost?.replaceChildren();
+        state.bannerHost?.classList.remove("lb-animating-out", "lb-animating-in", "lb-visible");
+      } else {
+        // Add animation out class before removing
+        if (state.bannerHost && state.bannerHost.children.length > 0) {
+          state.bannerHost.classList.remove("lb-visible");
+          state.bannerHost.classList.add("lb-animating-out");
+
+          // Wait for animation to complete before cleaning up
+          state.animationTimer = setTimeout(() => {
+            state.animationTimer = null;
+            state.bannerHost?.replaceChildren();
+            state.bannerHost?.classList.remove("lb-animating-out");
+            state.bannerHost?.classList.remove("lb-animating-in");
+          }, window.LBannerTiming.EXIT_MS);
+        } else {
+          state.bannerHost?.replaceChildren();
+          state.bannerHost?.classList.remove("lb-animating-out", "lb-animating-in", "lb-visible");
+        }
+      }
+
+      // Reset video offsets
+      state.playerShell?.style.setProperty("--lb-left-width", "0px");
+      state.playerShell?.style.setProperty("--lb-right-width", "0px");
+      state.playerShell?.style.setProperty("--lb-top-height", "0px");
+      state.playerShell?.style.setProperty("--lb-bottom-height", "0px");
+
+      if (state.closeButton) {
+        state.closeButton.remove();
+        state.closeButton = null;
+      }
+
+      // The display ends here - observers stop measuring it
+      if (state.displayedBanner) {
+        const banner = state.displayedBanner;
+        state.displayedBanner = null;
+        notify("bannerHidden", banner);
+      }
+    }
+
+    /**
+     * Handle window resize and fullscreen change events
+     * Recalculates banner positions and video offsets when viewport changes
+     */
+    function handleResize() {
+      if (state.currentBanner) {
+        // Small delay to ensure fullscreen transition completes
+        // Only the latest resize relayouts; cleanupExisting() cancels a pending one
+        clearTimeout(state.resizeTimer);
+        state.resizeTimer = setTimeout(() => {
+          state.resizeTimer = null;
+          // The banner may have been destroyed during the delay
+          if (!state.currentBanner) return;
+          const { configuration } = state.currentBanner;
+          if (configuration?.layout) {
+            // Recalculate video offsets first
+            applyVideoOffsets(configuration.layout);
+            // Then reposition segments (this ensures offsets are available for positioning)
+            const segments = state.bannerHost.querySelectorAll(".lb-segment");
+            segments.forEach((node) => {
+              const segmentId = node.dataset.segmentId;
+              const segment = configuration.layout.segments.find((s) => s.id === segmentId);
+              if (segment) {
+                positionSegment(node, segment);
+              }
+            });
+          }
+        }, 50); // Small delay to ensure fullscreen dimensions are stable
+      }
+    }
+
+    /**
+     * Render a banner from payload data
+     * Creates DOM elements, positions segments, applies video offsets, then notifies observers
+     * @param {Object} payload - Parsed banner (or ad server payload)
+     * @param {Object} payload.configuration - Banner configuration (layout, content, behavior)
+     * @param {Object} payload.meta - Banner metadata (id, title, type)
+     */
+    function renderBanner(payload) {
+      console.log("[LBannerRenderer] renderBanner called", payload);
+
+      // Clean up existing banner immediately before rendering new one
+      cleanupExisting(true);
+
+      const { configuration, meta } = payload ?? {};
+      assert(configuration, "Payload missing configuration");
+      const { layout, content, behavior } = configuration;
+      assert(layout, "Missing layout");
+      assert(content, "Missing content");
+
+      if (!meta?.id) {
+        console.warn("[LBannerRenderer] No banner ID found in meta:", meta);
+      }
+
+      console.log("[LBannerRenderer] Rendering:", {
+        segments: layout.segments.length,
+        elements: content.elements.length,
+      });
+
+      // Apply video offsets first (before rendering segments)
+      applyVideoOffsets(layout);
+
+      const segmentsById = layout.segments.reduce((acc, segment) => {
+        acc[segment.id] = segment;
+        return acc;
+      }, {});
+
+      // Add animation classes for squeeze-back effect
+      state.bannerHost.classList.add("lb-animating-in");
+      state.animationTimer = setTimeout(() => {
+        state.animationTimer = null;
+        state.bannerHost?.classList.remove("lb-animating-in");
+        state.bannerHost?.classList.add("lb-visible");
+      }, window.LBannerTiming.ENTER_MS);
+
+      let segmentsRendered = 0;
+      (content.elements ?? []).forEach((element) => {
+        const segment = segmentsById[element.segmentId];
+        if (!segment) {
+          console.warn(`[LBannerRenderer] No segment found for element ${element.id}`);
+          return;
+        }
+        const node = buildSegmentNode(segment, element);
+        state.bannerHost.appendChild(node);
+        segmentsRendered++;
+      });
+
+      console.log(`[LBannerRenderer] Segments rendered: ${segmentsRendered}`);
+
+      if (behavior?.display?.showCloseButton) {
+        attachCloseButton();
+      }
+
+      state.displayedBanner = payload;
+      notify("bannerShown", payload, { bannerHost: state.bannerHost, playerShell: state.playerShell });
+
+      // Add resize listener to recalculate positions on fullscreen/resize
+      window.addEventListener("resize", handleResize);
+      document.addEventListener("fullscreenchange", handleResize);
+      document.addEventListener("webkitfullscreenchange", handleResize);
+      document.addEventListener("mozfullscreenchange", handleResize);
+      document.addEventListener("MSFullscreenChange", handleResize);
+    }
+
+    /**
+     * Scale factors from a layout's design canvas to the current player shell size
+     * Layouts without a canvas (legacy ad server payloads) are drawn 1:1 in pixels
+     * @param {Object} layout - Layout configuration with optional canvas { width, height }
+     * @returns {Object} Scale factors { x, y, font } where font is the smaller of x and y
+     */
+    function getCanvasScale(layout) {
+      const canvas = layout?.canvas;
+      const shellRect = state.playerShell.getBoundingClientRect();
+      if (!canvas?.width || !canvas?.height || !shellRect.width || !shellRect.height) {
+        return { x: 1, y: 1, font: 1 };
+      }
+      const x = shellRect.width / canvas.width;
+      const y = shellRect.height / canvas.height;
+      return { x, y, font: Math.min(x, y) };
+    }
+
+    /**
+     * CSS length for a canvas distance, scaled by the current --lb-scale-x/--lb-scale-y
+     * Resizes and fullscreen changes only need to update the scale variables
+     * @param {number} value - Distance in canvas pixels
+     * @param {string} axis - "x" or "y"
+     * @returns {string} CSS calc() expression
+     */
+    function scaledLength(value, axis) {
+      return `calc(${value || 0}px * var(--lb-scale-${axis}, 1))`;
+    }
+
+    /**
+     * Calculate and apply CSS variables for video player offsets
+     * Shrinks video area to make room for banners on left/right/top/bottom
+     * Publishes the canvas scale as --lb-scale-x, --lb-scale-y and --lb-scale (fonts)
+     * @param {Object} layout - Layout configuration with segments array and optional canvas
+     */
+    function applyVideoOffsets(layout) {
+      const offsets = { left: 0, right: 0, top: 0, bottom: 0 };
+      const scale = getCanvasScale(layout);
+
+      state.playerShell.style.setProperty("--lb-scale-x", String(scale.x));
+      state.playerShell.style.setProperty("--lb-scale-y", String(scale.y));
+      state.playerShell.style.setProperty("--lb-scale", String(scale.font));
+      console.log(`[LBannerRenderer] Canvas scale: x=${scale.x.toFixed(3)}, y=${scale.y.toFixed(3)}`);
+
+      layout.segments.forEach((segment) => {
+        const side = getSegmentSide(segment);
+        if (!side) return;
+        // Left/right segments take their width from the video, top/bottom their height
+        const dimension =
+          side === "left" || side === "right" ? segment.width * scale.x : segment.height * scale.y;
+        offsets[side] = Math.max(offsets[side], dimension);
+      });
+
+      const varMap = {
+        left: "--lb-left-width",
+        right: "--lb-right-width",
+        top: "--lb-top-height",
+        bottom: "--lb-bottom-height",
+      };
+
+      Object.entries(offsets).forEach(([position, value]) => {
+        state.playerShell.style.setProperty(varMap[position], `${value}px`);
+        if (value > 0) {
+          console.log(`[LBannerRenderer] Applied video offset: ${varMap[position]} = ${value}px`);
+        }
+      });
+    }
+
+    /**
+     * Build DOM node for a banner segment
+     * Creates section element with positioning, media, buttons, and poll widgets
+     * @param {Object} segment - Segment configuration (position, size, type)
+     * @param {Object} element - Element configuration (type, media, buttons, poll)
+     * @returns {HTMLElement} Created segment DOM node
+     */
+    function buildSegmentNode(segment, element) {
+      const root = document.createElement("section");
+      root.className = "lb-segment";
+      root.dataset.segmentId = segment.id;
+      root.style.backgroundColor = element.backgroundColor ?? "#111";
+      root.style.zIndex = "100"; // Ensure segment is above video
+      root.style.pointerEvents = "auto"; // Explicitly enable pointer events
+      // Prevent all events from propagating to video
+      root.addEventListener("click", (e) => e.stopPropagation());
+      root.addEventListener("mousedown", (e) => e.stopPropagation());
+      root.addEventListener("mouseup", (e) => e.stopPropagation());
+      root.addEventListener("touchstart", (e) => e.stopPropagation());
+      root.addEventListener("touchend", (e) => e.stopPropagation());
+
+      positionSegment(root, segment);
+
+      if (element.type === "image" || element.type === "video") {
+        const media = buildMedia(element);
+        if (media) {
+          root.appendChild(media);
+          console.log(`[LBannerRenderer] Added media to segment ${segment.id}:`, element.media?.url);
+        } else {
+          console.warn(`[LBannerRenderer] No media created for element:`, element);
+        }
+      } else if (element.type === "iframe") {
+        root.appendChild(buildCompanionIFrame(element, state.macros, state.macroContext()));
+      } else if (element.type === "html") {
+        root.appendChild(buildCompanionHTML(element));
+      } else {
+        console.log(`[LBannerRenderer] Element type ${element.type} for segment ${segment.id}, no media`);
+      }
+
+      if (element.companion) {
+        attachCompanionClick(root, element);
+      }
+
+      if (element.type === "poll" && element.poll) {
+        root.appendChild(buildPoll(element));
+      }
+
+      // Support VSAT buttons array format
+      if (Array.isArray(element.buttons) && element.buttons.length > 0) {
+        element.buttons.forEach((buttonCfg) => {
+          const button = buildVSATButton(buttonCfg, segment, element.id);
+          root.appendChild(button);
+        });
+      } else if (element.button?.show) {
+        // Legacy single button format
+        root.appendChild(buildButton(element.button, element.id));
+      }
+
+      return root;
+    }
+
+    /**
+     * Position a segment DOM node based on segment configuration
+     * Geometry is in canvas pixels and scales with the player shell (see scaledLength)
+     * - Left/right segments run the full shell height
+     * - Side segments on top/bottom span the space between the left and right segments
+     * - Legacy Horizontal segments start at their canvas X and extend to the right segment
+     * - Segments without a side are placed at their canvas coordinates
+     * @param {HTMLElement} node - Segment DOM node to position
+     * @param {Object} segment - Segment configuration with position/size data
+     */
+    function positionSegment(node, segment) {
+      const side = getSegmentSide(segment);
+      node.style.position = "absolute";
+      // Clear edges from a previous layout pass
+      node.style.left = node.style.right = node.style.top = node.style.bottom = "";
+
+      if (!side) {
+        node.style.left = scaledLength(segment.x, "x");
+        node.style.top = scaledLength(segment.y, "y");
+        node.style.width = scaledLength(segment.width, "x");
+        node.style.height = scaledLength(segment.height, "y");
+        return;
+      }
+
+      node.style[side] = "0px";
+
+      if (side === "left" || side === "right") {
+        node.style.top = "0px";
+        node.style.width = scaledLength(segment.width, "x");
+        node.style.height = "100%";
+        return;
+      }
+
+      node.style.height = scaledLength(segment.height, "y");
+      if (segment.side) {
+        node.style.left = "var(--lb-left-width)";
+        node.style.width = "calc(100% - var(--lb-left-width) - var(--lb-right-width))";
+      } else if (segment.x !== undefined) {
+        const left = scaledLength(segment.x, "x");
+        node.style.left = left;
+        node.style.width = `calc(100% - ${left} - var(--lb-right-width))`;
+      } else {
+        // Legacy relative positioning
+        node.style.left = "0px";
+        node.style.width = "100%";
+      }
+    }
+
+    /**
+     * Build media element (image or video) for banner segment
+     * Load failures ping the banner's VAST Error URLs with code 603
+     * @param {Object} element - Element configuration
+     * @param {string} element.type - "image" or "video"
+     * @param {Object} element.media - Media configuration with URL
+     * @returns {HTMLElement|null} Image or video element, or null if invalid
+     */
+    function buildMedia(element) {
+      // Capture the banner being rendered so late load errors report against it
+      const banner = state.currentBanner;
+
+      if (element.type === "image") {
+        const img = document.createElement("img");
+        img.className = "lb-media";
+        const imageUrl = element.media?.url ?? "";
+        img.src = imageUrl;
+        img.alt = element.alt ?? "Sponsored content";
+
+        // Log for debugging
+        if (!imageUrl) {
+          console.warn("[LBannerRenderer] Empty image URL for element:", element.id);
+        } else {
+          console.log("[LBannerRenderer] Loading image:", imageUrl);
+        }
+
+        // Handle image load errors
+        img.onerror = () => {
+          console.error("[LBannerRenderer] Failed to load image:", imageUrl);
+          // Set a fallback background color if image fails
+          img.style.display = "none";
+          notify("mediaError", banner, 603);
+        };
+
+        img.onload = () => {
+          console.log("[LBannerRenderer] Image loaded successfully:", imageUrl);
+        };
+
+        return img;
+      }
+
+      const video = document.createElement("video");
+      video.className = "lb-media";
+      video.src = element.media?.url ?? "";
+      video.autoplay = true;
+      video.loop = true;
+      video.muted = true;
+      video.playsInline = true;
+      video.onerror = () => {
+        console.error("[LBannerRenderer] Failed to load video:", video.src);
+        notify("mediaError", banner, 603);
+      };
+      return video;
+    }
+
+    /**
+     * Make a companion segment clickable
+     * Reports the click to observers (CompanionClickTracking) and opens CompanionClickThrough in a new tab.
+     * Buttons inside the segment keep their own behavior; links in HTML
+     * companions open their own target but still count as a companion click.
+     * @param {HTMLElement} root - Segment DOM node
+     * @param {Object} element - Content element with companion data (clickThrough, clickTracking)
+     */
+    function attachCompanionClick(root, element) {
+      const { companion } = element;
+      if (companion.clickThrough) root.style.cursor = "pointer";
+      root.addEventListener("click", (e) => {
+        if (e.target.closest("button")) return;
+        notify("elementClicked", state.currentBanner, {
+          kind: "companion",
+          elementId: element.id,
+          segmentId: element.segmentId,
+          companion,
+        });
+        if (companion.clickThrough && !e.target.closest("a")) {
+          window.open(expandMacros(companion.clickThrough, state.macros, state.macroContext()), "_blank", "noopener");
+        }
+      });
+    }
+
+    /**
+     * Build poll widget DOM element
+     * Creates interactive poll with question and options, or question-only display
+     * @param {Object} element - Element configuration with poll data
+     * @param {Object} element.poll - Poll configuration (heading, question, tagline, options)
+     * @returns {HTMLElement} Poll container DOM element
+     */
+    function buildPoll(element) {
+      const poll = element.poll;
+      const hasOptions = Array.isArray(poll.options) && poll.options.length > 0;
+      const container = document.createElement("div");
+      container.className = `lb-poll ${hasOptions ? "lb-poll--options" : "lb-poll--question"
+        }`;
+      // Prevent clicks from propagating to video
+      container.addEventListener("click", (e) => {
+        e.stopPropagation();
+      });
+      container.addEventListener("mousedown", (e) => {
+        e.stopPropagation();
+      });
+      container.addEventListener("mouseup", (e) => {
+        e.stopPropagation();
+      });
+
+      if (hasOptions) {
+        if (poll.heading) {
+          const heading = document.createElement("p");
+          heading.className = "lb-poll__eyebrow";
+          heading.textContent = poll.heading;
+          container.appendChild(heading);
+        }
+
+        if (poll.question) {
+          const question = document.createElement("h3");
+          question.className = "lb-poll__question";
+          question.textContent = poll.question;
+          container.appendChild(question);
+        }
+
+        const optionsWrap = document.createElement("div");
+        optionsWrap.className = "lb-poll__options";
+
+        poll.options.forEach((option) => {
+          const button = document.createElement("button");
+          button.type = "button";
+          button.className = "lb-poll__option";
+          button.textContent = option;
+          button.addEventListener("click", (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            e.stopImmediatePropagation();
+            button.classList.add("lb-poll__option--selected");
+            button.textContent = "Thanks for voting!";
+            notify("elementClicked", state.currentBanner, {
+              kind: "pollOption",
+              elementId: element.id,
+              segmentId: element.segmentId,
+              option,
+            });
+          });
+          optionsWrap.appendChild(button);
+        });
+
+        container.appendChild(optionsWrap);
+        return container;
+      }
+
+      const eyebrow = document.createElement("p");
+      eyebrow.className = "lb-poll__eyebrow";
+      eyebrow.textContent = poll.tagline ?? "Question";
+      container.appendChild(eyebrow);
+
+      const questionBlock = document.createElement("h3");
+      questionBlock.className = "lb-poll__question";
+      questionBlock.textContent = poll.question ?? "";
+      container.appendChild(questionBlock);
+
+      return container;
+    }
+
+    /**
+     * Build legacy single button element
+     * Creates button with click handler for redirect actions
+     * @param {Object} cfg - Button configuration
+     * @param {string} cfg.text - Button label text
+     * @param {string} cfg.color - Button background color
+     * @param {string} cfg.action - Action type ("redirect")
+     * @param {string} cfg.url - Redirect URL
+     * @param {string} elementId - Element ID for tracking
+     * @returns {HTMLElement} Button DOM element
+     */
+    function buildButton(cfg, elementId) {
+      const button = document.createElement("button");
+      button.className = "lb-button";
+      button.textContent = cfg.text ?? "Learn more";
+      button.style.background = cfg.color ?? "#f97316";
+      button.style.color = "#0f172a";
+      button.type = "button"; // Ensure it's a button, not submit
+      button.style.cursor = "pointer"; // Ensure cursor shows it's clickable
+      button.onclick = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        console.log("[LBannerRenderer] Legacy button clicked:", {
+          elementId: elementId,
+          text: cfg.text
+        });
+        notify("elementClicked", state.currentBanner, { kind: "legacyButton", elementId: elementId });
+        if (cfg.action === "redirect" && cfg.url) {
+          window.open(expandMacros(cfg.url, state.macros, state.macroContext()), "_blank", "noopener");
+        }
+      };
+      return button;
+    }
+
+    /**
+     * Build VSAT-format button element with advanced positioning and tracking
+     * Supports absolute positioning, custom actions, deep links, and tracking events
+     * @param {Object} cfg - Button configuration
+     * @param {string} cfg.id - Button ID
+     * @param {string} cfg.label - Button label text
+     * @param {string} cfg.role - Button role ("primary", "secondary", etc.)
+     * @param {boolean} cfg.defaultFocus - Whether to auto-focus button
+     * @param {Object} cfg.position - Absolute position (x, y, width, height)
+     * @param {Object} cfg.action - Action configuration (type, clickThrough, deepLink, customAction)
+     * @param {Object} cfg.tracking - Tracking URLs (click, viewable)
+     * @param {Object} segment - Parent segment configuration
+     * @param {string} elementId - Element ID for cookie tracking
+     * @returns {HTMLElement} Button DOM element
+     */
+    function buildVSATButton(cfg, segment, elementId) {
+      const button = document.createElement("button");
+      button.id = cfg.id || `btn_${segment.id}`;
+      button.className = `lb-button lb-button--vsat lb-button--${cfg.role || "primary"}`;
+      button.textContent = cfg.label || "Learn More";
+      button.type = "button"; // Ensure it's a button, not submit
+      // Apply absolute positioning relative to the segment if provided (canvas pixels, scaled)
+      if (cfg.position) {
+        const segmentX = segment.x ?? 0;
+        const segmentY = segment.y ?? 0;
+        const relativeX = cfg.position.x - segmentX;
+        const relativeY = cfg.position.y - segmentY;
+
+        button.style.position = "absolute";
+        button.style.left = scaledLength(relativeX, "x");
+        button.style.top = scaledLength(relativeY, "y");
+        button.style.width = scaledLength(cfg.position.width, "x");
+        button.style.height = scaledLength(cfg.position.height, "y");
+      } else {
+        // Fallback to relative positioning
+        button.className += " lb-button--relative";
+      }
+
+      // Set focus if defaultFocus is true
+      if (cfg.defaultFocus) {
+        setTimeout(() => button.focus(), 100);
+      }
+
+      // Handle click action
+      button.onclick = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        e.stopImmediatePropagation();
+
+        // Observers record the click, the conversion and the button's click tracking
+        notify("elementClicked", state.currentBanner, {
+          kind: "button",
+          elementId: elementId,
+          segmentId: segment.id,
+          button: cfg,
+        });
+
+        // Handle action based on type - match corner banner logic
+        const actionType = cfg.action?.type || "clickthrough";
+        if (actionType === "custom" && cfg.action?.customAction) {
+          const customEvent = new CustomEvent("LBannerCustomAction", {
+            detail: {
+              action: cfg.action.customAction,
+              buttonId: cfg.id,
+              label: cfg.label,
+              elementId: elementId,
+              segmentId: segment.id,
+            },
+          });
+          window.dispatchEvent(customEvent);
+          console.log("[LBannerRenderer] Custom action triggered:", cfg.action.customAction);
+          return;
+        }
+
+        const deepLink = expandMacros(cfg.action?.deepLink, state.macros, state.macroContext());
+        const clickThrough = expandMacros(cfg.action?.clickThrough, state.macros, state.macroContext());
+
+        if (deepLink) {
+          try {
+            window.location.href = deepLink;
+            return;
+          } catch (err) {
+            console.warn("[LBannerRenderer] Deep link failed, falling back to clickthrough");
+          }
+        }
+
+        if (clickThrough) {
+          window.open(clickThrough, "_blank", "noopener");
+        }
+      };
+
+      // Viewable tracking fires when the segment becomes viewable (observers measure it)
+
+      return button;
+    }
+
+    /**
+     * Attach close button to player shell
+     * Creates and positions close button that calls closeBanner on click
+     */
+    function attachCloseButton() {
+      const button = document.createElement("button");
+      button.className = "lb-close";
+      button.setAttribute("aria-label", "Close banner");
+      button.innerText = "×";
+      button.addEventListener("click", closeBanner);
+      state.closeButton = button;
+      state.playerShell.appendChild(button);
+    }
+
+    /**
+     * Close the current banner on the viewer's request
+     * Notifies observers of the close, then hides the banner
+     */
+    function closeBanner() {
+      notify("bannerClosed", state.currentBanner);
+      hideBanner();
+    }
+
+    /**
+     * Hide currently displayed banner with animation
+     * Calls cleanupExisting with animation enabled
+     */
+    function hideBanner() {
+      cleanupExisting(false); // Use animation when manually hiding
+    }
+
+    /**
+     * Show currently stored banner
+     * Re-renders the banner if banner data exists in state
+     */
+    function showBanner() {
+      console.log("[LBannerRenderer] showBanner called", {
+        hasBanner: !!state.currentBanner,
+        hasHost: !!state.bannerHost,
+        hasPlayerShell: !!state.playerShell,
+      });
+      if (state.currentBanner) {
+        renderBanner(state.currentBanner);
+      } else {
+        console.warn("[LBannerRenderer] No banner data to show");
+      }
+    }
+
+    /**
+     * Remove the displayed banner immediately and forget the current banner
+     */
+    function destroy() {
+      cleanupExisting(true);
+      state.currentBanner = null;
+    }
+
+    /**
+     * Destroy the banner and undo init()
+     * Removes the classes and CSS variables added to the player elements and
+     * forgets the elements and observers; call init() again to reuse the renderer
+     */
+    function detach() {
+      destroy();
+      state.playerShell?.classList.remove("lb-player-shell");
+      state.bannerHost?.classList.remove("lb-banner-host");
+      state.videoArea?.classList.remove("lb-video-area");
+      ["--lb-scale-x", "--lb-scale-y", "--lb-scale", "--lb-left-width", "--lb-right-width", "--lb-top-height", "--lb-bottom-height"]
+        .forEach((name) => state.playerShell?.style.removeProperty(name));
+      [state.playerShell, state.bannerHost, state.videoArea].forEach((element) => {
+        if (element?.getAttribute("class") === "") element.removeAttribute("class");
+        if (element?.getAttribute("style") === "") element.removeAttribute("style");
+      });
+      state.playerShell = null;
+      state.bannerHost = null;
+      state.videoArea = null;
+      state.observers = [];
+    }
+
+    return {
+      init,
+      addObserver,
+      /**
+       * Set banner data without rendering
+       * @param {Object} bannerData - Parsed banner object
+       */
+      setBanner: (bannerData) => {
+        state.currentBanner = bannerData;
+      },
+      /**
+       * Set and render a banner
+       * @param {Object} bannerData - Parsed banner object
+       */
+      render: (bannerData) => {
+        state.currentBanner = bannerData;
+        renderBanner(bannerData);
+      },
+      show: showBanner,
+      hide: hideBanner,
+      /**
+       * Get currently stored banner data
+       * @returns {Object|null} Current banner object or null
+       */
+      getCurrentBanner: () => state.currentBanner,
+      buildSegmentNode,
+      positionSegment,
+      applyVideoOffsets,
+      destroy,
+      detach,
+    };
+  }
+
+  /**
+   * Public API exposed on window.LBannerRenderer
+   * The default renderer; create() returns an independent one for each additional player
+   */
+  window.LBannerRenderer = { ...createRenderer(), create: createRenderer };
+})();
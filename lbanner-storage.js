@@ -0,0 +1,497 @@
+/**
+ * L-Banner Storage Module
+ *
+ * Keeps the per-banner display history that frequency caps and
+ * suppressAfterClick are checked against (see LBannerFrequency), whether or
+ * not analytics is enabled. Each entry, keyed by banner id:
+ * - lastShown: Timestamp when the banner was last displayed (or clicked)
+ * - state: "clicked" or "notclicked" interaction state
+ * - interactionId: Unique ID of the latest display
+ * - interactedAt: Timestamp of the first click
+ * - impressions: Timestamps of the displays in the last day
+ * - count: Number of displays over the entry's lifetime
+ * - campaignId: Campaign the banner belongs to
+ *
+ * The history is persisted through a pluggable backend:
+ * - cookie: a single JSON cookie (default, the historical format)
+ * - localStorage: one JSON item, never sent to the server
+ * - indexedDB: one record in the "lbanner" database, loaded asynchronously
+ * - memory: kept for the current page only
+ *
+ * Every backend implements the same adapter interface:
+ * {
+ *   isAvailable(): boolean,            // false if the browser blocks the backend
+ *   load(): Object | Promise<Object>,  // stored data keyed by banner id
+ *   save(data): boolean | Promise<boolean>,
+ *   clear(): void | Promise<void>
+ * }
+ *
+ * A store created with create() keeps the data in memory, so reads are
+ * synchronous for every backend. Data is pruned on load and on every write:
+ * entries written by earlier versions (LEGACY_KEY_PATTERNS) and entries not
+ * shown or clicked for maxAgeDays are dropped, then only the maxEntries most
+ * recently active entries are kept. Every write that reaches the backend
+ * dispatches "lbanner-cookie-updated" on window with the stored data. The localStorage and
+ * IndexedDB backends take over an existing cookie on first load and delete it
+ * once they stored its data.
+ */
+
+const LBannerStorage = {
+    /**
+     * Default configuration
+     * - type: Backend name (see adapters)
+     * - key: Cookie name, localStorage key or IndexedDB record key
+     * - maxAgeDays: Entries without activity for this long are dropped
+     * - maxEntries: Most entries kept (least recently active are dropped)
+     * - migrateCookie: Move existing cookie data into localStorage/IndexedDB
+     */
+    DEFAULTS: {
+        type: "cookie",
+        key: "lbanner_elements",
+        maxAgeDays: 30,
+        maxEntries: 50,
+        migrateCookie: true,
+    },
+
+    /**
+     * Largest encoded cookie value written, below the ~4KB browsers allow per
+     * cookie (name and attributes included) - see fitCookie
+     */
+    COOKIE_MAX_BYTES: 3800,
+
+    /**
+     * Keys written by earlier versions that can never match a banner again
+     * - content_segment_*: old segment-level entries (now tracked per banner)
+     * - vsat_lbanner_<timestamp>: per-page-load banner ids (now derived from Ad/Creative ids)
+     */
+    LEGACY_KEY_PATTERNS: [/^content_segment_/, /^vsat_lbanner_\d+$/],
+
+    /**
+     * IndexedDB database and object store names
+     */
+    IDB_NAME: "lbanner",
+    IDB_STORE: "state",
+
+    /**
+     * Create a store backed by the configured adapter
+     *
+     * Falls back to the memory backend if the requested one is unknown or
+     * unavailable (e.g. storage blocked in a sandboxed iframe).
+     *
+     * @param {Object} [options={}] - Overrides of DEFAULTS
+     * @returns {Object} Store with type, ready (Promise resolving to the store), read(), write(data),
+     *   recordShown(bannerId, campaignId), recordClick(bannerId) and clear()
+     */
+    create(options = {}) {
+        const config = { ...this.DEFAULTS, ...options };
+        let type = config.type;
+        if (!this.adapters[type]) {
+            console.warn(`[LBannerStorage] Unknown storage type '${type}' - using cookie`);
+            type = "cookie";
+        }
+        let adapter = this.adapters[type].call(this, config);
+        if (!adapter.isAvailable()) {
+            console.warn(`[LBannerStorage] ${type} storage is not available - using memory`);
+            type = "memory";
+            adapter = this.adapters.memory.call(this, config);
+        }
+
+        let cache = {};
+        let loaded = false;
+
+        const store = {
+            type: type,
+            ready: null,
+
+            /**
+             * Current data (a copy - pass it to write() to persist changes)
+             * @returns {Object} Data keyed by banner id
+             */
+            read: () => JSON.parse(JSON.stringify(cache)),
+
+            /**
+             * Prune and persist data
+             * Writes made before an asynchronous backend finished loading are kept in memory
+             * and merged over the loaded data
+             * @param {Object} data - Data keyed by banner id
+             * @returns {Promise<boolean>} Whether the backend accepted the data
+             */
+            write: (data) => {
+                cache = this.prune(data, config);
+                if (!loaded) return Promise.resolve(false);
+                return this.settle(this.attempt(() => adapter.save(cache), false), false).then((written) => {
+                    if (written && typeof window !== "undefined" && window.dispatchEvent) {
+                        window.dispatchEvent(new CustomEvent("lbanner-cookie-updated", { detail: store.read() }));
+                    }
+                    return written;
+                });
+            },
+
+            /**
+             * Record that a banner was displayed
+             * Keeps the impression timestamps hour and day caps count (see LBannerFrequency.recentImpressions)
+             * @param {string} bannerId - Banner meta.id
+             * @param {string|null} [campaignId=null] - Campaign of the banner (see LBannerFrequency.getCampaignId)
+             * @returns {Promise<boolean>} Whether the backend accepted the data
+             */
+            recordShown: (bannerId, campaignId = null) => {
+                const data = store.read();
+                const timestamp = Date.now();
+                const entry = data[bannerId] || { state: "notclicked" };
+                entry.lastShown = timestamp;
+                entry.interactionId = this.createInteractionId(bannerId, timestamp);
+                entry.impressions = (window.LBannerFrequency
+                    ? window.LBannerFrequency.recentImpressions(entry.impressions || [], timestamp)
+                    : []
+                ).concat(timestamp);
+                entry.count = (entry.count || 0) + 1;
+                if (campaignId) entry.campaignId = campaignId;
+                data[bannerId] = entry;
+                return store.write(data);
+            },
+
+            /**
+             * Record that the viewer clicked a banner (suppressAfterClick hides it from then on)
+             * @param {string} bannerId - Banner meta.id
+             * @returns {Promise<boolean>} Whether the backend accepted the data
+             */
+            recordClick: (bannerId) => {
+                const data = store.read();
+                const timestamp = Date.now();
+                const entry = data[bannerId] || { state: "notclicked" };
+                entry.lastShown = timestamp;
+                if (entry.state !== "clicked") {
+                    entry.state = "clicked";
+                    entry.interactedAt = timestamp;
+                }
+                data[bannerId] = entry;
+                return store.write(data);
+            },
+
+            /**
+             * Remove all stored data
+             * @returns {Promise<void>}
+             */
+            clear: () => {
+                cache = {};
+                return this.settle(this.attempt(() => adapter.clear()));
+            },
+        };
+
+        const finishLoad = (stored) => {
+            let data = { ...(stored || {}), ...cache };
+            let changed = Object.keys(cache).length > 0;
+            let cookieData = null;
+
+            // Memory would drop the migrated data at the end of the page
+            if (type !== "cookie" && type !== "memory" && config.migrateCookie) {
+                cookieData = this.readCookie(config.key);
+                if (cookieData) {
+                    // Entries already in the new backend win over the cookie copy
+                    data = { ...cookieData, ...data };
+                    changed = true;
+                }
+            }
+
+            const pruned = this.prune(data, config);
+            changed = changed || Object.keys(pruned).length !== Object.keys(data).length;
+            cache = pruned;
+            loaded = true;
+            if (changed) {
+                const saved = this.settle(this.attempt(() => adapter.save(cache), false), false);
+                if (cookieData) {
+                    // The cookie stays until the new backend holds its data, so a failed save loses nothing
+                    saved.then((written) => {
+                        if (written) {
+                            this.deleteCookie(config.key);
+                            console.log(
+                                `[LBannerStorage] Migrated ${Object.keys(cookieData).length} cookie entries to ${type}`
+                            );
+                        } else {
+                            console.warn(`[LBannerStorage] Could not save to ${type} - keeping the cookie for the next page load`);
+                        }
+                    });
+                }
+            }
+            return store;
+        };
+
+        // Synchronous backends are readable as soon as the store exists
+        const stored = this.attempt(() => adapter.load(), {});
+        if (stored && typeof stored.then === "function") {
+            store.ready = stored.then(finishLoad, (err) => {
+                console.warn(`[LBannerStorage] Could not load ${type} storage:`, err);
+                return finishLoad({});
+            });
+        } else {
+            finishLoad(stored);
+            store.ready = Promise.resolve(store);
+        }
+
+        console.log(`[LBannerStorage] Using ${type} storage (key '${config.key}')`);
+        return store;
+    },
+
+    /**
+     * Drop legacy and stale entries and keep at most maxEntries
+     *
+     * @param {Object} data - Data keyed by banner id
+     * @param {Object} config - Store configuration (maxAgeDays, maxEntries)
+     * @param {number} [now=Date.now()] - Current time in milliseconds
+     * @returns {Object} Pruned copy of data
+     */
+    prune(data, config, now = Date.now()) {
+        const maxAgeMs = config.maxAgeDays * 24 * 60 * 60 * 1000;
+        const entries = Object.entries(data || {})
+            .filter(([, entry]) => entry && typeof entry === "object")
+            .filter(([key]) => !this.LEGACY_KEY_PATTERNS.some((pattern) => pattern.test(key)))
+            .filter(([, entry]) => now - this.lastActivity(entry) < maxAgeMs)
+            .sort(([, a], [, b]) => this.lastActivity(b) - this.lastActivity(a))
+            .slice(0, config.maxEntries);
+        return Object.fromEntries(entries);
+    },
+
+    /**
+     * Id of one banner display: {bannerId}_{timestamp_base36}_{random}
+     *
+     * @param {string} bannerId - Banner meta.id
+     * @param {number} timestamp - Display time in milliseconds
+     * @returns {string} Short id such as lbad1crea_lx3k2c_9f8a
+     */
+    createInteractionId(bannerId, timestamp) {
+        const bannerIdShort = bannerId.replace(/[^a-zA-Z0-9]/g, "").substring(0, 10);
+        const randomShort = Math.random().toString(36).substring(2, 6);
+        return `${bannerIdShort}_${timestamp.toString(36)}_${randomShort}`;
+    },
+
+    /**
+     * Time of the latest display or click of an entry
+     *
+     * @param {Object} entry - Stored entry of one banner
+     * @returns {number} Timestamp in milliseconds (0 if unknown)
+     */
+    lastActivity(entry) {
+        return Math.max(entry.lastShown || 0, entry.interactedAt || 0);
+    },
+
+    /**
+     * Run a backend call, turning exceptions into a fallback value
+     *
+     * @param {Function} fn - Backend call
+     * @param {*} fallback - Returned if the call throws
+     * @returns {*} Result of fn, or fallback
+     */
+    attempt(fn, fallback) {
+        try {
+            return fn();
+        } catch (err) {
+            console.warn("[LBannerStorage] Storage operation failed:", err);
+            return fallback;
+        }
+    },
+
+    /**
+     * Wrap a synchronous or asynchronous backend result in a promise that never rejects
+     *
+     * @param {*} result - Value or promise returned by an adapter
+     * @param {*} [fallback] - Resolved value if the promise rejects
+     * @returns {Promise<*>} Settled result
+     */
+    settle(result, fallback) {
+        return Promise.resolve(result).catch((err) => {
+            console.warn("[LBannerStorage] Storage operation failed:", err);
+            return fallback;
+        });
+    },
+
+    /**
+     * Shrink data until its encoded cookie value fits in COOKIE_MAX_BYTES
+     *
+     * Drops the oldest impression timestamps first (hour and day frequency
+     * caps count fewer impressions), then whole entries, least recently active
+     * first (their lifetime count and clicked state are lost). Both are logged.
+     *
+     * @param {Object} data - Data keyed by banner id
+     * @returns {Object} data itself if it fits, else a shrunk copy
+     */
+    fitCookie(data) {
+        const fits = (value) => encodeURIComponent(JSON.stringify(value)).length <= this.COOKIE_MAX_BYTES;
+        if (fits(data)) return data;
+
+        const fitted = JSON.parse(JSON.stringify(data));
+        const timestamps = Object.entries(fitted)
+            .flatMap(([id, entry]) => (Array.isArray(entry.impressions) ? entry.impressions.map((shownAt) => [shownAt, id]) : []))
+            .sort(([a], [b]) => a - b);
+        let trimmed = 0;
+        while (!fits(fitted) && trimmed < timestamps.length) {
+            const [shownAt, id] = timestamps[trimmed++];
+            const impressions = fitted[id].impressions;
+            impressions.splice(impressions.indexOf(shownAt), 1);
+        }
+        if (trimmed > 0) {
+            console.warn(
+                `[LBannerStorage] Cookie too large - dropped the ${trimmed} oldest impression timestamp(s), ` +
+                "hour and day frequency caps count fewer impressions"
+            );
+        }
+
+        const entries = Object.entries(fitted).sort(([, a], [, b]) => this.lastActivity(b) - this.lastActivity(a));
+        const dropped = [];
+        while (entries.length > 0 && !fits(Object.fromEntries(entries))) {
+            dropped.push(entries.pop()[0]);
+        }
+        if (dropped.length > 0) {
+            console.warn(
+                `[LBannerStorage] Cookie too large - dropped the ${dropped.length} least recently active entries ` +
+                `with their lifetime counts and clicked state: ${dropped.join(", ")}`
+            );
+        }
+        return Object.fromEntries(entries);
+    },
+
+    /**
+     * Read and parse a JSON cookie
+     *
+     * @param {string} name - Cookie name
+     * @returns {Object|null} Parsed value, or null if missing or unreadable
+     */
+    readCookie(name) {
+        if (typeof document === "undefined") return null;
+        try {
+            const entry = (document.cookie ? document.cookie.split(";") : [])
+                .map((cookie) => cookie.trim())
+                .find((cookie) => cookie.startsWith(`${name}=`));
+            const value = entry ? entry.substring(name.length + 1) : "";
+            return value ? JSON.parse(decodeURIComponent(value)) : null;
+        } catch (err) {
+            console.warn("[LBannerStorage] Failed to read cookie", name, err);
+            return null;
+        }
+    },
+
+    /**
+     * Delete a cookie
+     *
+     * @param {string} name - Cookie name
+     */
+    deleteCookie(name) {
+        if (typeof document !== "undefined") {
+            document.cookie = `${name}=; path=/; max-age=0`;
+        }
+    },
+
+    /**
+     * Backend factories, called with the store configuration
+     */
+    adapters: {
+        /**
+         * JSON cookie, sent with every request to the host domain
+         * Data is shrunk to fit in COOKIE_MAX_BYTES (see fitCookie)
+         */
+        cookie(config) {
+            const maxAgeSeconds = Math.round(config.maxAgeDays * 24 * 60 * 60);
+            return {
+                isAvailable: () => typeof document !== "undefined",
+                load: () => this.readCookie(config.key) || {},
+                save: (data) => {
+                    const serialized = encodeURIComponent(JSON.stringify(this.fitCookie(data)));
+                    document.cookie = `${config.key}=${serialized}; path=/; max-age=${maxAgeSeconds}`;
+                    const written = document.cookie.includes(`${config.key}=`);
+                    if (!written) {
+                        console.warn("[LBannerStorage] Cookie write may have failed - cookie not found in document.cookie");
+                    }
+                    return written;
+                },
+                clear: () => this.deleteCookie(config.key),
+            };
+        },
+
+        /**
+         * JSON item in localStorage
+         */
+        localStorage(config) {
+            return {
+                isAvailable: () =>
+                    this.attempt(() => {
+                        const probe = `${config.key}__probe`;
+                        window.localStorage.setItem(probe, "1");
+                        window.localStorage.removeItem(probe);
+                        return true;
+                    }, false),
+                load: () => {
+                    const raw = window.localStorage.getItem(config.key);
+                    return raw ? JSON.parse(raw) : {};
+                },
+                save: (data) => {
+                    window.localStorage.setItem(config.key, JSON.stringify(data));
+                    return true;
+                },
+                clear: () => window.localStorage.removeItem(config.key),
+            };
+        },
+
+        /**
+         * Single record in an IndexedDB object store, keyed by config.key
+         */
+        indexedDB(config) {
+            let dbPromise = null;
+            const openDb = () => {
+                if (!dbPromise) {
+                    dbPromise = new Promise((resolve, reject) => {
+                        const request = window.indexedDB.open(this.IDB_NAME, 1);
+                        request.onupgradeneeded = () => request.result.createObjectStore(this.IDB_STORE);
+                        request.onsuccess = () => resolve(request.result);
+                        request.onerror = () => reject(request.error);
+                    });
+                }
+                return dbPromise;
+            };
+            const run = (mode, operation) =>
+                openDb().then(
+                    (db) =>
+                        new Promise((resolve, reject) => {
+                            const request = operation(db.transaction(this.IDB_STORE, mode).objectStore(this.IDB_STORE));
+                            request.onsuccess = () => resolve(request.result);
+                            request.onerror = () => reject(request.error);
+                        })
+                );
+            return {
+                isAvailable: () => typeof window !== "undefined" && !!window.indexedDB,
+                load: () => run("readonly", (objectStore) => objectStore.get(config.key)).then((data) => data || {}),
+                save: (data) => run("readwrite", (objectStore) => objectStore.put(data, config.key)).then(() => true),
+                clear: () => run("readwrite", (objectStore) => objectStore.delete(config.key)),
+            };
+        },
+
+        /**
+         * Plain object for the current page only
+         */
+        memory() {
+            let stored = {};
+            return {
+                isAvailable: () => true,
+                load: () => stored,
+                save: (data) => {
+                    stored = data;
+                    return true;
+                },
+                clear: () => {
+                    stored = {};
+                },
+            };
+        },
+    },
+};
+
+/**
+ * Export LBannerStorage globally for use in other modules
+ * Makes the storage backends available on window object for main.js and analytics.js
+ */
+if (typeof window !== "undefined") {
+    window.LBannerStorage = LBannerStorage;
+}
+
+/**
+ * ES module export for non-browser consumers (e.g. test/lbanner-storage.test.js)
+ */
+export default LBannerStorage;
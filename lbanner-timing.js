@@ -0,0 +1,378 @@
+/**
+ * L-Banner Timing Module
+ *
+ * State machine deciding when the banners of a player show. Playback events
+ * (timeupdate, pause, play, seeking, seeked) and the player API are its inputs;
+ * it calls show/hide and reports every transition. It knows nothing about the
+ * DOM or the video player, and its timers run on a replaceable clock, so it
+ * can be driven by hand against a simulated clock.
+ *
+ * States (one banner at most is on screen):
+ * - idle: Nothing on screen and no display window ahead
+ * - scheduled: Nothing on screen, a display window lies ahead (or is about to be shown)
+ * - entering: A banner is animating in (ENTER_MS)
+ * - visible: A banner is on screen in its display window, or force-shown
+ * - exiting: A banner is animating out (EXIT_MS)
+ * - paused-override: Playback is paused and a banner is held on screen (showOnPause)
+ * - seeking: A seek is in progress or settling; nothing shows
+ * - suppressed: The time is inside a display window but no banner may show
+ *   (frequency capped, force-hidden, or closed by the viewer)
+ *
+ * Transitions:
+ * - idle/scheduled/suppressed/exiting -> entering: timeupdate inside the window of an eligible banner
+ * - entering -> visible: enter animation finished
+ * - entering/visible -> entering: timeupdate inside the window of a banner with higher priority
+ * - entering/visible -> exiting: timeupdate outside every eligible window, or hidden through the player API
+ * - exiting -> idle/scheduled/suppressed: exit animation finished
+ * - any -> seeking: seeking (the banner on screen is hidden)
+ * - seeking -> entering/paused-override/idle/scheduled/suppressed: SEEK_COOLDOWN_MS after the last seeked
+ * - any but seeking -> paused-override: pause (the banner for the time, else the banner
+ *   on screen, else the first eligible one)
+ * - paused-override -> visible/entering/exiting: first timeupdate after play
+ * - entering/visible/paused-override -> suppressed: the viewer closed the banner (until its window ends)
+ *
+ * Pause and play while seeking only record the paused state; the end of the
+ * seek cooldown decides what shows. While a banner is force-shown, playback
+ * events only record state and the display changes through the player API alone.
+ */
+
+const LBannerTiming = {
+    /**
+     * States of the machine
+     */
+    STATES: ["idle", "scheduled", "entering", "visible", "exiting", "paused-override", "seeking", "suppressed"],
+
+    /**
+     * Milliseconds after the last seeked before banners are re-evaluated
+     * Keeps banners from flashing while the viewer drags the seek bar
+     */
+    SEEK_COOLDOWN_MS: 600,
+
+    /**
+     * Length of the renderer's enter animation in milliseconds
+     * LBannerRenderer waits this long; keep it equal to lbFadeInScale in styles.css
+     */
+    ENTER_MS: 1000,
+
+    /**
+     * Length of the renderer's exit animation in milliseconds
+     * LBannerRenderer waits this long; keep it equal to lbFadeOutScale in styles.css
+     */
+    EXIT_MS: 1000,
+
+    /**
+     * Timers of the machines
+     * Replaceable (or passed to create) to drive machines with a simulated clock
+     */
+    clock: {
+        setTimeout: (callback, ms) => setTimeout(callback, ms),
+        clearTimeout: (id) => clearTimeout(id),
+    },
+
+    /**
+     * Create a banner state machine
+     *
+     * @param {Object} options - Machine options
+     * @param {Function} options.getTime - Returns the current video time in seconds
+     * @param {Function} options.getWindows - Returns the banners in priority order:
+     *   [{ key, startOffset, endOffset }] (offsets null while not known)
+     * @param {Function} [options.isEligible] - (key, currentKey) => whether a banner may show;
+     *   currentKey is the banner on screen (or null)
+     * @param {Function} options.show - (key, reason) => display a banner
+     * @param {Function} options.hide - (key, reason) => hide the banner on screen
+     * @param {boolean} [options.showOnPause=false] - Hold a banner on screen while paused
+     * @param {Function} [options.onTransition] - Called with { from, to, bannerId, trigger } on every transition
+     * @param {Object} [options.clock=this.clock] - { setTimeout(callback, ms), clearTimeout(id) }
+     * @returns {Object} Machine with the playback inputs timeupdate(), pause(), play(), seeking(), seeked(),
+     *   close(key), the player API inputs force(key), release(), hide(key, reason), refresh(),
+     *   getState() and destroy()
+     */
+    create(options) {
+        const {
+            getTime,
+            getWindows,
+            isEligible = () => true,
+            show,
+            hide,
+            showOnPause = false,
+            onTransition = () => {},
+            clock = this.clock,
+        } = options;
+        const durations = { enter: this.ENTER_MS, exit: this.EXIT_MS, cooldown: this.SEEK_COOLDOWN_MS };
+
+        let state = "idle";
+        let bannerKey = null; // Banner on screen, animating out, or suppressed
+        let forcedKey = null;
+        let closedKey = null;
+        let paused = false;
+        let seeking = false;
+        let resumePending = false;
+        let animationTimer = null;
+        let cooldownTimer = null;
+
+        const isOnScreen = () => state === "entering" || state === "visible" || state === "paused-override";
+        const hasWindow = (entry) =>
+            entry.startOffset !== null && entry.startOffset !== undefined &&
+            entry.endOffset !== null && entry.endOffset !== undefined;
+        const covers = (entry, time) => hasWindow(entry) && time >= entry.startOffset && time < entry.endOffset;
+
+        function transition(to, key, trigger) {
+            if (to === state && key === bannerKey) return;
+            clock.clearTimeout(animationTimer);
+            animationTimer = null;
+            const from = state;
+            state = to;
+            bannerKey = key;
+            console.log(`[LBannerTiming] ${from} -> ${to}${key !== null ? ` '${key}'` : ""} (${trigger})`);
+            onTransition({ from, to, bannerId: key, trigger });
+
+            if (to === "entering") {
+                animationTimer = clock.setTimeout(() => transition("visible", key, "animation-end"), durations.enter);
+            } else if (to === "exiting") {
+                animationTimer = clock.setTimeout(() => settle("animation-end"), durations.exit);
+            }
+        }
+
+        /**
+         * Banner that should be on screen at a time, or null
+         * A banner closed by the viewer stays out until the time leaves its window
+         */
+        function pick(time) {
+            const windows = getWindows();
+            if (closedKey !== null && !windows.some((entry) => entry.key === closedKey && covers(entry, time))) {
+                closedKey = null;
+            }
+            const currentKey = isOnScreen() ? bannerKey : null;
+            const target = windows.find(
+                (entry) => covers(entry, time) && entry.key !== closedKey && isEligible(entry.key, currentKey)
+            );
+            return target ? target.key : null;
+        }
+
+        /**
+         * Move to idle, scheduled or suppressed - nothing is on screen
+         */
+        function settle(trigger) {
+            const time = getTime();
+            const windows = getWindows();
+            const covering = windows.find((entry) => covers(entry, time));
+            if (covering && pick(time) === null) {
+                transition("suppressed", covering.key, trigger);
+            } else if (covering || windows.some((entry) => hasWindow(entry) && entry.startOffset > time)) {
+                transition("scheduled", null, trigger);
+            } else {
+                transition("idle", null, trigger);
+            }
+        }
+
+        function display(key, to, reason) {
+            transition(to, key, reason);
+            show(key, reason);
+        }
+
+        function conceal(to, reason) {
+            const key = bannerKey;
+            transition(to, to === "exiting" ? key : null, reason);
+            hide(key, reason);
+        }
+
+        /**
+         * Show the banner for the current time, or hide when there is none
+         */
+        function evaluate(reason) {
+            const key = pick(getTime());
+            if (key !== null) {
+                if (isOnScreen() && key === bannerKey) {
+                    if (state === "paused-override") transition("visible", key, reason);
+                    return;
+                }
+                display(key, "entering", reason);
+            } else if (isOnScreen()) {
+                conceal("exiting", reason);
+            } else if (state !== "exiting") {
+                settle(reason);
+            }
+        }
+
+        /**
+         * Hold a banner on screen while paused
+         */
+        function holdForPause(reason) {
+            const currentKey = isOnScreen() ? bannerKey : null;
+            let key = pick(getTime());
+            if (key === null && currentKey !== null && isEligible(currentKey, currentKey)) key = currentKey;
+            if (key === null) {
+                const fallback = getWindows().find((entry) => isEligible(entry.key, currentKey));
+                key = fallback ? fallback.key : null;
+            }
+
+            if (key === null) {
+                console.warn("[LBannerTiming] No banner available for pause");
+                if (!isOnScreen() && state !== "exiting") settle(reason);
+            } else if (key === currentKey) {
+                transition("paused-override", key, reason);
+            } else {
+                display(key, "paused-override", reason);
+            }
+        }
+
+        function startSeeking(trigger) {
+            if (isOnScreen()) conceal("seeking", trigger);
+            else transition("seeking", null, trigger);
+        }
+
+        /**
+         * Re-apply the playback state, e.g. after a forced banner is released
+         */
+        function resync(reason) {
+            if (seeking) startSeeking(reason);
+            else if (paused && showOnPause) holdForPause(reason);
+            else evaluate(reason);
+        }
+
+        return {
+            /**
+             * Playback position changed
+             */
+            timeupdate() {
+                if (forcedKey !== null || seeking) return;
+                if (resumePending) {
+                    resumePending = false;
+                    evaluate("play-resume");
+                    return;
+                }
+                if (paused && showOnPause) return;
+                evaluate("timeupdate");
+            },
+
+            /**
+             * Playback paused
+             */
+            pause() {
+                paused = true;
+                resumePending = false;
+                if (!showOnPause || forcedKey !== null || seeking || state === "paused-override") return;
+                holdForPause("pause");
+            },
+
+            /**
+             * Playback started or resumed
+             * The held banner is re-evaluated on the first timeupdate, once the video actually plays
+             */
+            play() {
+                paused = false;
+                resumePending = state === "paused-override" && forcedKey === null;
+            },
+
+            /**
+             * A seek started
+             */
+            seeking() {
+                seeking = true;
+                resumePending = false;
+                closedKey = null;
+                clock.clearTimeout(cooldownTimer);
+                cooldownTimer = null;
+                if (forcedKey === null) startSeeking("seeking");
+            },
+
+            /**
+             * A seek completed - banners are re-evaluated once seeking has settled
+             */
+            seeked() {
+                seeking = true;
+                clock.clearTimeout(cooldownTimer);
+                cooldownTimer = clock.setTimeout(() => {
+                    cooldownTimer = null;
+                    seeking = false;
+                    if (forcedKey !== null) return;
+                    if (paused && showOnPause) holdForPause("seek-complete");
+                    else evaluate("seek-complete");
+                }, durations.cooldown);
+            },
+
+            /**
+             * The viewer closed the banner on screen
+             * @param {string} key - Banner closed
+             */
+            close(key) {
+                if (!isOnScreen() || key !== bannerKey) return;
+                closedKey = key;
+                resumePending = false;
+                if (forcedKey === key) forcedKey = null;
+                transition("suppressed", key, "closed");
+            },
+
+            /**
+             * Show a banner and keep it on screen until released, hidden or replaced by another forced banner
+             * @param {string} key - Banner to show
+             */
+            force(key) {
+                forcedKey = key;
+                resumePending = false;
+                if (closedKey === key) closedKey = null;
+                if (isOnScreen() && key === bannerKey) transition("visible", key, "api");
+                else display(key, "entering", "api");
+            },
+
+            /**
+             * Return the forced banner to the schedule
+             */
+            release() {
+                if (forcedKey === null) return;
+                forcedKey = null;
+                resync("api");
+            },
+
+            /**
+             * Hide a banner if it is on screen (a forced banner is released)
+             * @param {string} key - Banner to hide
+             * @param {string} [reason="api"] - Reason passed to hide
+             */
+            hide(key, reason = "api") {
+                if (forcedKey === key) forcedKey = null;
+                if (isOnScreen() && key === bannerKey) conceal("exiting", reason);
+            },
+
+            /**
+             * Re-evaluate after the banners or their eligibility changed
+             * Nothing changes while a banner is forced, a seek settles or a banner is held for pause
+             */
+            refresh() {
+                if (forcedKey !== null || seeking || (paused && showOnPause)) return;
+                evaluate("api");
+            },
+
+            /**
+             * Current state
+             * @returns {Object} { state, bannerId, forcedBannerId, paused, seeking }
+             */
+            getState() {
+                return { state, bannerId: bannerKey, forcedBannerId: forcedKey, paused, seeking };
+            },
+
+            /**
+             * Stop the timers
+             */
+            destroy() {
+                clock.clearTimeout(animationTimer);
+                clock.clearTimeout(cooldownTimer);
+                animationTimer = null;
+                cooldownTimer = null;
+            },
+        };
+    },
+};
+
+/**
+ * Export LBannerTiming globally for use in other modules
+ * Makes the banner state machine available on window object for main.js
+ */
+if (typeof window !== "undefined") {
+    window.LBannerTiming = LBannerTiming;
+}
+
+/**
+ * ES module export for non-browser consumers (e.g. test/lbanner-timing.test.js)
+ */
+export default LBannerTiming;
@@ -0,0 +1,534 @@
+/**
+ * L-Banner First-Party Tracking Module
+ *
+ * Records banner events and delivers them to the configured tracking endpoint:
+ * - impression: a banner was rendered
+ * - viewable: a banner segment met the MRC viewability standard (see LBannerViewability)
+ * - non-viewable: a banner segment was hidden before it met the standard
+ * - time-in-view: cumulative time in view of a banner display, sent when it ends
+ * - click: any click inside a banner (buttons, companions, poll options)
+ * - close: the viewer closed a banner with its close button
+ * - conversion: a banner button triggered its action
+ *
+ * Events are batched and POSTed as JSON with navigator.sendBeacon, falling
+ * back to fetch with keepalive. Undelivered events are kept in an offline
+ * queue in localStorage and retried on the next page load (or when the
+ * browser comes back online). Without an endpoint nothing is recorded.
+ *
+ * With LBannerConsent loaded, events are only sent with consent for
+ * firstPartyTracking and only persisted with consent for storage. Events
+ * tracked while the CMP has not answered are held in memory until it does.
+ *
+ * Event schema (schemaVersion 1):
+ * {
+ *   "id": "evt_lx3k2c_9f8a7b6c",        // unique per event - dedupe retried deliveries on it
+ *   "type": "impression",                // one of EVENT_TYPES
+ *   "bannerId": "lb_ad-1_creative-1_0a1b2c3d",
+ *   "elementId": null,                   // button/element id for click and conversion, else null
+ *   "timestamp": "2026-01-01T12:00:00.000Z",
+ *   "sessionId": "ses_lx3k2a_1a2b3c4d",  // one per page load
+ *   "pageUrl": "https://example.com/watch",
+ *   "data": {}                           // event details, e.g. { "segmentId": "segment_vertical" }
+ * }
+ *
+ * Batch body (Content-Type text/plain, so sendBeacon needs no CORS preflight):
+ * { "schemaVersion": 1, "apiKey": "...", "sentAt": "2026-01-01T12:00:05.000Z", "events": [ ... ] }
+ */
+
+const LBannerTracking = {
+    /**
+     * Version of the event and batch JSON schema
+     */
+    SCHEMA_VERSION: 1,
+
+    /**
+     * Supported event types
+     */
+    EVENT_TYPES: ["impression", "viewable", "non-viewable", "time-in-view", "click", "close", "conversion"],
+
+    /**
+     * Default configuration
+     * - endpoint: URL batches are POSTed to (tracking is off without one)
+     * - apiKey: API key sent in every batch
+     * - batchSize: Events per request; a full batch is sent immediately
+     * - flushInterval: Milliseconds to wait before sending a partial batch
+     * - maxQueueSize: Undelivered events kept at most (oldest are dropped)
+     * - saveDelay: Milliseconds the offline queue waits for more changes before it is written
+     * - storageKey: localStorage key of the offline queue
+     * - debug: Log every tracked event
+     */
+    DEFAULTS: {
+        endpoint: null,
+        apiKey: null,
+        batchSize: 10,
+        flushInterval: 5000,
+        maxQueueSize: 500,
+        saveDelay: 1000,
+        storageKey: "lbanner_tracking_queue",
+        debug: false,
+    },
+
+    config: null,
+    queue: [],
+    sessionId: null,
+    flushTimer: null,
+    saveTimer: null,
+    sending: false,
+    listenersAttached: false,
+
+    /**
+     * Initialize tracking
+     *
+     * Once an endpoint is set, restores the offline queue of a previous page
+     * load and retries it. Can be called again (e.g. once per player) to change the configuration;
+     * options left undefined or null keep their current value.
+     *
+     * Events of all players share one destination: endpoint and apiKey are
+     * set together by the first call with an endpoint. A later call may repeat
+     * them or leave them out, but never change them.
+     *
+     * @param {Object} [options={}] - Overrides of DEFAULTS
+     * @returns {Object} LBannerTracking
+     * @throws {Error} If the endpoint or API key differ from those already set
+     */
+    init(options = {}) {
+        const current = this.config || this.DEFAULTS;
+        const { endpoint, apiKey, ...settings } = Object.fromEntries(
+            Object.entries(options).filter(([, value]) => value !== undefined && value !== null)
+        );
+        const destination = { endpoint: current.endpoint, apiKey: current.apiKey };
+        if (endpoint && !current.endpoint) {
+            destination.endpoint = endpoint;
+            destination.apiKey = apiKey || null;
+        } else if (endpoint && (endpoint !== current.endpoint || (apiKey || null) !== current.apiKey)) {
+            throw new Error(
+                `[LBannerTracking] Events of every player on the page go to ${current.endpoint} with one API key - ` +
+                `cannot send them to ${endpoint}${endpoint === current.endpoint ? " with another API key" : ""}`
+            );
+        }
+        this.config = { ...current, ...settings, ...destination };
+        if (!this.sessionId) {
+            this.sessionId = this.generateId("ses");
+        }
+
+        if (!this.config.endpoint) {
+            console.log("[LBannerTracking] No tracking endpoint - events are not recorded");
+            return this;
+        }
+
+        // Keep events already queued, add those left over from earlier page loads
+        const stored = this.loadQueue();
+        const known = new Set(this.queue.map((event) => event.id));
+        this.queue = stored.filter((event) => !known.has(event.id)).concat(this.queue);
+        this.trimQueue();
+        this.writeQueue();
+
+        this.attachListeners();
+
+        if (this.queue.length > 0) {
+            console.log(`[LBannerTracking] Retrying ${this.queue.length} undelivered event(s)`);
+            this.flush();
+        }
+        return this;
+    },
+
+    /**
+     * Record an event
+     *
+     * @param {string} type - One of EVENT_TYPES
+     * @param {string} bannerId - Banner meta.id
+     * @param {Object} [data={}] - Event details
+     * @param {string|null} [elementId=null] - Button or element the event concerns
+     * @returns {Object|null} The queued event, or null if it is invalid or not recorded
+     */
+    track(type, bannerId, data = {}, elementId = null) {
+        if (!this.config?.endpoint) return null;
+        if (!this.EVENT_TYPES.includes(type)) {
+            console.warn(`[LBannerTracking] Unknown event type '${type}' - ignored`);
+            return null;
+        }
+        if (!bannerId) {
+            console.warn(`[LBannerTracking] ${type} event without banner id - ignored`);
+            return null;
+        }
+        if (!this.consentAllows("firstPartyTracking") && !this.consentPending()) {
+            this.debug(`${type} not tracked - no consent for first-party tracking`);
+            return null;
+        }
+
+        const event = {
+            id: this.generateId("evt"),
+            type: type,
+            bannerId: bannerId,
+            elementId: elementId || null,
+            timestamp: new Date().toISOString(),
+            sessionId: this.sessionId || (this.sessionId = this.generateId("ses")),
+            pageUrl: typeof location !== "undefined" ? location.href : null,
+            data: data || {},
+        };
+        this.queue.push(event);
+        this.trimQueue();
+        this.saveQueue();
+        this.debug(`${type} tracked:`, bannerId, elementId || "");
+
+        if (this.queue.length >= this.config.batchSize) {
+            this.flush();
+        } else {
+            this.scheduleFlush();
+        }
+        return event;
+    },
+
+    /**
+     * Record that a banner was rendered
+     *
+     * @param {string} bannerId - Banner meta.id
+     * @param {Object} [data] - Details (type, position, segmentCount, ...)
+     * @returns {Object|null} Queued event
+     */
+    trackImpression(bannerId, data) {
+        return this.track("impression", bannerId, data);
+    },
+
+    /**
+     * Record that a banner segment became viewable
+     *
+     * @param {string} bannerId - Banner meta.id
+     * @param {Object} [data] - Details ({ segmentId, timeInView })
+     * @returns {Object|null} Queued event
+     */
+    trackViewable(bannerId, data) {
+        return this.track("viewable", bannerId, data);
+    },
+
+    /**
+     * Record that a banner segment was displayed without becoming viewable
+     *
+     * @param {string} bannerId - Banner meta.id
+     * @param {Object} [data] - Details ({ segmentId, timeInView })
+     * @returns {Object|null} Queued event
+     */
+    trackNonViewable(bannerId, data) {
+        return this.track("non-viewable", bannerId, data);
+    },
+
+    /**
+     * Record the cumulative time in view of a banner display
+     *
+     * @param {string} bannerId - Banner meta.id
+     * @param {Object} [data] - Details ({ timeInView, displayTime, viewable, segments, reason })
+     * @returns {Object|null} Queued event
+     */
+    trackTimeInView(bannerId, data) {
+        return this.track("time-in-view", bannerId, data);
+    },
+
+    /**
+     * Record a click inside a banner
+     *
+     * @param {string} bannerId - Banner meta.id
+     * @param {string} elementId - Clicked button or element id
+     * @param {Object} [data] - Details (segmentId, label, ...)
+     * @returns {Object|null} Queued event
+     */
+    trackClick(bannerId, elementId, data) {
+        return this.track("click", bannerId, data, elementId);
+    },
+
+    /**
+     * Record that the viewer closed a banner
+     *
+     * @param {string} bannerId - Banner meta.id
+     * @param {Object} [data] - Details
+     * @returns {Object|null} Queued event
+     */
+    trackClose(bannerId, data) {
+        return this.track("close", bannerId, data);
+    },
+
+    /**
+     * Record that a banner button triggered its action
+     *
+     * @param {string} bannerId - Banner meta.id
+     * @param {string} buttonId - Button id
+     * @param {Object} [data] - Details (label, action, segmentId)
+     * @returns {Object|null} Queued event
+     */
+    trackConversion(bannerId, buttonId, data) {
+        return this.track("conversion", bannerId, data, buttonId);
+    },
+
+    /**
+     * Send queued events, one batch at a time
+     *
+     * Stops at the first batch that cannot be delivered; its events stay in
+     * the offline queue for the next flush or page load.
+     *
+     * @returns {Promise<boolean>} True if the queue was emptied
+     */
+    async flush() {
+        this.clearFlushTimer();
+        if (!this.config?.endpoint || this.sending || !this.consentAllows("firstPartyTracking")) return false;
+        if (typeof navigator !== "undefined" && navigator.onLine === false) {
+            console.log("[LBannerTracking] Offline - keeping events for later");
+            return false;
+        }
+
+        this.sending = true;
+        try {
+            while (this.queue.length > 0) {
+                const batch = this.queue.slice(0, this.config.batchSize);
+                const delivered = await this.sendBatch(batch);
+                if (!delivered) {
+                    this.scheduleFlush();
+                    return false;
+                }
+                this.removeEvents(batch);
+            }
+            return true;
+        } finally {
+            this.sending = false;
+        }
+    },
+
+    /**
+     * Send everything synchronously with sendBeacon while the page unloads
+     *
+     * Events the browser does not accept stay in the offline queue.
+     */
+    flushOnUnload() {
+        this.clearFlushTimer();
+        if (!this.config?.endpoint || typeof navigator === "undefined" || !navigator.sendBeacon) return;
+        if (!this.consentAllows("firstPartyTracking")) return;
+
+        while (this.queue.length > 0) {
+            const batch = this.queue.slice(0, this.config.batchSize);
+            if (!navigator.sendBeacon(this.config.endpoint, this.buildBody(batch))) break;
+            this.removeEvents(batch);
+        }
+        // The page may not come back to run a pending save
+        this.writeQueue();
+    },
+
+    /**
+     * Deliver one batch: sendBeacon first, fetch with keepalive as fallback
+     *
+     * @param {Array<Object>} batch - Events to send
+     * @returns {Promise<boolean>} True if the batch was handed off or accepted by the server
+     */
+    async sendBatch(batch) {
+        const body = this.buildBody(batch);
+        try {
+            if (typeof navigator !== "undefined" && navigator.sendBeacon && navigator.sendBeacon(this.config.endpoint, body)) {
+                return true;
+            }
+        } catch (err) {
+            console.warn("[LBannerTracking] sendBeacon failed, falling back to fetch:", err);
+        }
+
+        try {
+            const headers = { "Content-Type": "text/plain;charset=UTF-8" };
+            if (this.config.apiKey) headers["x-api-key"] = this.config.apiKey;
+            const response = await fetch(this.config.endpoint, {
+                method: "POST",
+                headers: headers,
+                body: body,
+                keepalive: true,
+                credentials: "omit",
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return true;
+        } catch (err) {
+            console.warn(`[LBannerTracking] Delivery of ${batch.length} event(s) failed - queued for retry:`, err.message);
+            return false;
+        }
+    },
+
+    /**
+     * Serialize a batch request body
+     *
+     * @param {Array<Object>} batch - Events to send
+     * @returns {string} JSON batch body
+     */
+    buildBody(batch) {
+        return JSON.stringify({
+            schemaVersion: this.SCHEMA_VERSION,
+            apiKey: this.config?.apiKey || null,
+            sentAt: new Date().toISOString(),
+            events: batch,
+        });
+    },
+
+    /**
+     * Remove delivered events from the queue and persist it
+     *
+     * @param {Array<Object>} batch - Delivered events
+     */
+    removeEvents(batch) {
+        const delivered = new Set(batch.map((event) => event.id));
+        this.queue = this.queue.filter((event) => !delivered.has(event.id));
+        this.saveQueue();
+    },
+
+    /**
+     * Drop the oldest events beyond maxQueueSize
+     */
+    trimQueue() {
+        const max = (this.config || this.DEFAULTS).maxQueueSize;
+        if (this.queue.length > max) {
+            console.warn(`[LBannerTracking] Queue full - dropping ${this.queue.length - max} oldest event(s)`);
+            this.queue = this.queue.slice(this.queue.length - max);
+        }
+    },
+
+    /**
+     * Send a partial batch after flushInterval
+     */
+    scheduleFlush() {
+        if (this.flushTimer || !this.config?.endpoint) return;
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush();
+        }, this.config.flushInterval);
+    },
+
+    /**
+     * Cancel a scheduled flush
+     */
+    clearFlushTimer() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+    },
+
+    /**
+     * Read the offline queue from localStorage
+     *
+     * @returns {Array<Object>} Stored events (empty if none or unreadable)
+     */
+    loadQueue() {
+        try {
+            const raw = window.localStorage.getItem((this.config || this.DEFAULTS).storageKey);
+            const stored = raw ? JSON.parse(raw) : [];
+            return Array.isArray(stored) ? stored.filter((event) => event && event.id && event.type) : [];
+        } catch (err) {
+            console.warn("[LBannerTracking] Could not read offline queue:", err);
+            return [];
+        }
+    },
+
+    /**
+     * Write the queue to localStorage once it stopped changing for saveDelay
+     * Events tracked in quick succession share one write
+     */
+    saveQueue() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => this.writeQueue(), (this.config || this.DEFAULTS).saveDelay);
+    },
+
+    /**
+     * Write the queue to localStorage now so undelivered events survive a reload
+     */
+    writeQueue() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+        try {
+            const key = (this.config || this.DEFAULTS).storageKey;
+            if (this.queue.length > 0 && this.consentAllows("storage")) {
+                window.localStorage.setItem(key, JSON.stringify(this.queue));
+            } else {
+                window.localStorage.removeItem(key);
+            }
+        } catch (err) {
+            console.warn("[LBannerTracking] Could not persist offline queue:", err);
+        }
+    },
+
+    /**
+     * Flush when the page is hidden or unloaded, retry when back online
+     */
+    attachListeners() {
+        if (this.listenersAttached || typeof window === "undefined") return;
+        this.listenersAttached = true;
+
+        window.addEventListener("pagehide", () => this.flushOnUnload());
+        document.addEventListener("visibilitychange", () => {
+            if (document.visibilityState === "hidden") this.flushOnUnload();
+        });
+        window.addEventListener("online", () => this.flush());
+        window.addEventListener("lbanner-consent-changed", () => this.onConsentChange());
+    },
+
+    /**
+     * Send held events once consent is given, drop them if it is refused
+     */
+    onConsentChange() {
+        if (this.consentPending()) return;
+        if (!this.consentAllows("firstPartyTracking")) {
+            if (this.queue.length > 0) {
+                console.log(`[LBannerTracking] No consent for first-party tracking - dropping ${this.queue.length} event(s)`);
+            }
+            this.queue = [];
+            this.clearFlushTimer();
+        }
+        this.writeQueue();
+        if (this.queue.length > 0) this.flush();
+    },
+
+    /**
+     * Log a message about a single event when the debug option is on
+     *
+     * @param {...*} args - Message and values, as for console.log
+     */
+    debug(...args) {
+        if ((this.config || this.DEFAULTS).debug) {
+            console.log("[LBannerTracking]", ...args);
+        }
+    },
+
+    /**
+     * Whether consent allows a use (always true without LBannerConsent)
+     *
+     * @param {string} use - "storage" or "firstPartyTracking"
+     * @returns {boolean} True if allowed
+     */
+    consentAllows(use) {
+        return !window.LBannerConsent || window.LBannerConsent.allows(use);
+    },
+
+    /**
+     * Whether the CMP has not answered yet
+     *
+     * @returns {boolean} True while consent is pending
+     */
+    consentPending() {
+        return window.LBannerConsent?.state.status === "pending";
+    },
+
+    /**
+     * Generate a unique id
+     *
+     * @param {string} prefix - Id prefix ("evt", "ses")
+     * @returns {string} Id such as evt_lx3k2c_9f8a7b6c
+     */
+    generateId(prefix) {
+        const random =
+            typeof crypto !== "undefined" && crypto.getRandomValues
+                ? Array.from(crypto.getRandomValues(new Uint8Array(4)), (byte) => byte.toString(16).padStart(2, "0")).join("")
+                : Math.random().toString(16).slice(2, 10).padEnd(8, "0");
+        return `${prefix}_${Date.now().toString(36)}_${random}`;
+    },
+};
+
+/**
+ * Export LBannerTracking globally for use in other modules
+ * Makes tracking available on window object for main.js and analytics.js
+ */
+if (typeof window !== "undefined") {
+    window.LBannerTracking = LBannerTracking;
+}
@@ -0,0 +1,249 @@
+/**
+ * L-Banner Viewability Module
+ *
+ * Measures the viewability of rendered banner segments by the MRC display
+ * standard: a segment is viewable once at least 50% of its pixels have been
+ * in view for 1 continuous second.
+ *
+ * The in-view share of a segment is sampled every 100 ms as the part of its
+ * box that lies inside the viewport and inside the player shell (so segments
+ * clipped by the shell do not count). Nothing is in view while the page is
+ * hidden, or while another element than the player is fullscreen.
+ *
+ * Results are reported through LBannerTracking:
+ * - viewable: a segment met the standard (once per segment and display)
+ * - non-viewable: the display ended before the segment met the standard
+ * - time-in-view: per display, the cumulative time any segment was in view
+ */
+
+const LBannerViewability = {
+    /**
+     * Share of a segment's pixels that must be in view
+     */
+    AREA_THRESHOLD: 0.5,
+
+    /**
+     * Continuous time in view, in milliseconds, that makes a segment viewable
+     */
+    DURATION_MS: 1000,
+
+    /**
+     * Sampling interval in milliseconds
+     */
+    SAMPLE_INTERVAL_MS: 100,
+
+    /**
+     * Current time in milliseconds
+     * Replaceable to drive measurements with a simulated clock
+     *
+     * @returns {number} Timestamp in milliseconds
+     */
+    now() {
+        return typeof performance !== "undefined" ? performance.now() : Date.now();
+    },
+
+    /**
+     * Start measuring a rendered banner
+     *
+     * @param {Object} options - Measurement options
+     * @param {string} options.bannerId - Banner meta.id used for reporting
+     * @param {Array<Object>} options.segments - Rendered segments: { id, node }
+     * @param {HTMLElement} [options.clipElement] - Element whose box clips the segments (player shell)
+     * @param {Function} [options.onSegmentViewable] - Called with the segment id when a segment becomes viewable
+     * @returns {Object} Measurement with sample() and stop(); stop() returns the summary
+     */
+    measure(options) {
+        const { bannerId, clipElement = null, onSegmentViewable } = options;
+        const startedAt = this.now();
+        let lastSample = startedAt;
+        let anyInView = false;
+        let bannerTimeInView = 0;
+        let stopped = false;
+        let summary = null;
+
+        const segments = (options.segments || []).map((segment) => ({
+            id: segment.id,
+            node: segment.node,
+            inView: false,
+            runStart: null,
+            timeInView: 0,
+            viewable: false,
+        }));
+
+        const sample = () => {
+            if (stopped) return;
+            const now = this.now();
+            const elapsed = now - lastSample;
+            lastSample = now;
+
+            // Time since the previous sample counts if the banner was in view then
+            if (anyInView) bannerTimeInView += elapsed;
+            anyInView = false;
+
+            const pageVisible = this.isPageVisible();
+            segments.forEach((segment) => {
+                if (segment.inView) segment.timeInView += elapsed;
+
+                const inView =
+                    pageVisible &&
+                    this.isFullscreenCompatible(segment.node) &&
+                    this.visibleFraction(segment.node, clipElement) >= this.AREA_THRESHOLD;
+
+                if (inView && !segment.inView) segment.runStart = now;
+                if (!inView) segment.runStart = null;
+                segment.inView = inView;
+                anyInView = anyInView || inView;
+
+                if (inView && !segment.viewable && now - segment.runStart >= this.DURATION_MS) {
+                    segment.viewable = true;
+                    this.report("trackViewable", bannerId, {
+                        segmentId: segment.id,
+                        timeInView: Math.round(segment.timeInView),
+                    });
+                    if (typeof onSegmentViewable === "function") onSegmentViewable(segment.id);
+                }
+            });
+        };
+
+        const timer = setInterval(sample, this.SAMPLE_INTERVAL_MS);
+        const onVisibilityChange = () => sample();
+        const onPageHide = () => measurement.stop("unload");
+        if (typeof document !== "undefined") {
+            document.addEventListener("visibilitychange", onVisibilityChange);
+        }
+        if (typeof window !== "undefined") {
+            // Capture phase: report before LBannerTracking flushes on pagehide
+            window.addEventListener("pagehide", onPageHide, { capture: true });
+        }
+
+        const measurement = {
+            sample,
+
+            /**
+             * Stop measuring and report non-viewable segments and time in view
+             *
+             * @param {string} [reason="hidden"] - Why the display ended (hidden, unload, ...)
+             * @returns {Object} Summary { timeInView, displayTime, viewable, segments }
+             */
+            stop: (reason = "hidden") => {
+                if (stopped) return summary;
+                sample();
+                stopped = true;
+                clearInterval(timer);
+                if (typeof document !== "undefined") {
+                    document.removeEventListener("visibilitychange", onVisibilityChange);
+                }
+                if (typeof window !== "undefined") {
+                    window.removeEventListener("pagehide", onPageHide, { capture: true });
+                }
+
+                segments
+                    .filter((segment) => !segment.viewable)
+                    .forEach((segment) => {
+                        this.report("trackNonViewable", bannerId, {
+                            segmentId: segment.id,
+                            timeInView: Math.round(segment.timeInView),
+                        });
+                    });
+
+                summary = {
+                    timeInView: Math.round(bannerTimeInView),
+                    displayTime: Math.round(this.now() - startedAt),
+                    viewable: segments.some((segment) => segment.viewable),
+                    segments: segments.reduce((acc, segment) => {
+                        acc[segment.id] = { timeInView: Math.round(segment.timeInView), viewable: segment.viewable };
+                        return acc;
+                    }, {}),
+                };
+                this.report("trackTimeInView", bannerId, { ...summary, reason });
+                console.log("[LBannerViewability] Measurement ended:", bannerId, summary);
+                return summary;
+            },
+        };
+
+        sample();
+        return measurement;
+    },
+
+    /**
+     * Share of an element's box inside the viewport and the clip element
+     *
+     * @param {HTMLElement} node - Measured element
+     * @param {HTMLElement|null} clipElement - Element whose box clips the node
+     * @returns {number} Visible share from 0 to 1
+     */
+    visibleFraction(node, clipElement) {
+        if (!node || !node.isConnected) return 0;
+        const rect = node.getBoundingClientRect();
+        const area = rect.width * rect.height;
+        if (!(area > 0)) return 0;
+
+        let visible = this.intersect(rect, {
+            left: 0,
+            top: 0,
+            right: window.innerWidth || document.documentElement.clientWidth,
+            bottom: window.innerHeight || document.documentElement.clientHeight,
+        });
+        if (visible && clipElement) {
+            visible = this.intersect(visible, clipElement.getBoundingClientRect());
+        }
+        if (!visible) return 0;
+        return ((visible.right - visible.left) * (visible.bottom - visible.top)) / area;
+    },
+
+    /**
+     * Intersection of two client rects
+     *
+     * @param {Object} a - Rect with left, top, right, bottom
+     * @param {Object} b - Rect with left, top, right, bottom
+     * @returns {Object|null} Intersection rect, or null if they do not overlap
+     */
+    intersect(a, b) {
+        const left = Math.max(a.left, b.left);
+        const top = Math.max(a.top, b.top);
+        const right = Math.min(a.right, b.right);
+        const bottom = Math.min(a.bottom, b.bottom);
+        return right > left && bottom > top ? { left, top, right, bottom } : null;
+    },
+
+    /**
+     * Whether the page is visible to the viewer
+     *
+     * @returns {boolean} False while the tab is hidden or minimized
+     */
+    isPageVisible() {
+        return typeof document === "undefined" || document.visibilityState !== "hidden";
+    },
+
+    /**
+     * Whether fullscreen mode leaves an element visible
+     *
+     * @param {HTMLElement} node - Measured element
+     * @returns {boolean} False if another element (e.g. a different video) is fullscreen
+     */
+    isFullscreenCompatible(node) {
+        const fullscreenElement = document.fullscreenElement || document.webkitFullscreenElement || null;
+        return !fullscreenElement || fullscreenElement.contains(node);
+    },
+
+    /**
+     * Report a measurement result through LBannerTracking
+     *
+     * @param {string} method - LBannerTracking method name
+     * @param {string} bannerId - Banner meta.id
+     * @param {Object} data - Event details
+     */
+    report(method, bannerId, data) {
+        if (window.LBannerTracking && bannerId) {
+            window.LBannerTracking[method](bannerId, data);
+        }
+    },
+};
+
+/**
+ * Export LBannerViewability globally for use in other modules
+ * Makes viewability measurement available on window object for analytics.js
+ */
+if (typeof window !== "undefined") {
+    window.LBannerViewability = LBannerViewability;
+}
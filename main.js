@@ -3,17 +3,20 @@
  * 
  * This is the main entry point for the L-Banner system. It:
  * - Fetches and parses VAST XML to extract banner configurations
- * - Initializes Shaka Player for video playback
+ * - Connects the video player (Shaka, native <video>, hls.js or video.js) through LBannerPlayers
  * - Sets up time-based banner display triggers
- * - Coordinates between video player, banner analytics, and VSAT parser
+ * - Coordinates between video player, banner renderer, analytics, and VSAT parser
  * - Handles pause/play banner display logic
  * 
- * The module provides the initLBanner() function which initializes the entire system.
+ * The module provides the initLBanner() function which initializes one player.
+ * Every call creates an independent player (own configuration, banners, video
+ * player, DOM container, renderer, analytics and storage namespace), so several
+ * players can run side by side on one page.
  */
 
 /**
- * Global configuration object - set by init script
- * Stores API keys, URLs, and feature flags for the L-Banner system
+ * Default configuration - set by init script for auto-initialization
+ * Stores API keys, URLs, and feature flags; each player starts from a copy
  */
 let CONFIG = {
   API_KEY: null, // API key for ad server authentication
@@ -23,26 +26,35 @@ let CONFIG = {
   CONTAINER_ID: "player-shell", // DOM ID of player container
   ENABLE_COOKIE_TRACKING: true, // Enable/disable cookie-based banner tracking
   SHOW_BANNERS_ON_PAUSE: false, // Show banners when video is paused
+  STRICT: false, // Refuse creatives that fail VSATParser.validate()
+  MAX_WRAPPER_DEPTH: 5, // Maximum number of VAST Wrapper hops to follow
+  WRAPPER_TIMEOUT_MS: 5000, // Timeout for each VAST request in a wrapper chain
 };
 
 /**
- * Store parsed VSAT banners (dynamically loaded from VAST URL)
- * Keyed by ad ID, contains parsed banner configuration objects
+ * Players initialized on this page, in initialization order
+ * Each entry is the internal player context created by initLBanner()
  */
-const parsedBanners = {};
+const players = [];
+
+/**
+ * Namespace of a player in the default container
+ * Its interaction state keeps the storage key used before several players were supported
+ */
+const DEFAULT_NAMESPACE = "player-shell";
 
 /**
  * Resolve the effective video source for playback.
  * Priority:
  *   1. Explicit argument passed to initLBanner
- *   2. data-video-src / data-src attributes on #video-element
- *   3. src attribute on #video-element
+ *   2. data-video-src / data-src attributes on the player's video element
+ *   3. src attribute on the player's video element
  * @param {string|null|undefined} explicitUrl
+ * @param {HTMLVideoElement|null} video - Video element of the player
  * @returns {string|null}
  */
-function resolveInitialVideoSource(explicitUrl) {
+function resolveInitialVideoSource(explicitUrl, video) {
   if (explicitUrl) return explicitUrl;
-  const video = document.getElementById("video-element");
   if (!video) return null;
   return (
     video.dataset.videoSrc ||
@@ -74,108 +86,451 @@ function getFirstMediaUrl(banners) {
 }
 
 /**
- * Fetch VAST XML from URL and parse all ads
+ * Create a structured error carrying a VAST error code
  * 
- * Downloads VAST XML, parses each Ad element, and extracts L-Banner configurations.
- * Handles multiple ads in a single VAST response by parsing each Ad separately.
+ * Delegates to VASTErrors when available so every rejection has the same shape.
  * 
- * @param {string} vastUrl - URL to fetch VAST XML from
- * @returns {Promise<Object>} Object with parsed banners keyed by ad ID
+ * @param {number} code - VAST error code (see VASTErrors.CODES)
+ * @param {string} message - Error message
+ * @param {Object} [details={}] - Extra context for the error
+ * @returns {Error} Error object with a numeric code property
  */
-async function fetchAndParseVAST(vastUrl) {
-  if (!window.VSATParser) {
-    console.error("[Main] VSATParser not available");
-    return {};
+function createVASTError(code, message, details = {}) {
+  if (window.VASTErrors) {
+    return window.VASTErrors.createError(code, message, details);
+  }
+  const error = new Error(message);
+  error.name = "LBannerError";
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+/**
+ * Ping VAST Error URLs with the given error code (no-op without VASTErrors)
+ * 
+ * @param {Array<string>} urls - Error URLs to ping
+ * @param {number} code - VAST error code
+ * @param {Object|null} banner - Banner the error belongs to
+ * @param {Object} player - Player context whose macros and macro context fill the URLs
+ */
+function reportVASTError(urls, code, banner, player) {
+  if (window.VASTErrors) {
+    window.VASTErrors.report(urls, code, banner, player.config.MACROS, getMacroContext(player));
   }
+}
+
+/**
+ * Expand VAST macros in a request URL (returns the URL unchanged without VASTMacros)
+ * 
+ * @param {string} url - URL that may contain [MACRO] placeholders
+ * @param {Object} player - Player context whose macros and macro context fill the URL
+ * @returns {string} URL with macros expanded
+ */
+function expandMacros(url, player) {
+  if (!url || !window.VASTMacros) return url;
+  return window.VASTMacros.expand(url, getMacroContext(player), player.config.MACROS);
+}
+
+/**
+ * Macro context of a player: its playhead, asset URI, size and state, and the page consent
+ * 
+ * Read whenever one of the player's URLs is expanded, so playhead macros
+ * reflect the current video position and consent macros the latest CMP answer.
+ * Every player passes its own context - URLs never describe another player.
+ * 
+ * @param {Object} player - Player context
+ * @returns {Object} Context for VASTMacros.expand
+ */
+function getMacroContext(player) {
+  const adapter = player.adapter;
+  const rect = player.root.getBoundingClientRect();
+  const states = [];
+  if (adapter?.isMuted()) states.push("muted");
+  if (adapter && window.LBannerPlayers.isFullscreen(adapter)) states.push("fullscreen");
+  return {
+    ...(window.LBannerConsent ? window.LBannerConsent.getMacroContext() : {}),
+    contentPlayhead: adapter ? adapter.getCurrentTime() : undefined,
+    mediaPlayhead: adapter ? adapter.getCurrentTime() : undefined,
+    assetUri: player.videoUrl || undefined,
+    playerSize: { width: Math.round(rect.width), height: Math.round(rect.height) },
+    playerState: states.join(",") || undefined,
+  };
+}
+
+/**
+ * Fetch a VAST document and parse it into an XML Document
+ * 
+ * Aborts the request if it does not complete within timeoutMs so a slow
+ * hop in a wrapper chain cannot stall initialization.
+ * 
+ * @param {string} vastUrl - URL to fetch VAST XML from
+ * @param {Object} config - Player configuration (WRAPPER_TIMEOUT_MS, ENABLE_COOKIE_TRACKING)
+ * @returns {Promise<Document>} Parsed VAST XML document
+ * @throws {Error} Structured error with code 301 (timeout), 100 (invalid XML) or 900 (HTTP/network failure)
+ */
+async function fetchVASTDocument(vastUrl, config) {
+  const timeoutMs = config.WRAPPER_TIMEOUT_MS;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
 
   try {
-    console.log(`[Main] Fetching VAST XML from: ${vastUrl}`);
     const response = await fetch(vastUrl, {
       method: "GET",
       headers: {
         Accept: "application/xml, text/xml, */*",
       },
-      credentials: CONFIG.ENABLE_COOKIE_TRACKING ? "include" : "omit",
+      credentials: config.ENABLE_COOKIE_TRACKING ? "include" : "omit",
+      signal: controller.signal,
     });
 
     if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+      throw createVASTError(900, `HTTP error! status: ${response.status}`, {
+        url: vastUrl,
+        status: response.status,
+      });
     }
 
     const xmlText = await response.text();
-    console.log("[Main] VAST XML fetched, parsing...");
+    return parseVASTText(xmlText, vastUrl);
+  } catch (error) {
+    if (error.name === "AbortError") {
+      throw createVASTError(301, `VAST request timed out after ${timeoutMs}ms: ${vastUrl}`, {
+        url: vastUrl,
+      });
+    }
+    if (error.code === undefined) {
+      throw createVASTError(900, error.message, { url: vastUrl, cause: error });
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Parse VAST XML text into an XML Document
+ * 
+ * @param {string} xmlText - VAST XML
+ * @param {string|null} [vastUrl=null] - URL the XML was fetched from (for error details)
+ * @returns {Document} Parsed VAST XML document
+ * @throws {Error} Structured error with code 100 (invalid XML)
+ */
+function parseVASTText(xmlText, vastUrl = null) {
+  const xmlDoc = window.VSATParser.parseXMLDocument(xmlText);
+
+  // Check for parsing errors
+  const parserError = window.VSATParser.getParserError(xmlDoc);
+  if (parserError) {
+    throw createVASTError(100, `Invalid VAST XML format: ${parserError.textContent}`, {
+      url: vastUrl,
+    });
+  }
 
-    // Parse VAST XML - handle both single ad and multiple ads
-    const parser = new DOMParser();
-    const xmlDoc = parser.parseFromString(xmlText, "text/xml");
+  return xmlDoc;
+}
 
-    // Check for parsing errors
-    const parserError = xmlDoc.querySelector("parsererror");
-    if (parserError) {
-      console.error("[Main] Invalid VAST XML format:", parserError.textContent);
-      return {};
-    }
+/**
+ * Check whether a VAST source is XML text rather than a URL
+ * 
+ * @param {string} source - VAST URL or VAST XML
+ * @returns {boolean} True for XML text
+ */
+function isVASTXml(source) {
+  return typeof source === "string" && source.trim().startsWith("<");
+}
 
-    // Find all Ad elements in VAST
-    const adElements = xmlDoc.querySelectorAll("Ad");
-    console.log(`[Main] Found ${adElements.length} ad(s) in VAST`);
+/**
+ * Merge tracking collected from two wrapper levels
+ * 
+ * @param {Object} target - Accumulated wrapper data (impressions, errors, tracking)
+ * @param {Object} source - Wrapper data from VSATParser.parseWrapper
+ * @returns {Object} New wrapper data object containing the URLs of both
+ */
+function mergeWrapperData(target, source) {
+  const tracking = { ...target.tracking };
+  Object.entries(source.tracking || {}).forEach(([event, urls]) => {
+    tracking[event] = (tracking[event] || []).concat(urls);
+  });
+  return {
+    impressions: target.impressions.concat(source.impressions || []),
+    errors: target.errors.concat(source.errors || []),
+    tracking,
+  };
+}
 
-    const banners = {};
+/**
+ * Resolve an Ad element to its InLine ad(s), following Wrapper chains
+ * 
+ * Each Wrapper's VASTAdTagURI is fetched and every Ad in the response is
+ * resolved recursively. Impression, Error and TrackingEvents URLs from each
+ * wrapper level are accumulated so they can be merged into the final banner.
+ * 
+ * Chains are abandoned (with a warning) when they exceed config.MAX_WRAPPER_DEPTH,
+ * revisit a URL already requested in the same chain, or a hop fails/times out.
+ * In that case the Error URLs of every wrapper level are pinged with the
+ * matching VAST error code, and the code is recorded in chain.failures.
+ * 
+ * @param {Element} adEl - Ad XML element (InLine or Wrapper)
+ * @param {string} vastVersion - VAST version of the document containing adEl
+ * @param {Object} chain - Resolution state for the current chain
+ * @param {number} chain.depth - Number of wrappers followed so far
+ * @param {Set<string>} chain.visited - URLs already requested in this chain
+ * @param {Object} chain.wrapperData - Accumulated wrapper impressions, errors, tracking
+ * @param {Array<number>} chain.failures - Shared list of VAST error codes hit while resolving
+ * @param {Object} player - Player context (config.MAX_WRAPPER_DEPTH, config.WRAPPER_TIMEOUT_MS, macros)
+ * @returns {Promise<Array<Object>>} Resolved InLine ads as { adEl, vastVersion, wrapperData }
+ */
+async function resolveAdChain(adEl, vastVersion, chain, player) {
+  const { config } = player;
+  const wrapper = window.VSATParser.parseWrapper(adEl);
+  if (!wrapper) {
+    return [{ adEl, vastVersion, wrapperData: chain.wrapperData }];
+  }
 
-    adElements.forEach((adEl, index) => {
-      // Extract Ad ID if available
-      const adId =
-        adEl.getAttribute("id") ||
-        adEl.querySelector("AdSystem")?.textContent?.trim() ||
-        `ad_${index}`;
+  const wrapperData = mergeWrapperData(chain.wrapperData, wrapper);
+  const fail = (code, message) => {
+    console.warn(`[Main] ${message}`);
+    chain.failures.push(code);
+    reportVASTError(wrapperData.errors, code, null, player);
+    return [];
+  };
 
-      // Serialize the Ad element to XML string
-      const serializer = new XMLSerializer();
-      const adXml = serializer.serializeToString(adEl);
+  const adTagUri = wrapper.adTagUri;
+  if (!adTagUri) {
+    return fail(300, "Wrapper ad has no VASTAdTagURI - skipping");
+  }
+  if (chain.depth >= config.MAX_WRAPPER_DEPTH) {
+    return fail(
+      302,
+      `Wrapper depth limit (${config.MAX_WRAPPER_DEPTH}) reached - not following ${adTagUri}`
+    );
+  }
+  if (chain.visited.has(adTagUri)) {
+    return fail(300, `Wrapper loop detected - ${adTagUri} was already requested`);
+  }
 
-      // Get VAST version from root element
-      const vastVersion = xmlDoc.documentElement.getAttribute("version") || "4.0";
+  let xmlDoc;
+  try {
+    console.log(`[Main] Following wrapper (depth ${chain.depth + 1}): ${adTagUri}`);
+    xmlDoc = await fetchVASTDocument(expandMacros(adTagUri, player), config);
+  } catch (error) {
+    // Anything other than a timeout or XML error is a general wrapper failure
+    const code = error.code === 301 || error.code === 100 ? error.code : 300;
+    return fail(code, `Failed to resolve wrapper: ${error.message}`);
+  }
 
-      // Create a complete VAST XML document for this ad
-      const fullVastXml = `<?xml version="1.0" encoding="UTF-8"?><VAST version="${vastVersion}">${adXml}</VAST>`;
+  const childAds = window.VSATParser.getChildren(xmlDoc.documentElement, "Ad");
+  if (childAds.length === 0) {
+    return fail(303, `Wrapper response has no ads: ${adTagUri}`);
+  }
 
-      // Parse using VSATParser
-      const parsed = window.VSATParser.parseVSAT(fullVastXml);
+  const nextChain = {
+    depth: chain.depth + 1,
+    visited: new Set([...chain.visited, adTagUri]),
+    wrapperData,
+    failures: chain.failures,
+  };
+  const nextVersion = xmlDoc.documentElement.getAttribute("version") || vastVersion;
 
-      if (parsed) {
-        banners[adId] = parsed;
-        const timing = parsed?.configuration?.timing;
-        console.log(`[Main] ✓ Parsed ad '${adId}'`);
-        console.log(`  └─ Timing: ${timing?.startOffset}s - ${timing?.endOffset}s`);
-        console.log(`  └─ Position: ${parsed?.configuration?.layout?.position}`);
-      } else {
-        console.warn(`[Main] ✗ Failed to parse ad '${adId}'`);
-      }
-    });
+  const resolved = [];
+  for (const childAd of childAds) {
+    resolved.push(...(await resolveAdChain(childAd, nextVersion, nextChain, player)));
+  }
+  return resolved;
+}
+
+/**
+ * Merge tracking URLs accumulated from wrapper levels into a parsed banner
+ * 
+ * Wrapper Impression and Error URLs are appended to banner.impressions and
+ * banner.errors. Wrapper Linear tracking events are appended to banner.media.tracking.
+ * 
+ * @param {Object} banner - Banner parsed from the InLine ad
+ * @param {Object} wrapperData - Accumulated wrapper impressions, errors, tracking
+ */
+function applyWrapperData(banner, wrapperData) {
+  banner.impressions = (banner.impressions || []).concat(wrapperData.impressions);
+  banner.errors = (banner.errors || []).concat(wrapperData.errors);
+
+  if (Object.keys(wrapperData.tracking).length === 0) return;
+  if (!banner.media) {
+    banner.media = {
+      duration: null,
+      clickThrough: "",
+      deepLink: "",
+      tracking: {},
+      files: [],
+      primaryUrl: null,
+    };
+  }
+  Object.entries(wrapperData.tracking).forEach(([event, urls]) => {
+    banner.media.tracking[event] = (banner.media.tracking[event] || []).concat(urls);
+  });
+}
+
+/**
+ * Log validation diagnostics for an ad
+ * 
+ * @param {string} adId - Ad identifier used in log messages
+ * @param {Object} diagnostics - Result of VSATParser.validate()
+ */
+function logDiagnostics(adId, diagnostics) {
+  diagnostics.errors.forEach(({ path, message }) => {
+    console.warn(`[Main] Validation error in '${adId}' at ${path}: ${message}`);
+  });
+  diagnostics.warnings.forEach(({ path, message }) => {
+    console.log(`[Main] Validation warning in '${adId}' at ${path}: ${message}`);
+  });
+}
+
+/**
+ * Fetch VAST XML from URL and parse all ads
+ * 
+ * Downloads VAST XML (or takes VAST XML passed directly), resolves Wrapper ads to their InLine ads, parses each
+ * Ad element, and extracts L-Banner configurations.
+ * Handles multiple ads in a single VAST response by parsing each Ad separately.
+ * Ads that fail to parse have their Error URLs pinged with the matching code.
+ * Every ad is validated first; in strict mode ads with validation errors are refused (101).
+ * 
+ * @param {string} vastUrl - URL to fetch VAST XML from, or the VAST XML itself
+ * @param {Object} player - Player context (config: STRICT, wrapper limits, macros)
+ * @returns {Promise<Object>} Object with parsed banners keyed by ad ID
+ * @throws {Error} Structured error with a VAST error code if no banner could be parsed
+ */
+async function fetchAndParseVAST(vastUrl, player) {
+  const { config } = player;
+  if (!window.VSATParser) {
+    console.error("[Main] VSATParser not available");
+    throw createVASTError(900, "VSATParser not available");
+  }
 
-    console.log(`[Main] Total banners parsed: ${Object.keys(banners).length}`);
-    return banners;
+  const inline = isVASTXml(vastUrl);
+  console.log(inline ? "[Main] Parsing VAST XML passed directly" : `[Main] Fetching VAST XML from: ${vastUrl}`);
+  let xmlDoc;
+  try {
+    xmlDoc = inline ? parseVASTText(vastUrl) : await fetchVASTDocument(expandMacros(vastUrl, player), config);
   } catch (error) {
     console.error("[Main] Failed to fetch/parse VAST:", error);
-    return {};
+    throw error;
+  }
+  console.log("[Main] VAST XML fetched, parsing...");
+
+  // Find all Ad elements in VAST
+  const adElements = window.VSATParser.getChildren(xmlDoc.documentElement, "Ad");
+  console.log(`[Main] Found ${adElements.length} ad(s) in VAST`);
+
+  // Get VAST version from root element
+  const vastVersion = xmlDoc.documentElement.getAttribute("version") || "4.0";
+
+  // Resolve wrapper chains down to InLine ads
+  const failures = [];
+  const resolvedAds = [];
+  for (const adEl of adElements) {
+    resolvedAds.push(
+      ...(await resolveAdChain(adEl, vastVersion, {
+        depth: 0,
+        visited: new Set(inline ? [] : [vastUrl]),
+        wrapperData: { impressions: [], errors: [], tracking: {} },
+        failures,
+      }, player))
+    );
+  }
+
+  const banners = {};
+  const serializer = new XMLSerializer();
+
+  resolvedAds.forEach(({ adEl, vastVersion: adVastVersion, wrapperData }, index) => {
+    // Extract Ad ID if available
+    const adId =
+      adEl.getAttribute("id") ||
+      window.VSATParser.getChildText(adEl, "InLine", "AdSystem") ||
+      `ad_${index}`;
+
+    // Serialize the Ad element to XML string
+    const adXml = serializer.serializeToString(adEl);
+
+    // Create a complete VAST XML document for this ad
+    const fullVastXml = `<?xml version="1.0" encoding="UTF-8"?><VAST version="${adVastVersion}">${adXml}</VAST>`;
+
+    // Validate first - in strict mode creatives with errors are refused
+    const diagnostics = window.VSATParser.validate(fullVastXml);
+    logDiagnostics(adId, diagnostics);
+    if (config.STRICT && !diagnostics.valid) {
+      console.warn(`[Main] ✗ Strict mode: refusing ad '${adId}' (${diagnostics.errors.length} error(s))`);
+      failures.push(101);
+      const adErrors = window.VSATParser.parseUrlList(window.VSATParser.getChild(adEl, "InLine"), "Error");
+      reportVASTError(adErrors.concat(wrapperData.errors), 101, null, player);
+      return;
+    }
+
+    // Parse using VSATParser
+    const parsed = window.VSATParser.parseVSAT(fullVastXml);
+
+    if (parsed) {
+      applyWrapperData(parsed, wrapperData);
+      banners[adId] = parsed;
+      const timing = parsed?.configuration?.timing;
+      console.log(`[Main] ✓ Parsed ad '${adId}'`);
+      console.log(`  └─ Timing: ${timing?.startOffset}s - ${timing?.endOffset}s`);
+      console.log(`  └─ Position: ${parsed?.configuration?.layout?.position}`);
+    } else {
+      const code = window.VSATParser.lastErrorCode || 900;
+      console.warn(`[Main] ✗ Failed to parse ad '${adId}' (VAST error ${code})`);
+      failures.push(code);
+      const adErrors = window.VSATParser.parseUrlList(window.VSATParser.getChild(adEl, "InLine"), "Error");
+      reportVASTError(adErrors.concat(wrapperData.errors), code, null, player);
+    }
+  });
+
+  console.log(`[Main] Total banners parsed: ${Object.keys(banners).length}`);
+
+  // Windows can also overlap across separate VAST documents (wrapper chains)
+  warnOverlappingWindows(banners);
+
+  if (Object.keys(banners).length === 0) {
+    // Report the first concrete failure, or "no ads" for an empty response
+    const code = failures[0] || 303;
+    throw createVASTError(code, "No valid banners found in VAST XML", {
+      url: inline ? null : vastUrl,
+      failures,
+    });
   }
+  return banners;
+}
+
+/**
+ * Warn about banners whose display windows overlap
+ * 
+ * @param {Object} banners - Parsed banners keyed by ad ID, in priority order
+ */
+function warnOverlappingWindows(banners) {
+  const windows = Object.entries(banners)
+    .map(([adId, banner]) => ({ adId, timing: banner.configuration.timing }))
+    .filter(({ timing }) => timing.startOffset !== null && timing.endOffset !== null);
+  window.VSATParser.findOverlappingWindows(windows).forEach(({ first, second }) => {
+    console.warn(
+      `[Main] Display window of '${second.adId}' overlaps '${first.adId}' - only '${first.adId}' will show during the overlap`
+    );
+  });
 }
 
 /**
  * Get banner data by key or return first available banner
  * 
  * If bannerKey is provided and exists, returns that banner.
- * Otherwise returns the first available banner from parsedBanners.
+ * Otherwise returns the first available banner of the player.
  * 
+ * @param {Object} banners - Parsed banners of a player, keyed by ad ID
  * @param {string} [bannerKey=null] - Optional banner key to retrieve specific banner
  * @returns {Object|null} Banner data object or null if no banners available
  */
-function getBannerData(bannerKey = null) {
-  if (bannerKey && parsedBanners[bannerKey]) {
-    return parsedBanners[bannerKey];
+function getBannerData(banners, bannerKey = null) {
+  if (bannerKey && banners[bannerKey]) {
+    return banners[bannerKey];
   }
   // Return first available banner
-  return Object.values(parsedBanners)[0] || null;
+  return Object.values(banners)[0] || null;
 }
 
 /**
@@ -183,44 +538,50 @@ function getBannerData(bannerKey = null) {
  * 
  * Preloads all image URLs from banner segments to ensure they're cached
  * and ready for immediate display when banners are shown.
+ * The preload links are returned per banner, so removing a banner can remove its links.
  * 
  * @param {Object} banners - Object containing parsed banner configurations
+ * @returns {Map<string, Array<HTMLLinkElement>>} Preload <link> elements added to the document head, by banner key
  */
 function prefetchBannerImages(banners) {
+  const linksByBanner = new Map();
   if (!banners || typeof banners !== "object") {
     console.warn("[Main] No banners provided for prefetching");
-    return;
+    return linksByBanner;
   }
 
-  const imageUrls = new Set();
+  const imageUrls = new Map();
 
-  // Collect all image URLs from all banners
-  Object.values(banners).forEach((banner) => {
+  // Collect the image URLs of each banner
+  Object.entries(banners).forEach(([key, banner]) => {
     if (!banner?.configuration?.content?.elements) return;
+    const urls = new Set();
 
     banner.configuration.content.elements.forEach((element) => {
       // Get image URL from media
       if (element.type === "image" && element.media?.url) {
-        imageUrls.add(element.media.url);
+        urls.add(element.media.url);
       }
       // Also check for video URLs (they might be used as media)
       if (element.type === "video" && element.media?.url) {
-        imageUrls.add(element.media.url);
+        urls.add(element.media.url);
       }
     });
+    if (urls.size > 0) imageUrls.set(key, urls);
   });
 
-  if (imageUrls.size === 0) {
+  const urlCount = [...imageUrls.values()].reduce((count, urls) => count + urls.size, 0);
+  if (urlCount === 0) {
     console.log("[Main] No images found to prefetch");
-    return;
+    return linksByBanner;
   }
 
   console.log(
-    `[Main] Prefetching ${imageUrls.size} banner image(s)...`
+    `[Main] Prefetching ${urlCount} banner image(s)...`
   );
 
   // Prefetch each image
-  imageUrls.forEach((url) => {
+  imageUrls.forEach((urls, key) => urls.forEach((url) => {
     if (!url || url.trim() === "") return;
 
     // Use link preload for better performance
@@ -230,6 +591,8 @@ function prefetchBannerImages(banners) {
     link.href = url;
     link.crossOrigin = "anonymous";
     document.head.appendChild(link);
+    if (!linksByBanner.has(key)) linksByBanner.set(key, []);
+    linksByBanner.get(key).push(link);
 
     // Also preload using Image object for immediate cache
     const img = new Image();
@@ -242,302 +605,509 @@ function prefetchBannerImages(banners) {
         `[Main] ✗ Failed to prefetch image: ${url.substring(0, 50)}...`
       );
     };
-  });
+  }));
 
   console.log(
-    `[Main] Image prefetching initiated for ${imageUrls.size} image(s)`
+    `[Main] Image prefetching initiated for ${urlCount} image(s)`
   );
+  return linksByBanner;
 }
 
 /**
- * Initialize Shaka Player for video playback
- * 
- * Creates Shaka Player instance with UI overlay and loads video URL.
- * Configures control panel with standard playback controls.
- * 
- * @param {string} videoUrl - Video URL to load into player
- * @returns {Promise<Object>} Shaka player instance
- * @throws {Error} If Shaka Player library is not loaded
- */
-async function initShaka(videoUrl) {
-  if (!window.shaka) throw new Error("Shaka Player failed to load");
-  const video = document.getElementById("video-element");
-  const container = document.getElementById(CONFIG.CONTAINER_ID || "player-shell");
-  const player = new shaka.Player(video);
-  const ui = new shaka.ui.Overlay(player, container, video);
-  ui.configure({
-    controlPanelElements: [
-      "play_pause",
-      "time_and_duration",
-      "mute",
-      "spacer",
-      "volume",
-      "captions",
-      "fullscreen",
-    ],
-  });
-  try {
-    if (videoUrl) {
-      await player.load(videoUrl);
-    }
-  } catch (err) {
-    console.error("[Main] Shaka load error", err);
-  }
-  return player;
+ * Remove the preload links of a player's banner
+ * 
+ * @param {Object} player - Player context
+ * @param {string} bannerId - Banner key in player.banners
+ */
+function removePreloadLinks(player, bannerId) {
+  player.preloadLinks.get(bannerId)?.forEach((link) => link.remove());
+  player.preloadLinks.delete(bannerId);
 }
 
 /**
- * Find which banner should be displayed at a given video time
+ * Create the player adapter and load the video
  * 
- * Checks all parsed banners to find one whose timing range includes the current time.
- * Uses startOffset and endOffset from VSAT Display timing configuration.
+ * Without a video URL nothing is loaded: the native adapter then only observes
+ * the video element (e.g. one driven by a player the page set up itself).
+ * An existing library instance keeps playing what the page loaded into it.
+ * Playback errors are reported to the Error URLs of the Ad providing the video.
+ * Destroying the adapter and its error listener are added to player.cleanups.
  * 
- * @param {number} timeInSeconds - Current video playback time in seconds
- * @returns {Object} Object with 'key' (banner ID) and 'banner' (banner data), or null values
+ * @param {Object} player - Player context (video element, container, banners)
+ * @param {string|Object} [playerOption] - Player option of initLBanner (see LBannerPlayers.resolve)
+ * @returns {Promise<Object>} Player adapter
+ * @throws {Error} If the player library is not loaded or the adapter cannot be created
  */
-function findBannerForTime(timeInSeconds) {
-  for (const [key, banner] of Object.entries(parsedBanners)) {
-    const startOffset = banner?.configuration?.timing?.startOffset;
-    const endOffset = banner?.configuration?.timing?.endOffset;
-
-    if (
-      startOffset !== null &&
-      startOffset !== undefined &&
-      endOffset !== null &&
-      endOffset !== undefined &&
-      timeInSeconds >= startOffset &&
-      timeInSeconds < endOffset
-    ) {
-      return { key, banner };
+async function initPlayback(player, playerOption) {
+  const { instance, adapter: customAdapter } = window.LBannerPlayers.resolve(playerOption);
+  const observeOnly = !player.videoUrl && !instance && !customAdapter;
+  const adapter = window.LBannerPlayers.create(observeOnly ? "native" : playerOption, {
+    video: player.video,
+    container: player.root,
+  });
+  player.cleanups.push(() => adapter.destroy());
+
+  player.cleanups.push(adapter.on("error", (error) => {
+    console.error(`[Main] ${adapter.type} playback error`, error);
+    const code = reportMediaError(player, error);
+    emitPlayerEvent(player, "error", { reason: "playback", code, message: error?.message || null, error });
+  }));
+  if (player.videoUrl && !instance) {
+    try {
+      await adapter.load(player.videoUrl);
+    } catch (err) {
+      console.error(`[Main] ${adapter.type} load error`, err);
+      reportMediaError(player, err);
     }
   }
+  return adapter;
+}
 
-  return { key: null, banner: null };
+/**
+ * Find parsed banners whose Linear MediaFiles include the given video URL
+ * 
+ * @param {Object} banners - Parsed banners of a player, keyed by ad ID
+ * @param {string|null} videoUrl - Video URL loaded into the player
+ * @returns {Array<Array>} Matching [adId, banner] entries
+ */
+function getBannersForMedia(banners, videoUrl) {
+  if (!videoUrl) return [];
+  return Object.entries(banners).filter(([, banner]) => {
+    const media = banner?.media;
+    if (!media) return false;
+    return (
+      media.primaryUrl === videoUrl ||
+      (media.files || []).some((file) => file.url === videoUrl)
+    );
+  });
 }
 
 /**
- * Setup time-based banner display using VSAT Display timing
+ * Ping Error URLs of the Ad(s) providing the video when media loading fails
  * 
- * FIXED VERSION:
- * - Completely blocks banner display during seeking/scrubbing (no flash)
- * - Always shows a banner on EVERY pause (time-based or fallback)
- * - On play, restores correct time-based banner or hides if out of range
+ * Maps the error type reported by the player adapter onto VAST 400-series codes:
+ * network -> 401 (file not found), format -> 403 (unsupported media),
+ * anything else -> 405 (problem displaying media).
  * 
- * @param {HTMLVideoElement} video - Video element to monitor for time updates
+ * @param {Object} player - Player context (adapter, banners, video URL)
+ * @param {Object} error - Error passed by the adapter (library error, MediaError, ...)
+ * @returns {number} VAST error code reported
  */
-function setupBannerTiming(video) {
-  let currentBannerKey = null;
-  let isPaused = false;
-  let isSeeking = false;
-  let seekCooldown = null;
-  let pauseBannerActive = false; // Track if we're showing a pause banner
-
-  /**
-   * Direct banner operations - bypass all state checks
-   */
-  function forceShowBanner(bannerData, source = "direct") {
-    if (!bannerData) return;
-    console.log(`[Main] Force showing banner (${source})`);
-    // Directly call analytics - bypass all checks
-    callAnalytics("setBanner", bannerData);
-    callAnalytics("show");
-  }
+function reportMediaError(player, error) {
+  const type = player.adapter ? player.adapter.getErrorType(error) : "media";
+  let code = 405;
+  if (type === "network") code = 401;
+  else if (type === "format") code = 403;
+
+  getBannersForMedia(player.banners, player.videoUrl).forEach(([, banner]) => {
+    reportVASTError(banner.errors, code, banner, player);
+  });
+  return code;
+}
 
-  function forceHideBanner() {
-    console.log("[Main] Force hiding banner");
-    callAnalytics("hide");
+/**
+ * Check whether a banner has reached a frequency cap
+ * 
+ * Uses the display history in the player's storage (see createHistoryObserver)
+ * and the rules of LBannerFrequency - with or without analytics.
+ * Without storage or LBannerFrequency, nothing is capped.
+ * Caps are logged once per banner (player.loggedCaps) instead of on every timeupdate.
+ * 
+ * @param {Object} player - Player context
+ * @param {string} key - Banner key in player.banners
+ * @param {Object} banner - Parsed banner
+ * @returns {boolean} True if the banner must not start a new display
+ */
+function isBannerCapped(player, key, banner) {
+  if (!window.LBannerFrequency) return false;
+  const history = player.storage ? player.storage.read() : {};
+  const reason = window.LBannerFrequency.getCapReason(banner, history, Date.now(), player.frequencyCap);
+  if (reason && !player.loggedCaps.has(key)) {
+    player.loggedCaps.add(key);
+    console.log(`[Main] Banner '${key}' skipped - frequency cap reached (${reason})`);
+  } else if (!reason) {
+    player.loggedCaps.delete(key);
   }
+  return !!reason;
+}
 
-  /**
-   * Helper to find banner (if any) for a given time
-   */
-  function getBannerForTime(time) {
-    const { key, banner } = findBannerForTime(time);
-    if (banner) return { key, banner };
-    return null;
-  }
+/**
+ * Check whether a banner may start (or keep) a display
+ * 
+ * Banners that reached a frequency cap are skipped, except the one currently
+ * displayed - caps decide whether a display starts, they never cut one short.
+ * Banners force-hidden through the player API are always skipped.
+ * 
+ * @param {Object} player - Player context
+ * @param {string} key - Banner key in player.banners
+ * @param {string|null} [currentKey=null] - Key of the banner currently displayed
+ * @returns {boolean} True if the banner may show
+ */
+function isBannerEligible(player, key, currentKey = null) {
+  const banner = player.banners[key];
+  return (
+    !!banner &&
+    !player.suppressedBanners.has(key) &&
+    (key === currentKey || !isBannerCapped(player, key, banner))
+  );
+}
 
-  /**
-   * SEEK HANDLING - Completely block ALL banner operations during seeking
-   */
-  let seekStartTime = null;
-  video.addEventListener("seeking", () => {
-    console.log("[Main] SEEKING START - blocking all banner operations");
-    isSeeking = true;
-    seekStartTime = Date.now();
-
-    // Immediately hide banner and block all future operations
-    if (currentBannerKey !== null) {
-      forceHideBanner();
-      currentBannerKey = null;
-    }
+/**
+ * Display windows of the banners of a player, in priority order
+ * 
+ * Uses startOffset and endOffset from VSAT Display timing configuration
+ * (null while percentage or end-relative offsets are not resolved).
+ * 
+ * @param {Object} player - Player context
+ * @returns {Array<Object>} Windows { key, startOffset, endOffset }
+ */
+function getTimingWindows(player) {
+  return Object.entries(player.banners).map(([key, banner]) => ({
+    key,
+    startOffset: banner?.configuration?.timing?.startOffset ?? null,
+    endOffset: banner?.configuration?.timing?.endOffset ?? null,
+  }));
+}
 
-    // Clear any pending cooldowns
-    if (seekCooldown) {
-      clearTimeout(seekCooldown);
-      seekCooldown = null;
-    }
+/**
+ * Setup time-based banner display using VSAT Display timing
+ * 
+ * Playback events of the player adapter drive an LBannerTiming state machine,
+ * which decides when banners show:
+ * - Nothing shows while seeking, until the seek has settled
+ * - With SHOW_BANNERS_ON_PAUSE, a banner is held on screen on every pause (time-based or fallback)
+ * - After play, the first timeupdate restores the time-based banner or hides it if out of range
+ * - While a banner is force-shown through the player API, timing never replaces or hides it
+ * Every state change is emitted as a bannerStateChanged event.
+ * 
+ * Sets player.timing (the state machine), used by the player API.
+ * 
+ * @param {Object} player - Player context (player adapter, renderer, banners, config)
+ */
+function setupBannerTiming(player) {
+  const adapter = player.adapter;
+  const timing = window.LBannerTiming.create({
+    getTime: () => adapter.getCurrentTime(),
+    getWindows: () => getTimingWindows(player),
+    isEligible: (key, currentKey) => isBannerEligible(player, key, currentKey),
+    showOnPause: player.config.SHOW_BANNERS_ON_PAUSE,
+    show: (key, reason) => {
+      emitPlayerEvent(player, "bannerWillShow", { bannerId: key, reason });
+      player.displayReason = reason;
+      player.hideReason = "replaced";
+      player.renderer.setBanner(player.banners[key]);
+      player.renderer.show();
+    },
+    hide: (key, reason) => {
+      player.hideReason = reason;
+      player.renderer.hide();
+    },
+    onTransition: ({ from, to, bannerId, trigger }) => {
+      emitPlayerEvent(player, "bannerStateChanged", { from, to, bannerId, trigger });
+    },
   });
+  player.timing = timing;
 
-  video.addEventListener("seeked", () => {
-    console.log("[Main] SEEKED - waiting for cooldown");
-    if (seekCooldown) clearTimeout(seekCooldown);
-
-    // Longer cooldown to ensure slider is completely settled
-    seekCooldown = setTimeout(() => {
-      const seekDuration = Date.now() - (seekStartTime || Date.now());
-      console.log(`[Main] Seek cooldown complete (${seekDuration}ms) - re-evaluating`);
-      isSeeking = false;
-      seekStartTime = null;
-
-      // Only re-evaluate if playing (not paused)
-      if (!isPaused) {
-        const t = video.currentTime;
-        const res = getBannerForTime(t);
-        if (res) {
-          currentBannerKey = res.key;
-          forceShowBanner(res.banner, "seek-complete");
-        } else {
-          currentBannerKey = null;
-        }
-      }
-    }, 600); // Increased to 600ms to prevent any flash
+  // Listeners and timers are released by destroy()
+  ["timeupdate", "pause", "play", "seeking", "seeked"].forEach((event) => {
+    player.cleanups.push(adapter.on(event, () => timing[event]()));
   });
+  player.cleanups.push(() => timing.destroy());
+}
 
-  /**
-   * TIMEUPDATE HANDLING - Only when playing and NOT seeking
-   */
-  video.addEventListener("timeupdate", () => {
-    // Completely ignore if paused, seeking, or pause banner is active
-    if (isPaused || isSeeking || pauseBannerActive) {
-      return;
-    }
-
-    const t = video.currentTime;
-    const res = getBannerForTime(t);
-
-    if (!res) {
-      // Outside timing range - hide if currently showing
-      if (currentBannerKey !== null) {
-        forceHideBanner();
-        currentBannerKey = null;
-      }
-      return;
-    }
+/**
+ * Resolve percentage and end-relative banner offsets against the content duration
+ * 
+ * Banner Display offsets such as "25%" or "-00:00:10" cannot be placed on the
+ * timeline until the player knows the content duration. They are resolved
+ * whenever the player reports a (new) finite duration, so one creative adapts
+ * to videos of different lengths.
+ * bannerScheduled is emitted for every banner whose display window is known,
+ * and again when resolving against a new duration moves it.
+ * Sets player.refreshSchedule, called when the player API changes the banners.
+ * 
+ * @param {Object} player - Player context (player adapter, banners)
+ */
+function setupTimingResolution(player) {
+  const scheduled = new Map();
+  const announce = (reason) => {
+    // Banners removed through the player API are announced again if added back
+    scheduled.forEach((span, key) => {
+      if (!player.banners[key]) scheduled.delete(key);
+    });
+    Object.entries(player.banners).forEach(([key, banner]) => {
+      const { startOffset, endOffset } = banner?.configuration?.timing || {};
+      if (startOffset === null || startOffset === undefined || endOffset === null || endOffset === undefined) return;
+      const span = `${startOffset}-${endOffset}`;
+      if (scheduled.get(key) === span) return;
+      scheduled.set(key, span);
+      emitPlayerEvent(player, "bannerScheduled", { bannerId: key, startOffset, endOffset, reason });
+    });
+  };
 
-    // Within timing range - show if different banner
-    if (res.key !== currentBannerKey) {
-      currentBannerKey = res.key;
-      forceShowBanner(res.banner, "timeupdate");
-    }
-  });
+  const resolveAll = () => {
+    const duration = player.adapter.getDuration();
+    if (!Number.isFinite(duration) || duration <= 0) return;
+
+    Object.entries(player.banners).forEach(([key, banner]) => {
+      const timing = banner?.configuration?.timing;
+      if (!timing?.offsets) return;
+      const resolved = window.VSATParser.resolveTiming(timing, duration);
+      console.log(
+        `[Main] Timing for '${key}' resolved against ${duration.toFixed(3)}s: ` +
+        `${timing.startOffset}s - ${timing.endOffset}s${resolved ? "" : " (incomplete)"}`
+      );
+    });
+    announce("duration");
+  };
 
-  /**
-   * PAUSE HANDLING - Always show banner, bypass all checks
-   */
-  if (CONFIG.SHOW_BANNERS_ON_PAUSE) {
-    video.addEventListener("pause", () => {
-      console.log("[Main] PAUSE - forcing banner display (bypassing all checks)");
-      isPaused = true;
-      pauseBannerActive = true; // Mark that we're showing pause banner
-
-      const t = video.currentTime;
-      let bannerToShow = null;
-
-      // Try time-based banner first
-      const timeBanner = getBannerForTime(t);
-      if (timeBanner) {
-        bannerToShow = timeBanner.banner;
-        currentBannerKey = timeBanner.key;
-      } else {
-        // Fallback to any available banner
-        const fallback = getBannerData();
-        if (fallback) {
-          bannerToShow = fallback;
-          const fallbackKey = Object.keys(parsedBanners).find(
-            (k) => parsedBanners[k] === fallback
-          );
-          currentBannerKey = fallbackKey || "fallback";
-        }
-      }
+  player.refreshSchedule = (reason) => {
+    announce(reason);
+    resolveAll();
+  };
 
-      // ALWAYS show banner on pause - direct call, no state checks
-      if (bannerToShow) {
-        forceShowBanner(bannerToShow, "pause-direct");
-      } else {
-        console.warn("[Main] No banner available for pause");
-      }
-    });
+  announce("vast");
+  player.cleanups.push(player.adapter.on("loadedmetadata", resolveAll));
+  player.cleanups.push(player.adapter.on("durationchange", resolveAll));
+  resolveAll();
+}
 
-    /**
-     * PLAY HANDLING - Restore time-based state
-     */
-    video.addEventListener("play", () => {
-      console.log("[Main] PLAY - restoring time-based banner");
-      isPaused = false;
-      pauseBannerActive = false; // Clear pause banner flag
-
-      // Wait a tiny bit to ensure video has resumed
-      setTimeout(() => {
-        if (!isPaused && !isSeeking) {
-          const t = video.currentTime;
-          const res = getBannerForTime(t);
-
-          if (res) {
-            currentBannerKey = res.key;
-            forceShowBanner(res.banner, "play-resume");
-          } else {
-            // Outside timing range - hide banner
-            forceHideBanner();
-            currentBannerKey = null;
-          }
-        }
-      }, 50);
-    });
+/**
+ * Attach VAST linear event tracking to the content video
+ * 
+ * Linear TrackingEvents describe the Ad's media, so they are only attached for
+ * banners whose MediaFiles include the video URL actually being played.
+ * Detach functions are kept per banner in player.linearTracking.
+ * 
+ * @param {Object} player - Player context (player adapter, video URL, banners)
+ * @param {Array<string>} [bannerIds] - Banners to attach tracking for (defaults to all)
+ */
+function setupLinearTracking(player, bannerIds = Object.keys(player.banners)) {
+  if (!window.VASTTracker) {
+    console.warn("[Main] VASTTracker not available - skipping linear tracking");
+    return;
   }
+
+  getBannersForMedia(player.banners, player.videoUrl).forEach(([key, banner]) => {
+    const tracking = banner.media.tracking;
+    if (!bannerIds.includes(key) || !tracking || Object.keys(tracking).length === 0) return;
+
+    player.linearTracking.set(key, window.VASTTracker.attach(
+      player.adapter,
+      tracking,
+      banner,
+      player.config.MACROS,
+      () => getMacroContext(player)
+    ));
+    console.log(`[Main] Linear tracking attached for ad '${key}'`);
+  });
 }
 
 /**
- * Helper to safely call analytics methods (handles disabled analytics)
+ * Helper to safely call a player's analytics methods (handles disabled analytics)
  * 
  * Wraps analytics calls to prevent errors if analytics module is disabled.
  * Returns null if analytics is not available.
  * 
+ * @param {Object} player - Player context
  * @param {string} method - Analytics method name to call
  * @param {...any} args - Arguments to pass to analytics method
  * @returns {any|null} Return value from analytics method or null if unavailable
  */
-function callAnalytics(method, ...args) {
-  if (window.LBannerAnalytics && typeof window.LBannerAnalytics[method] === "function") {
-    return window.LBannerAnalytics[method](...args);
+function callAnalytics(player, method, ...args) {
+  if (player.analytics && typeof player.analytics[method] === "function") {
+    return player.analytics[method](...args);
   }
   return null;
 }
 
+/**
+ * Emit a lifecycle event of a player (see LBannerEvents)
+ * 
+ * @param {Object} player - Player context
+ * @param {string} type - Event name
+ * @param {Object} [detail={}] - Event-specific payload fields
+ */
+function emitPlayerEvent(player, type, detail = {}) {
+  player.events.emit(type, {
+    namespace: player.namespace,
+    videoTime: player.adapter ? player.adapter.getCurrentTime() : null,
+    ...detail,
+  });
+}
+
+/**
+ * Find the key of a parsed banner in a player's banners
+ * 
+ * @param {Object} player - Player context
+ * @param {Object|null} banner - Parsed banner
+ * @returns {string|null} Banner key (Ad id), or null if the banner is not one of the player's
+ */
+function getBannerKey(player, banner) {
+  if (!banner) return null;
+  return Object.keys(player.banners).find((key) => player.banners[key] === banner) || null;
+}
+
+/**
+ * Renderer observer turning displays and interactions into player events
+ * 
+ * @param {Object} player - Player context
+ * @returns {Object} Observer for LBannerRenderer.addObserver
+ */
+function createEventObserver(player) {
+  return {
+    bannerShown(banner) {
+      emitPlayerEvent(player, "bannerShown", {
+        bannerId: getBannerKey(player, banner),
+        segmentIds: (banner.configuration?.layout?.segments || []).map((segment) => segment.id),
+        position: banner.configuration?.layout?.position || null,
+        reason: player.displayReason || "api",
+      });
+      player.displayReason = null;
+      player.hideReason = null;
+    },
+    bannerHidden(banner) {
+      emitPlayerEvent(player, "bannerHidden", {
+        bannerId: getBannerKey(player, banner),
+        reason: player.hideReason || "hidden",
+      });
+      player.hideReason = null;
+    },
+    bannerClosed(banner) {
+      const bannerId = getBannerKey(player, banner);
+      player.hideReason = "closed";
+      if (player.forcedBannerKey === bannerId) player.forcedBannerKey = null;
+      player.timing?.close(bannerId);
+      emitPlayerEvent(player, "bannerClosed", { bannerId });
+    },
+    elementClicked(banner, detail) {
+      const { kind, elementId, segmentId } = detail;
+      if (kind === "pollOption") {
+        emitPlayerEvent(player, "pollVoted", {
+          bannerId: getBannerKey(player, banner),
+          segmentId: segmentId || null,
+          elementId: elementId || null,
+          option: detail.option,
+        });
+        return;
+      }
+      emitPlayerEvent(player, "buttonClicked", {
+        bannerId: getBannerKey(player, banner),
+        segmentId: segmentId || null,
+        elementId: elementId || null,
+        kind,
+        label: detail.button?.label || null,
+      });
+    },
+    mediaError(banner, code) {
+      emitPlayerEvent(player, "error", {
+        reason: "media",
+        bannerId: getBannerKey(player, banner),
+        code,
+        message: window.VASTErrors?.MESSAGES?.[code] || null,
+        error: null,
+      });
+    },
+  };
+}
+
+/**
+ * Renderer observer recording displays and clicks in the player's storage
+ * 
+ * Frequency caps and suppressAfterClick are checked against this history, so it
+ * is kept whether or not analytics is enabled. Nothing is recorded without
+ * consent for storage.
+ * 
+ * @param {Object} player - Player context (with storage)
+ * @returns {Object} Observer for LBannerRenderer.addObserver
+ */
+function createHistoryObserver(player) {
+  const storageAllowed = () => !window.LBannerConsent || window.LBannerConsent.allows("storage");
+  return {
+    bannerShown(banner) {
+      if (!banner.meta?.id || !storageAllowed()) return;
+      player.storage.recordShown(banner.meta.id, window.LBannerFrequency?.getCampaignId(banner) ?? null);
+    },
+    elementClicked(banner, detail) {
+      const { kind, elementId } = detail;
+      // Companion clicks leave the banner state alone
+      if (kind === "companion" || !(elementId || kind === "pollOption")) return;
+      if (!banner.meta?.id || !storageAllowed()) return;
+      player.storage.recordClick(banner.meta.id);
+    },
+  };
+}
+
+/**
+ * Delete the player's stored history when consent for storage is withdrawn
+ * 
+ * @param {Object} player - Player context (with storage)
+ * @returns {Function} Removes the listener
+ */
+function watchStorageConsent(player) {
+  const onConsentChange = () => {
+    if (window.LBannerConsent?.state.status !== "ready" || window.LBannerConsent.allows("storage")) return;
+    if (Object.keys(player.storage.read()).length > 0) {
+      console.log("[Main] Consent for storage withdrawn - deleting stored banner history");
+      player.storage.clear();
+    }
+  };
+  window.addEventListener("lbanner-consent-changed", onConsentChange);
+  return () => window.removeEventListener("lbanner-consent-changed", onConsentChange);
+}
+
 /**
  * Show banner with given data
  * 
- * Sets banner data in analytics module and triggers banner display.
+ * Sets banner data in the player's renderer and triggers banner display.
  * 
+ * @param {Object} player - Player context
  * @param {Object} bannerData - Parsed banner configuration object
  */
-function showBanner(bannerData) {
+function showBanner(player, bannerData) {
   if (!bannerData) {
     console.warn("[Main] No banner data provided");
     return;
   }
   console.log("[Main] Showing banner:", bannerData.meta?.id);
-  callAnalytics("setBanner", bannerData);
-  callAnalytics("show");
+  player.renderer.setBanner(bannerData);
+  player.renderer.show();
+}
+
+/**
+ * Find the elements of a player inside its container
+ * 
+ * A page with one player can keep the default IDs (#video-element, #video-area,
+ * #l-banner-host). With several players each container holds its own <video>,
+ * an element with data-role="video-area" and optionally one with
+ * data-role="banner-host" (created when missing).
+ * 
+ * @param {HTMLElement} root - Player container
+ * @returns {Object} Object with 'video', 'videoArea' and 'bannerHost' elements (video/videoArea may be null)
+ *   and 'createdBannerHost' (whether the banner host was created)
+ */
+function findPlayerElements(root) {
+  const video = root.querySelector("#video-element") || root.querySelector("video");
+  const videoArea =
+    root.querySelector("[data-role='video-area'], #video-area") || video?.parentElement || null;
+  let bannerHost = root.querySelector("[data-role='banner-host'], #l-banner-host");
+  const createdBannerHost = !bannerHost;
+  if (!bannerHost) {
+    bannerHost = document.createElement("div");
+    bannerHost.setAttribute("data-role", "banner-host");
+    bannerHost.setAttribute("aria-live", "polite");
+    root.appendChild(bannerHost);
+  }
+  return { video, videoArea, bannerHost, createdBannerHost };
 }
 
 /**
- * Initialize L-Banner system
+ * Initialize an L-Banner player
  * 
- * Main initialization function that sets up the entire L-Banner system:
+ * Main initialization function that sets up one player in its container:
  * 1. Fetches and parses VAST XML to extract banner configurations
- * 2. Initializes Shaka Player for video playback (if video URL provided)
- * 3. Initializes banner analytics module
+ * 2. Connects the video player through its adapter and loads the video (if a video URL is known)
+ * 3. Initializes the banner renderer and, if enabled, the analytics module
  * 4. Sets up time-based banner display triggers
  * 
  * @param {Object} options - Initialization options
@@ -545,11 +1115,33 @@ function showBanner(bannerData) {
  * @param {string} options.url - VAST XML URL to fetch banner configurations from
  * @param {string} [options.videoUrl] - Optional video URL override (falls back to DOM attributes or VAST media)
  * @param {string} [options.adEndpoint] - Optional ad endpoint URL (for analytics, defaults to VAST URL)
- * @param {string} [options.container_id] - Optional container id for analytics (defaults to "player-shell")
+ * @param {string} [options.container_id] - Optional player container id (defaults to "player-shell")
+ * @param {string|Object} [options.player="shaka"] - Video player: "shaka", "native", "hls", "videojs",
+ *   { type, instance } to use an existing library player, or a custom adapter (see LBannerPlayers)
+ * @param {string} [options.namespace] - Storage namespace of the player (defaults to container_id)
  * @param {boolean} [options.enableCookieTracking=true] - Enable/disable cookie-based banner tracking
  * @param {boolean} [options.showBannersOnPause=false] - Show banners when video is paused
- * @returns {Promise<Object>} Object with 'banners' (parsed banners) and 'player' (Shaka instance)
- * @throws {Error} If required parameters are missing or VAST parsing fails
+ * @param {number} [options.maxWrapperDepth=5] - Maximum number of VAST Wrapper hops to follow
+ * @param {number} [options.wrapperTimeout=5000] - Timeout in milliseconds for each VAST request
+ * @param {Object} [options.macros] - Custom VAST macros: name -> value or function(context)
+ * @param {boolean} [options.strict=false] - Refuse creatives that have validation errors
+ * @param {Object} [options.tracking] - First-party event tracking (see LBannerTracking.DEFAULTS)
+ * @param {string} [options.tracking.endpoint] - URL event batches are POSTed to; events are only queued without it
+ * @param {Object} [options.frequencyCap] - Frequency caps applied to every banner of this player (see LBannerFrequency.normalize)
+ * @param {Object|string} [options.storage] - Backend for banner interaction state: type name or options (see LBannerStorage.DEFAULTS)
+ * @param {string} [options.storage.type="cookie"] - "cookie", "localStorage", "indexedDB" or "memory"
+ * @param {Object} [options.consent] - Explicit consent (see LBannerConsent.set); without it the page's CMP is queried
+ * @param {number} [options.cmpTimeout=1000] - Milliseconds to wait for the CMP before continuing
+ * @param {Object} [options.on] - Event handlers registered before initialization starts: event name -> function (see LBannerEvents)
+ * @returns {Promise<Object>} Player instance: 'namespace', 'config', 'banners' (parsed banners),
+ *   'player' (library player instance, null for native video), 'adapter' (player adapter),
+ *   'root' (container element), 'storage', 'renderer', 'analytics', on/off/once for player events,
+ *   destroy() (see destroyPlayer), reload(changes) (see reloadPlayer) and the banner management API:
+ *   addVAST(source) / replaceVAST(source) (see loadPlayerBanners), removeBanner(id), getSchedule(),
+ *   showBanner(id), hideBanner(id) and releaseBanner(id)
+ * @throws {Error} If required parameters are missing, the container is missing or already used, or a structured error
+ *   (name "LBannerError", numeric VAST error code in error.code) if VAST loading fails.
+ *   A player destroyed before initialization finished releases what it acquired and rejects.
  */
 async function initLBanner(options) {
   const {
@@ -558,135 +1150,600 @@ async function initLBanner(options) {
     videoUrl,
     adEndpoint,
     container_id,
+    namespace,
+    player: playerOption,
     enableCookieTracking,
     showBannersOnPause,
+    maxWrapperDepth,
+    wrapperTimeout,
+    macros,
+    strict,
+    tracking,
+    frequencyCap,
+    storage,
+    consent,
+    cmpTimeout,
+    on: handlers,
   } = options || {};
 
   if (!key || !url) {
     throw new Error("[Main] initLBanner requires 'key' and 'url' parameters");
   }
 
-  console.log("[Main] Initializing L-Banner system...");
-  console.log(`[Main] API Key: ${key.substring(0, 4)}...`);
-  console.log(`[Main] VAST URL: ${url}`);
-
-  // Set global config
-  CONFIG.API_KEY = key;
-  CONFIG.VAST_URL = url;
-  CONFIG.VIDEO_URL = resolveInitialVideoSource(videoUrl);
-  CONFIG.AD_ENDPOINT = adEndpoint || url; // Default to VAST URL if not provided
-  CONFIG.CONTAINER_ID = container_id || CONFIG.CONTAINER_ID || "player-shell";
-  CONFIG.ENABLE_COOKIE_TRACKING =
+  // Each player starts from a copy of the defaults
+  const config = {
+    ...CONFIG,
+    API_KEY: key,
+    VAST_URL: url,
+    AD_ENDPOINT: adEndpoint || url, // Default to VAST URL if not provided
+    CONTAINER_ID: container_id || CONFIG.CONTAINER_ID || "player-shell",
+    // Custom macros of this player only - other players on the page never see them
+    MACROS: window.VASTMacros ? window.VASTMacros.normalize(macros) : {},
+  };
+  config.ENABLE_COOKIE_TRACKING =
     enableCookieTracking !== undefined
       ? enableCookieTracking
-      : CONFIG.ENABLE_COOKIE_TRACKING;
-  CONFIG.SHOW_BANNERS_ON_PAUSE =
+      : config.ENABLE_COOKIE_TRACKING;
+  config.SHOW_BANNERS_ON_PAUSE =
     showBannersOnPause !== undefined
       ? showBannersOnPause
-      : CONFIG.SHOW_BANNERS_ON_PAUSE;
+      : config.SHOW_BANNERS_ON_PAUSE;
+  config.STRICT = strict !== undefined ? !!strict : config.STRICT;
+  config.MAX_WRAPPER_DEPTH =
+    maxWrapperDepth !== undefined ? maxWrapperDepth : config.MAX_WRAPPER_DEPTH;
+  config.WRAPPER_TIMEOUT_MS =
+    wrapperTimeout !== undefined ? wrapperTimeout : config.WRAPPER_TIMEOUT_MS;
+
+  const root = document.getElementById(config.CONTAINER_ID);
+  if (!root) {
+    throw new Error(`[Main] Player container #${config.CONTAINER_ID} not found`);
+  }
+  const playerNamespace = namespace || config.CONTAINER_ID;
+  if (players.some((existing) => existing.root === root || existing.namespace === playerNamespace)) {
+    throw new Error(`[Main] A player is already initialized in #${config.CONTAINER_ID} (namespace '${playerNamespace}')`);
+  }
 
+  console.log(`[Main] Initializing L-Banner player '${playerNamespace}'...`);
+  console.log(`[Main] API Key: ${key.substring(0, 4)}...`);
+  console.log(`[Main] VAST URL: ${url}`);
   console.log(
-    `[Main] Cookie tracking: ${CONFIG.ENABLE_COOKIE_TRACKING ? "ENABLED" : "DISABLED"
+    `[Main] Cookie tracking: ${config.ENABLE_COOKIE_TRACKING ? "ENABLED" : "DISABLED"
     }`
   );
-  const resolvedContainerId = CONFIG.CONTAINER_ID;
-  let resolvedVideoUrl = CONFIG.VIDEO_URL;
 
-  // Initialize tracking system
-  if (window.LBannerTracking && typeof window.LBannerTracking.init === "function") {
-    window.LBannerTracking.init();
+  /**
+   * Player context - everything this player owns
+   * - namespace: Storage namespace (defaults to the container id)
+   * - config: Copy of CONFIG with this player's options
+   * - banners: Parsed banners keyed by ad ID
+   * - root, video, videoArea, bannerHost: DOM elements of the player
+   * - videoUrl: Video URL loaded into the player
+   * - renderer / analytics: LBannerRenderer and LBannerAnalytics instances
+   * - storage: LBannerStorage store of the interaction state
+   * - frequencyCap: Normalized frequencyCap option (see LBannerFrequency.normalize)
+   * - loggedCaps: Banner keys whose cap has already been logged
+   * - adapter: Player adapter the timing, tracking and macros read playback from
+   * - events: LBannerEvents emitter behind player.on/off/once
+   * - displayReason / hideReason: Why the next bannerShown / bannerHidden event happens
+   * - forcedBannerKey: Banner force-shown through the player API (timing leaves it on screen)
+   * - suppressedBanners: Banner keys force-hidden through the player API (skipped by timing)
+   * - timing: LBannerTiming state machine deciding when banners show (set by setupBannerTiming)
+   * - refreshSchedule: Announces changed display windows (set by setupTimingResolution)
+   * - linearTracking: Detach functions of linear tracking, keyed by banner
+   * - preloadLinks: Image preload <link> elements, keyed by banner (see prefetchBannerImages)
+   * - options: Options of this initialization, reused by reload()
+   * - cleanups: Functions releasing what the player acquired, run in reverse order by destroy()
+   * - destroyed: Set once destroy() ran
+   */
+  const { video, videoArea, bannerHost, createdBannerHost } = findPlayerElements(root);
+  const player = {
+    namespace: playerNamespace,
+    config,
+    banners: {},
+    root,
+    video,
+    videoArea,
+    bannerHost,
+    videoUrl: resolveInitialVideoSource(videoUrl, video),
+    renderer: window.LBannerRenderer.create(),
+    analytics: window.LBannerAnalytics?.create ? window.LBannerAnalytics.create() : null,
+    storage: null,
+    frequencyCap: window.LBannerFrequency ? window.LBannerFrequency.normalize(frequencyCap || {}) : null,
+    loggedCaps: new Set(),
+    adapter: null,
+    events: window.LBannerEvents.create(),
+    displayReason: null,
+    hideReason: null,
+    forcedBannerKey: null,
+    suppressedBanners: new Set(),
+    timing: null,
+    refreshSchedule: null,
+    linearTracking: new Map(),
+    preloadLinks: new Map(),
+    options: { ...options },
+    cleanups: [],
+    destroyed: false,
+  };
+  if (createdBannerHost) {
+    player.cleanups.push(() => bannerHost.remove());
   }
+  Object.entries(handlers || {}).forEach(([event, handler]) => player.events.on(event, handler));
+  players.push(player);
 
-  // Fetch and parse VAST XML from URL
-  const banners = await fetchAndParseVAST(url);
-  Object.assign(parsedBanners, banners);
+  try {
+    // Read consent first - it gates storage, first-party tracking and third-party pixels.
+    // Consent still pending after the timeout is applied when the CMP answers.
+    // Consent and first-party tracking are shared by all players on the page:
+    // a player whose consent or tracking destination conflicts with the page's is rejected.
+    if (window.LBannerConsent) {
+      await window.LBannerConsent.init({ consent, timeout: cmpTimeout });
+      assertPlayerActive(player);
+    }
 
-  if (!resolvedVideoUrl) {
-    const derivedVideo = getFirstMediaUrl(parsedBanners);
-    if (derivedVideo) {
-      resolvedVideoUrl = derivedVideo;
-      CONFIG.VIDEO_URL = derivedVideo;
-      console.log(`[Main] Using video from VAST media: ${derivedVideo}`);
+    // Initialize first-party event tracking (retries events left over from earlier page loads).
+    // The API key only applies together with a tracking endpoint; the first player with one sets both.
+    if (window.LBannerTracking && typeof window.LBannerTracking.init === "function") {
+      window.LBannerTracking.init({ ...tracking, apiKey: key });
     }
-  }
 
-  if (Object.keys(parsedBanners).length === 0) {
-    console.error("[Main] No banners were parsed from VAST XML!");
-    throw new Error("No valid banners found in VAST XML");
-  }
+    // Storage of banner interaction state, created early so an asynchronous
+    // backend (IndexedDB) loads while the VAST is fetched.
+    // Each player keeps its state under its own key.
+    if (config.ENABLE_COOKIE_TRACKING && window.LBannerStorage) {
+      const storageOptions = typeof storage === "string" ? { type: storage } : { ...storage };
+      if (!storageOptions.key && playerNamespace !== DEFAULT_NAMESPACE) {
+        storageOptions.key = `${window.LBannerStorage.DEFAULTS.key}_${playerNamespace}`;
+      }
+      player.storage = window.LBannerStorage.create(storageOptions);
+    }
 
-  // Prefetch all banner segment images for instant display
-  prefetchBannerImages(parsedBanners);
+    // Every URL of this player is expanded with its own macros and context (see getMacroContext)
+    if (!window.VASTMacros) {
+      console.warn("[Main] VASTMacros not available - URLs will be sent without macro expansion");
+    }
 
-  // Initialize Shaka Player if video URL provided
-  let shakaPlayer = null;
-  if (resolvedVideoUrl) {
-    console.log("[Main] Initializing Shaka Player...");
-    shakaPlayer = await initShaka(resolvedVideoUrl);
-    console.log("[Main] Shaka Player initialized");
-  } else {
-    // Try to get existing player instance
-    const videoEl = document.getElementById("video-element");
-    if (videoEl && videoEl.getAttribute("data-shaka-player")) {
-      // Player might already be initialized
-      console.log("[Main] Using existing video player");
-    } else {
-      console.warn(
-        "[Main] No video source provided via init options, DOM attributes, or VAST media."
-      );
+    // Fetch and parse VAST XML from URL
+    // Rejects with a structured error (error.code = VAST error code) on failure
+    const banners = await fetchAndParseVAST(url, player);
+    assertPlayerActive(player);
+    Object.assign(player.banners, banners);
+    emitPlayerEvent(player, "vastLoaded", { url, bannerIds: Object.keys(banners) });
+
+    if (!player.videoUrl) {
+      const derivedVideo = getFirstMediaUrl(player.banners);
+      if (derivedVideo) {
+        player.videoUrl = derivedVideo;
+        console.log(`[Main] Using video from VAST media: ${derivedVideo}`);
+      }
     }
-  }
+    config.VIDEO_URL = player.videoUrl;
 
-  // Initialize banner analytics (if enabled)
-  const video = document.getElementById("video-element");
+    if (Object.keys(player.banners).length === 0) {
+      console.error("[Main] No banners were parsed from VAST XML!");
+      throw createVASTError(303, "No valid banners found in VAST XML", { url });
+    }
 
-  if (
-    window.LBannerAnalytics &&
-    typeof window.LBannerAnalytics.init === "function"
-  ) {
-    console.log("[Main] Initializing LBannerAnalytics...");
-    window.LBannerAnalytics.init({
-      apiKey: CONFIG.API_KEY,
-      videoRef: {
-        container_id: resolvedContainerId,
-        playerInstance: shakaPlayer,
-      },
-      playerShellId: resolvedContainerId,
-      videoAreaSelector: "#video-area",
-      bannerHostId: "l-banner-host",
-      adEndpoint: CONFIG.AD_ENDPOINT,
-      enableCookieTracking: CONFIG.ENABLE_COOKIE_TRACKING,
+    // Prefetch all banner segment images for instant display
+    prefetchBannerImages(player.banners).forEach((links, bannerId) => player.preloadLinks.set(bannerId, links));
+    player.cleanups.push(() => [...player.preloadLinks.keys()].forEach((bannerId) => removePreloadLinks(player, bannerId)));
+
+    // Connect the video player; without a video element there is nothing to time banners against
+    const playerType = window.LBannerPlayers.resolve(playerOption);
+    if (video || playerType.instance || playerType.adapter) {
+      if (!player.videoUrl) {
+        console.warn(
+          "[Main] No video source provided via init options, DOM attributes, or VAST media."
+        );
+      }
+      player.adapter = await initPlayback(player, playerOption);
+      assertPlayerActive(player);
+      console.log(`[Main] ${player.adapter.type} player connected`);
+
+      const fullscreenContainer = player.adapter.getContainer();
+      if (fullscreenContainer && !fullscreenContainer.contains(bannerHost)) {
+        console.warn(
+          `[Main] The ${player.adapter.type} player goes fullscreen without the banner host - banners are hidden in fullscreen`
+        );
+      }
+    }
+
+    // Banners render whether or not analytics is enabled
+    player.renderer.init({
+      playerShell: root,
+      bannerHost,
+      videoArea,
+      macros: config.MACROS,
+      macroContext: () => getMacroContext(player),
     });
-    console.log("[Main] LBannerAnalytics initialized");
-  } else {
-    console.log(
-      "[Main] Analytics disabled - skipping LBannerAnalytics initialization"
-    );
+    player.cleanups.push(() => player.renderer.detach());
+    player.renderer.addObserver(createEventObserver(player));
+    if (player.storage) {
+      player.renderer.addObserver(createHistoryObserver(player));
+      player.cleanups.push(watchStorageConsent(player));
+    }
+
+    // Pixels fired for this player's banners become trackingFired events
+    if (window.VASTTracker) {
+      player.cleanups.push(window.VASTTracker.addListener(({ event, url: pixelUrl, banner }) => {
+        const bannerId = getBannerKey(player, banner);
+        if (bannerId) emitPlayerEvent(player, "trackingFired", { bannerId, event, url: pixelUrl });
+      }));
+    }
+
+    // Initialize banner analytics (if enabled) - it observes the player's renderer
+    if (player.analytics && typeof player.analytics.init === "function") {
+      console.log("[Main] Initializing LBannerAnalytics...");
+      player.analytics.init({
+        apiKey: config.API_KEY,
+        videoRef: {
+          container_id: config.CONTAINER_ID,
+          playerInstance: player.adapter ? player.adapter.getInstance() : null,
+          player: player.adapter,
+        },
+        adEndpoint: config.AD_ENDPOINT,
+        enableCookieTracking: config.ENABLE_COOKIE_TRACKING,
+        storage: player.storage,
+        renderer: player.renderer,
+        macros: config.MACROS,
+        macroContext: () => getMacroContext(player),
+      });
+      player.cleanups.push(() => callAnalytics(player, "destroy"));
+      console.log("[Main] LBannerAnalytics initialized");
+    } else {
+      console.log(
+        "[Main] Analytics disabled - skipping LBannerAnalytics initialization"
+      );
+    }
+
+    // Frequency caps need the stored history before the first banner is scheduled
+    if (player.storage) {
+      await player.storage.ready;
+      assertPlayerActive(player);
+    }
+  } catch (error) {
+    if (player.destroyed) {
+      // destroy() ran while initialization awaited - release what was acquired since
+      await runPlayerCleanups(player);
+      throw error;
+    }
+    if (error?.name === "LBannerError") {
+      emitPlayerEvent(player, "vastError", { url, code: error.code, message: error.message, error });
+    } else {
+      emitPlayerEvent(player, "error", { reason: "init", code: null, message: error?.message || null, error });
+    }
+    // A player that failed to initialize frees its container for another attempt
+    await destroyPlayer(player);
+    throw error;
   }
 
   // Setup time-based banner display using VSAT Display timing
-  if (video) {
-    setupBannerTiming(video);
+  if (player.adapter) {
+    setupTimingResolution(player);
+    setupBannerTiming(player);
     console.log("[Main] Banner timing setup complete");
+    player.cleanups.push(() => player.linearTracking.forEach((detach) => detach()));
+    setupLinearTracking(player);
   } else {
-    console.warn("[Main] Video element #video-element not found - skipping banner timing setup");
+    console.warn("[Main] No video player in the player container - skipping banner timing setup");
   }
 
   // Initial behavior: do NOT show banner at 0s.
   // Banners will appear when:
   // - Time enters their timing window OR
   // - User pauses and SHOW_BANNERS_ON_PAUSE = true
-  console.log("[Main] ✓ L-Banner system initialized successfully!");
+  console.log(`[Main] ✓ L-Banner player '${playerNamespace}' initialized successfully!`);
   console.log(
-    `[Main] Loaded ${Object.keys(parsedBanners).length} banner(s) from VAST`
+    `[Main] Loaded ${Object.keys(player.banners).length} banner(s) from VAST`
   );
 
   return {
-    banners: parsedBanners,
-    player: shakaPlayer,
+    namespace: player.namespace,
+    config: player.config,
+    banners: player.banners,
+    player: player.adapter ? player.adapter.getInstance() : null,
+    adapter: player.adapter,
+    root: player.root,
+    storage: player.storage,
+    renderer: player.renderer,
+    analytics: player.analytics,
+    on: (event, handler) => player.events.on(event, handler),
+    off: (event, handler) => player.events.off(event, handler),
+    once: (event, handler) => player.events.once(event, handler),
+    destroy: () => destroyPlayer(player),
+    reload: (changes) => reloadPlayer(player, changes),
+    addVAST: (source) => loadPlayerBanners(player, source),
+    replaceVAST: (source) => loadPlayerBanners(player, source, true),
+    removeBanner: (bannerId) => removePlayerBanner(player, bannerId),
+    getSchedule: () => getPlayerSchedule(player),
+    showBanner: (bannerId) => forceShowPlayerBanner(player, bannerId),
+    hideBanner: (bannerId) => forceHidePlayerBanner(player, bannerId),
+    releaseBanner: (bannerId) => releasePlayerBanner(player, bannerId),
   };
 }
 
+/**
+ * Release everything a player acquired and free its container
+ * 
+ * Runs player.cleanups in reverse order: timing, tracking and media listeners,
+ * analytics (status panel polling included), the renderer (resize/fullscreen
+ * listeners, banner DOM, classes), preload links, a created banner host and
+ * the player adapter (Shaka player and UI overlay, hls.js, video.js).
+ * A cleanup that fails is logged and the others still run.
+ * 
+ * @param {Object} player - Player context
+ * @returns {Promise<void>} Resolves once the player adapter is destroyed
+ */
+async function destroyPlayer(player) {
+  if (player.destroyed) return;
+  player.destroyed = true;
+  console.log(`[Main] Destroying L-Banner player '${player.namespace}'...`);
+
+  const index = players.indexOf(player);
+  if (index !== -1) players.splice(index, 1);
+  await runPlayerCleanups(player);
+  console.log(`[Main] L-Banner player '${player.namespace}' destroyed`);
+}
+
+/**
+ * Run and remove the pending cleanups of a player, last acquired first
+ * 
+ * Also releases what an initialization acquired after destroy() ran.
+ * 
+ * @param {Object} player - Player context
+ * @returns {Promise<void>} Resolves once asynchronous cleanups finished
+ */
+async function runPlayerCleanups(player) {
+  const pending = player.cleanups.splice(0).reverse().map((cleanup) => {
+    try {
+      return cleanup();
+    } catch (error) {
+      console.error("[Main] Cleanup failed:", error);
+      return null;
+    }
+  });
+  await Promise.all(pending.map((result) =>
+    Promise.resolve(result).catch((error) => console.error("[Main] Cleanup failed:", error))
+  ));
+}
+
+/**
+ * Destroy a player and initialize a new one in the same container
+ * 
+ * @param {Object} player - Player context
+ * @param {Object} [changes={}] - Options replacing those of the previous initialization
+ *   (e.g. { url } for a new VAST URL; 'vastUrl' and 'apiKey' are accepted as in LBannerPlayer.init)
+ * @returns {Promise<Object>} The new player instance (see initLBanner)
+ */
+async function reloadPlayer(player, changes = {}) {
+  const { vastUrl, apiKey, ...rest } = changes;
+  const options = { ...player.options, ...rest };
+  if (vastUrl) options.url = vastUrl;
+  if (apiKey) options.key = apiKey;
+  await destroyPlayer(player);
+  return initLBanner(options);
+}
+
+/**
+ * Throw if a player instance is used after destroy()
+ * 
+ * @param {Object} player - Player context
+ * @throws {Error} If the player has been destroyed
+ */
+function assertPlayerActive(player) {
+  if (player.destroyed) {
+    throw new Error(`[Main] L-Banner player '${player.namespace}' has been destroyed`);
+  }
+}
+
+/**
+ * Hide a banner if it is the one on screen
+ * 
+ * @param {Object} player - Player context
+ * @param {string} bannerId - Banner key in player.banners
+ * @param {string} reason - bannerHidden reason
+ */
+function hideDisplayedBanner(player, bannerId, reason) {
+  if (player.timing) {
+    player.timing.hide(bannerId, reason);
+  } else if (player.renderer.getCurrentBanner() === player.banners[bannerId]) {
+    player.hideReason = reason;
+    player.renderer.hide();
+  }
+}
+
+/**
+ * Load banners from more VAST into a running player
+ * 
+ * The VAST is fully loaded before the schedule changes, so a failed load
+ * leaves the current banners untouched. Loaded banners replace banners with
+ * the same ad ID. Their images are prefetched, their display windows are
+ * scheduled (bannerScheduled with reason "api") and linear tracking is
+ * attached when their media is the video being played.
+ * 
+ * @param {Object} player - Player context
+ * @param {string} source - VAST URL or VAST XML
+ * @param {boolean} [replace=false] - Remove every current banner first
+ * @returns {Promise<Array<string>>} Keys of the loaded banners
+ * @throws {Error} Structured error (name "LBannerError", VAST error code in error.code) if loading fails
+ */
+async function loadPlayerBanners(player, source, replace = false) {
+  assertPlayerActive(player);
+  const url = isVASTXml(source) ? null : source;
+  let banners;
+  try {
+    banners = await fetchAndParseVAST(source, player);
+  } catch (error) {
+    emitPlayerEvent(player, "vastError", { url, code: error.code ?? 900, message: error.message, error });
+    throw error;
+  }
+  assertPlayerActive(player);
+
+  const bannerIds = Object.keys(banners);
+  const replaced = replace ? Object.keys(player.banners) : bannerIds.filter((id) => player.banners[id]);
+  replaced.forEach((id) => removePlayerBanner(player, id));
+  Object.assign(player.banners, banners);
+  emitPlayerEvent(player, "vastLoaded", { url, bannerIds });
+
+  prefetchBannerImages(banners).forEach((links, bannerId) => player.preloadLinks.set(bannerId, links));
+  warnOverlappingWindows(player.banners);
+
+  if (player.adapter) {
+    player.refreshSchedule("api");
+    setupLinearTracking(player, bannerIds);
+    player.timing.refresh();
+  }
+  console.log(
+    `[Main] ${replace ? "Replaced schedule with" : "Added"} ${bannerIds.length} banner(s): ${bannerIds.join(", ")}`
+  );
+  return bannerIds;
+}
+
+/**
+ * Remove a banner from a running player
+ * 
+ * The banner is hidden first if it is on screen (bannerHidden with reason "removed").
+ * 
+ * @param {Object} player - Player context
+ * @param {string} bannerId - Banner key in player.banners
+ * @returns {boolean} False if the player has no such banner
+ */
+function removePlayerBanner(player, bannerId) {
+  assertPlayerActive(player);
+  if (!player.banners[bannerId]) {
+    console.warn(`[Main] No banner '${bannerId}' to remove`);
+    return false;
+  }
+  if (player.forcedBannerKey === bannerId) player.forcedBannerKey = null;
+  hideDisplayedBanner(player, bannerId, "removed");
+
+  player.linearTracking.get(bannerId)?.();
+  player.linearTracking.delete(bannerId);
+  removePreloadLinks(player, bannerId);
+  player.suppressedBanners.delete(bannerId);
+  player.loggedCaps.delete(bannerId);
+  delete player.banners[bannerId];
+  player.refreshSchedule?.("api");
+  player.timing?.refresh();
+  console.log(`[Main] Removed banner '${bannerId}'`);
+  return true;
+}
+
+/**
+ * Display windows of the banners of a player
+ * 
+ * Banners are listed in priority order: where windows overlap, the first one shows.
+ * startOffset/endOffset are null while a window is not known yet
+ * (e.g. percentage offsets before the video duration is known).
+ * 
+ * @param {Object} player - Player context
+ * @returns {Array<Object>} Entries { bannerId, startOffset, endOffset, position, forced }
+ *   where forced is "shown" or "hidden" for banners forced through the player API, else null
+ */
+function getPlayerSchedule(player) {
+  return Object.entries(player.banners).map(([bannerId, banner]) => {
+    const timing = banner?.configuration?.timing || {};
+    let forced = null;
+    if (player.forcedBannerKey === bannerId) forced = "shown";
+    else if (player.suppressedBanners.has(bannerId)) forced = "hidden";
+    return {
+      bannerId,
+      startOffset: timing.startOffset ?? null,
+      endOffset: timing.endOffset ?? null,
+      position: banner?.configuration?.layout?.position || null,
+      forced,
+    };
+  });
+}
+
+/**
+ * Show a banner now, regardless of its display window
+ * 
+ * The banner stays on screen - through timeupdates, seeks and pauses - until
+ * releaseBanner(), hideBanner() or showBanner() with another banner.
+ * 
+ * @param {Object} player - Player context
+ * @param {string} bannerId - Banner key in player.banners
+ * @returns {boolean} False if the player has no such banner
+ */
+function forceShowPlayerBanner(player, bannerId) {
+  assertPlayerActive(player);
+  if (!player.banners[bannerId]) {
+    console.warn(`[Main] No banner '${bannerId}' to show`);
+    return false;
+  }
+  player.suppressedBanners.delete(bannerId);
+  player.forcedBannerKey = bannerId;
+  if (player.timing) {
+    player.timing.force(bannerId);
+  } else {
+    emitPlayerEvent(player, "bannerWillShow", { bannerId, reason: "api" });
+    player.displayReason = "api";
+    player.hideReason = "replaced";
+    showBanner(player, player.banners[bannerId]);
+  }
+  return true;
+}
+
+/**
+ * Hide a banner and keep it hidden, regardless of its display window
+ * 
+ * Another banner whose window covers the current time takes its place.
+ * The banner shows again after releaseBanner() or showBanner().
+ * 
+ * @param {Object} player - Player context
+ * @param {string} bannerId - Banner key in player.banners
+ * @returns {boolean} False if the player has no such banner
+ */
+function forceHidePlayerBanner(player, bannerId) {
+  assertPlayerActive(player);
+  if (!player.banners[bannerId]) {
+    console.warn(`[Main] No banner '${bannerId}' to hide`);
+    return false;
+  }
+  if (player.forcedBannerKey === bannerId) player.forcedBannerKey = null;
+  player.suppressedBanners.add(bannerId);
+  hideDisplayedBanner(player, bannerId, "api");
+  player.timing?.refresh();
+  return true;
+}
+
+/**
+ * Return a force-shown or force-hidden banner to its display window
+ * 
+ * @param {Object} player - Player context
+ * @param {string} bannerId - Banner key in player.banners
+ * @returns {boolean} False if the banner was not forced
+ */
+function releasePlayerBanner(player, bannerId) {
+  assertPlayerActive(player);
+  const forced = player.forcedBannerKey === bannerId;
+  if (!forced && !player.suppressedBanners.delete(bannerId)) return false;
+  if (forced) {
+    player.forcedBannerKey = null;
+    player.timing?.release();
+  } else {
+    player.timing?.refresh();
+  }
+  return true;
+}
+
+/**
+ * Destroy players of this page
+ * 
+ * @param {Object|string} [target] - Player instance returned by initLBanner, namespace or container id;
+ *   every player when omitted
+ * @returns {Promise<number>} Number of players destroyed
+ */
+async function destroyLBanner(target) {
+  const matches = players.filter((player) => {
+    if (target === undefined || target === null) return true;
+    if (typeof target === "string") return player.namespace === target || player.root.id === target;
+    return player.namespace === target.namespace;
+  });
+  await Promise.all(matches.map((player) => destroyPlayer(player)));
+  return matches.length;
+}
+
 /**
  * Auto-initialize on DOM ready if config is available
  * 
@@ -712,9 +1769,10 @@ document.addEventListener("DOMContentLoaded", async () => {
 });
 
 /**
- * Export init function globally
- * Makes initLBanner available on window object for external use
+ * Export init and destroy functions globally
+ * Makes initLBanner and destroyLBanner available on window object for external use
  */
 if (typeof window !== "undefined") {
   window.initLBanner = initLBanner;
+  window.destroyLBanner = destroyLBanner;
 }
@@ -0,0 +1,112 @@
+/**
+ * LBannerEvents emitter tests
+ *
+ * Every on()/once() call is its own subscription: unsubscribing one never
+ * removes another subscription of the same handler.
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import LBannerEvents from "../lbanner-events.js";
+
+const errors = [];
+const originalConsole = { error: console.error, warn: console.warn };
+
+before(() => {
+  console.error = (...args) => errors.push(args);
+  console.warn = () => {};
+});
+
+after(() => {
+  Object.assign(console, originalConsole);
+});
+
+test("on handlers receive every emit with type and timestamp", () => {
+  const events = LBannerEvents.create();
+  const received = [];
+  events.on("bannerShown", (data) => received.push(data));
+
+  events.emit("bannerShown", { bannerId: "b1" });
+  events.emit("bannerShown", { bannerId: "b2" });
+
+  assert.deepEqual(received.map((data) => data.bannerId), ["b1", "b2"]);
+  assert.equal(received[0].type, "bannerShown");
+  assert.equal(typeof received[0].timestamp, "number");
+});
+
+test("once handlers receive the next emit only", () => {
+  const events = LBannerEvents.create();
+  let calls = 0;
+  events.once("bannerShown", () => calls++);
+
+  events.emit("bannerShown");
+  events.emit("bannerShown");
+
+  assert.equal(calls, 1);
+});
+
+test("unsubscribing a once keeps an on of the same handler", () => {
+  const events = LBannerEvents.create();
+  let calls = 0;
+  const handler = () => calls++;
+  events.on("bannerShown", handler);
+  const unsubscribe = events.once("bannerShown", handler);
+
+  unsubscribe();
+  events.emit("bannerShown");
+  events.emit("bannerShown");
+
+  assert.equal(calls, 2);
+});
+
+test("unsubscribing an on keeps a once of the same handler", () => {
+  const events = LBannerEvents.create();
+  let calls = 0;
+  const handler = () => calls++;
+  const unsubscribe = events.on("bannerShown", handler);
+  events.once("bannerShown", handler);
+
+  unsubscribe();
+  events.emit("bannerShown");
+  events.emit("bannerShown");
+
+  assert.equal(calls, 1);
+});
+
+test("off removes the latest subscription of a handler, or every handler without one", () => {
+  const events = LBannerEvents.create();
+  const calls = [];
+  const handler = () => calls.push("handler");
+  events.on("bannerShown", handler);
+  events.on("bannerShown", handler);
+  events.on("bannerShown", () => calls.push("other"));
+
+  events.off("bannerShown", handler);
+  events.emit("bannerShown");
+  assert.deepEqual(calls, ["handler", "other"]);
+
+  calls.length = 0;
+  events.off("bannerShown");
+  events.emit("bannerShown");
+  assert.deepEqual(calls, []);
+});
+
+test("a throwing handler is logged and does not stop the other handlers", () => {
+  errors.length = 0;
+  const events = LBannerEvents.create();
+  let calls = 0;
+  events.on("bannerShown", () => {
+    throw new Error("handler failed");
+  });
+  events.on("bannerShown", () => calls++);
+
+  assert.doesNotThrow(() => events.emit("bannerShown"));
+  assert.equal(calls, 1);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0][0], /Handler for 'bannerShown' failed/);
+});
+
+test("handlers must be functions", () => {
+  const events = LBannerEvents.create();
+  assert.throws(() => events.on("bannerShown", null), /must be a function/);
+});
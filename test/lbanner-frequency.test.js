@@ -0,0 +1,100 @@
+/**
+ * LBannerFrequency tests
+ *
+ * Hour and day limits are counted from the impression timestamps the
+ * storage keeps per banner (every impression of the last day).
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import LBannerFrequency from "../lbanner-frequency.js";
+
+const NOW = Date.UTC(2026, 0, 1, 12);
+const MINUTE = 60 * 1000;
+
+/**
+ * Banner with an optional FrequencyCap of its own
+ * @param {string} id - Banner meta.id
+ * @param {Array<Object>} [limits] - FrequencyCap limits
+ * @returns {Object} Parsed banner
+ */
+function banner(id, limits) {
+  const frequencyCap = limits ? { campaignId: "spring", suppressAfterClick: false, limits } : null;
+  return { meta: { id, adId: "ad" }, configuration: { behavior: { frequencyCap } } };
+}
+
+/**
+ * History entry as recorded by the storage: one impression per minute up to now
+ * @param {number} shown - Impressions shown
+ * @returns {Object} Entry { impressions, count, campaignId, state }
+ */
+function entry(shown) {
+  const impressions = Array.from({ length: shown }, (_, i) => NOW - (shown - i) * MINUTE);
+  return { impressions, count: shown, campaignId: "spring", state: "notclicked" };
+}
+
+const warnings = [];
+let consoleWarn;
+
+before(() => {
+  consoleWarn = console.warn;
+  console.warn = (...args) => warnings.push(args.join(" "));
+});
+
+after(() => {
+  console.warn = consoleWarn;
+});
+
+test("normalize keeps limits as configured", () => {
+  warnings.length = 0;
+  const { limits } = LBannerFrequency.normalize({
+    limits: [
+      { impressions: 50, per: "day" },
+      { scope: "banner", impressions: 21, per: "hour" },
+      { scope: "campaign", impressions: 50, per: "day" },
+      { scope: "global", impressions: 50, per: "hour" },
+    ],
+  });
+  assert.deepEqual(limits.map(({ scope, impressions, per }) => `${scope} ${impressions}/${per}`), [
+    "banner 50/day",
+    "banner 21/hour",
+    "campaign 50/day",
+    "global 50/hour",
+  ]);
+  assert.deepEqual(warnings, []);
+});
+
+test("a large banner day limit is reached at its configured count", () => {
+  const defaults = LBannerFrequency.normalize({ limits: [{ impressions: 25, per: "day" }] });
+  const capped = banner("b1");
+  assert.equal(LBannerFrequency.getCapReason(capped, { b1: entry(24) }, NOW, defaults), null);
+  assert.equal(LBannerFrequency.getCapReason(capped, { b1: entry(25) }, NOW, defaults), "banner: 25 per day");
+});
+
+test("a creative's own hour limit only counts the last hour", () => {
+  const own = banner("b1", [{ scope: "banner", impressions: 40, per: "hour" }]);
+  const defaults = LBannerFrequency.normalize({});
+  const lastTwoHours = { ...entry(40), impressions: Array.from({ length: 40 }, (_, i) => NOW - (i + 1) * 3 * MINUTE) };
+  assert.equal(LBannerFrequency.getCapReason(own, { b1: lastTwoHours }, NOW, defaults), null);
+  assert.equal(LBannerFrequency.getCapReason(own, { b1: entry(40) }, NOW, defaults), "banner: 40 per hour");
+});
+
+test("campaign and global limits add up the history of every banner", () => {
+  const defaults = LBannerFrequency.normalize({
+    limits: [
+      { scope: "campaign", impressions: 30, per: "day" },
+      { scope: "global", impressions: 60, per: "day" },
+    ],
+  });
+  const history = { b1: entry(25), b2: entry(4) };
+  assert.equal(LBannerFrequency.getCapReason(banner("b1", []), history, NOW, defaults), null);
+  history.b2 = entry(5);
+  assert.equal(LBannerFrequency.getCapReason(banner("b1", []), history, NOW, defaults), "campaign: 30 per day");
+  const other = { b1: entry(25), b3: { ...entry(35), campaignId: "autumn" } };
+  assert.equal(LBannerFrequency.getCapReason(banner("b1", []), other, NOW, defaults), "global: 60 per day");
+});
+
+test("recentImpressions keeps every impression of the last day", () => {
+  const timestamps = [NOW - 25 * 60 * MINUTE, NOW - 23 * 60 * MINUTE, ...entry(100).impressions];
+  assert.deepEqual(LBannerFrequency.recentImpressions(timestamps, NOW), timestamps.slice(1));
+});
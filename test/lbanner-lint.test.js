@@ -0,0 +1,105 @@
+/**
+ * lbanner-lint tests
+ *
+ * Runs the linter over every shipped creative and checks that buttons are
+ * validated against the area their segment renders.
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "child_process";
+import { readdirSync } from "fs";
+import { fileURLToPath } from "url";
+import { DOMParser } from "@xmldom/xmldom";
+import VSATParser from "../vsat-parser.js";
+
+const LINT = fileURLToPath(new URL("../bin/lbanner-lint.js", import.meta.url));
+const BANNERS_DIR = fileURLToPath(new URL("../banners/", import.meta.url));
+
+/**
+ * Validate an LBanner with one button
+ * @param {string} segments - Segment elements; the first one holds {BUTTON}
+ * @param {Array<number>} position - Button [x, y, width, height]
+ * @returns {Array<string>} Error messages
+ */
+function buttonErrors(segments, [x, y, width, height]) {
+  const button = `<Buttons><Button id="btn"><Label>Go</Label>
+    <Position><X>${x}</X><Y>${y}</Y><Width>${width}</Width><Height>${height}</Height></Position>
+    <Action type="clickthrough"><ClickThrough>https://example.com</ClickThrough></Action>
+  </Button></Buttons>`;
+  const xmlText = `<VAST version="4.1"><Ad id="ad"><InLine><AdSystem>Test</AdSystem><AdTitle>Test</AdTitle>
+    <Extensions><Extension type="l-banner"><LBanner>
+      <Canvas width="1280" height="720"/>
+      ${segments.replace("{BUTTON}", button)}
+      <Display><StartOffset>00:00:05</StartOffset><EndOffset>00:00:15</EndOffset></Display>
+    </LBanner></Extension></Extensions>
+  </InLine></Ad></VAST>`;
+  return VSATParser.validate(xmlText).errors.map(({ message }) => message);
+}
+
+const segment = (tag, width, height, x, y, attributes = "") =>
+  `<${tag}${attributes}><ImageURL>https://example.com/a.png</ImageURL>` +
+  `<Width>${width}</Width><Height>${height}</Height><X>${x}</X><Y>${y}</Y>{BUTTON}</${tag}>`;
+
+const consoleMethods = {};
+
+before(() => {
+  VSATParser.setXMLBackend(new DOMParser());
+  for (const method of ["log", "warn", "error"]) {
+    consoleMethods[method] = console[method];
+    console[method] = () => {};
+  }
+});
+
+after(() => {
+  Object.assign(console, consoleMethods);
+});
+
+test("every creative in banners/ lints without errors", () => {
+  const files = readdirSync(BANNERS_DIR).filter((file) => file.endsWith(".xml")).map((file) => BANNERS_DIR + file);
+  assert.ok(files.length > 0);
+  const output = execFileSync(process.execPath, [LINT, "--json", "--quiet", ...files], { encoding: "utf-8" });
+  const failed = JSON.parse(output).filter((report) => !report.valid);
+  assert.deepEqual(failed, []);
+});
+
+test("left and right segments take buttons over the full canvas height", () => {
+  const vertical = segment("Vertical", 250, 300, 40, 260);
+  assert.deepEqual(buttonErrors(vertical, [60, 640, 140, 60]), []);
+  assert.equal(buttonErrors(vertical, [60, 940, 140, 60]).length, 1);
+  assert.equal(buttonErrors(vertical, [200, 300, 140, 60]).length, 1);
+  assert.equal(buttonErrors(vertical, [60, 200, 140, 60]).length, 1);
+});
+
+test("Horizontal segments take buttons up to the right column", () => {
+  const horizontal = segment("Horizontal", 150, 120, 40, 600);
+  assert.deepEqual(buttonErrors(horizontal, [420, 620, 180, 60]), []);
+  assert.equal(buttonErrors(horizontal, [420, 680, 180, 60]).length, 1);
+  assert.equal(buttonErrors(horizontal + segment("Vertical", 250, 720, 1030, 0), [900, 620, 180, 60]).length, 1);
+});
+
+test("side segments take buttons between the left and right columns", () => {
+  const bottom = segment("Segment", 880, 120, 200, 600, ` side="bottom"`) +
+    segment("Segment", 200, 720, 0, 0, ` side="left"`).replace("{BUTTON}", "") +
+    segment("Segment", 200, 720, 1080, 0, ` side="right"`).replace("{BUTTON}", "");
+  assert.deepEqual(buttonErrors(bottom, [860, 635, 200, 50]), []);
+  assert.match(buttonErrors(bottom, [1000, 635, 200, 50])[0], /lies outside the area its segment renders/);
+});
+
+test("large frequency cap limits are valid", () => {
+  const xmlText = `<VAST version="4.1"><Ad id="ad"><InLine><AdSystem>Test</AdSystem><AdTitle>Test</AdTitle>
+    <Extensions><Extension type="l-banner"><LBanner>
+      ${segment("Vertical", 250, 720, 0, 0).replace("{BUTTON}", "")}
+      <FrequencyCap>
+        <Limit scope="banner" impressions="25" per="day"/>
+        <Limit impressions="200" per="hour"/>
+        <Limit scope="campaign" impressions="25" per="day"/>
+        <Limit scope="banner" impressions="25" per="lifetime"/>
+      </FrequencyCap>
+      <Display><StartOffset>00:00:05</StartOffset><EndOffset>00:00:15</EndOffset></Display>
+    </LBanner></Extension></Extensions>
+  </InLine></Ad></VAST>`;
+  const { errors, warnings } = VSATParser.validate(xmlText);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(warnings.filter(({ message }) => /Limit/.test(message)), []);
+});
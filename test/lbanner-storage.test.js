@@ -0,0 +1,170 @@
+/**
+ * LBannerStorage tests
+ *
+ * The cookie backend shrinks its data to fit in one cookie, the
+ * localStorage/IndexedDB backends only delete the cookie they migrate once
+ * they stored its data, and every store records the banner history.
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import LBannerStorage from "../lbanner-storage.js";
+import LBannerFrequency from "../lbanner-frequency.js";
+
+const KEY = LBannerStorage.DEFAULTS.key;
+const NOW = Date.now();
+const MINUTE = 60 * 1000;
+
+/**
+ * document.cookie stand-in holding name=value pairs (max-age=0 deletes)
+ * @returns {Object} Object with a cookie accessor
+ */
+function cookieJar() {
+  const jar = new Map();
+  return {
+    get cookie() {
+      return [...jar].map(([name, value]) => `${name}=${value}`).join("; ");
+    },
+    set cookie(text) {
+      const [pair, ...attributes] = text.split(";");
+      const name = pair.slice(0, pair.indexOf("=")).trim();
+      if (attributes.some((attribute) => attribute.trim() === "max-age=0")) jar.delete(name);
+      else jar.set(name, pair.slice(pair.indexOf("=") + 1));
+    },
+  };
+}
+
+/**
+ * localStorage stand-in whose writes of the store key can be made to fail (quota)
+ * @param {boolean} failWrites - Throw when the store key is written
+ * @returns {Object} Storage with getItem, setItem, removeItem and items
+ */
+function localStore(failWrites) {
+  const items = new Map();
+  return {
+    items,
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => {
+      if (failWrites && key === KEY) throw new Error("QuotaExceededError");
+      items.set(key, String(value));
+    },
+    removeItem: (key) => items.delete(key),
+  };
+}
+
+/**
+ * Stored entry of one banner
+ * @param {number} shown - Impressions in the last day, one per minute up to now
+ * @returns {Object} Entry { lastShown, state, impressions, count }
+ */
+function entry(shown) {
+  const impressions = Array.from({ length: shown }, (_, i) => NOW - (shown - i) * MINUTE);
+  return { lastShown: NOW, state: "clicked", impressions, count: shown };
+}
+
+const warnings = [];
+const originalConsole = { log: console.log, warn: console.warn };
+
+before(() => {
+  console.log = () => {};
+  console.warn = (...args) => warnings.push(args.join(" "));
+});
+
+after(() => {
+  Object.assign(console, originalConsole);
+  delete globalThis.document;
+  delete globalThis.window;
+});
+
+/**
+ * Let the store settle its asynchronous save
+ * @returns {Promise<void>}
+ */
+function settle() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+test("fitCookie keeps data that fits as it is", () => {
+  const data = { b1: entry(3) };
+  assert.equal(LBannerStorage.fitCookie(data), data);
+});
+
+test("fitCookie drops the oldest impression timestamps before whole entries", () => {
+  warnings.length = 0;
+  const data = { b1: entry(150), b2: { ...entry(150), lastShown: NOW - MINUTE } };
+  const fitted = LBannerStorage.fitCookie(data);
+
+  assert.ok(encodeURIComponent(JSON.stringify(fitted)).length <= LBannerStorage.COOKIE_MAX_BYTES);
+  assert.deepEqual(Object.keys(fitted), ["b1", "b2"]);
+  assert.equal(fitted.b1.state, "clicked");
+  assert.equal(fitted.b1.count, 150);
+  assert.deepEqual(fitted.b1.impressions, data.b1.impressions.slice(-fitted.b1.impressions.length));
+  assert.equal(data.b1.impressions.length, 150);
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /oldest impression timestamp/);
+});
+
+test("fitCookie drops the least recently active entries last", () => {
+  warnings.length = 0;
+  const data = Object.fromEntries(
+    Array.from({ length: 80 }, (_, i) => [`lb_ad-${i}_creative-${i}_0a1b2c3d`, { ...entry(0), lastShown: NOW - i * MINUTE }])
+  );
+  const fitted = LBannerStorage.fitCookie(data);
+  const kept = Object.keys(fitted);
+
+  assert.ok(kept.length > 0 && kept.length < 80);
+  assert.deepEqual(kept, Object.keys(data).slice(0, kept.length));
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /least recently active entries with their lifetime counts and clicked state/);
+});
+
+test("a migrated cookie is kept while the new backend cannot save", async () => {
+  globalThis.document = cookieJar();
+  globalThis.window = { localStorage: localStore(true) };
+  document.cookie = `${KEY}=${encodeURIComponent(JSON.stringify({ b1: entry(2) }))}; path=/`;
+
+  const store = await LBannerStorage.create({ type: "localStorage" }).ready;
+  await settle();
+
+  assert.equal(store.type, "localStorage");
+  assert.deepEqual(Object.keys(store.read()), ["b1"]);
+  assert.deepEqual(LBannerStorage.readCookie(KEY), { b1: entry(2) });
+});
+
+test("a migrated cookie is deleted once the new backend saved its data", async () => {
+  globalThis.document = cookieJar();
+  globalThis.window = { localStorage: localStore(false) };
+  document.cookie = `${KEY}=${encodeURIComponent(JSON.stringify({ b1: entry(2) }))}; path=/`;
+
+  await LBannerStorage.create({ type: "localStorage" }).ready;
+  await settle();
+
+  assert.equal(LBannerStorage.readCookie(KEY), null);
+  assert.deepEqual(JSON.parse(window.localStorage.getItem(KEY)), { b1: entry(2) });
+});
+
+test("recordShown and recordClick keep the history caps are checked against", async () => {
+  globalThis.window = { LBannerFrequency };
+  const store = await LBannerStorage.create({ type: "memory" }).ready;
+
+  await store.recordShown("b1", "spring-sale");
+  await store.recordShown("b1", "spring-sale");
+  assert.equal(store.read().b1.state, "notclicked");
+  assert.equal(store.read().b1.count, 2);
+  assert.equal(store.read().b1.impressions.length, 2);
+  assert.equal(store.read().b1.campaignId, "spring-sale");
+
+  await store.recordClick("b1");
+  const { state, interactedAt } = store.read().b1;
+  await store.recordClick("b1");
+  assert.equal(state, "clicked");
+  assert.equal(store.read().b1.interactedAt, interactedAt);
+});
+
+test("entries written by earlier versions are dropped", async () => {
+  globalThis.window = {};
+  const store = await LBannerStorage.create({ type: "memory" }).ready;
+
+  await store.write({ content_segment_1: entry(1), vsat_lbanner_1700000000000: entry(1), b1: entry(1) });
+  assert.deepEqual(Object.keys(store.read()), ["b1"]);
+});
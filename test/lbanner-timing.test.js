@@ -0,0 +1,243 @@
+/**
+ * LBannerTiming state machine tests
+ *
+ * Machines run on a simulated clock, so animation and seek cooldown timers
+ * fire exactly when the test advances time.
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import LBannerTiming from "../lbanner-timing.js";
+
+/**
+ * Clock whose timers only fire from advance()
+ * @returns {Object} { setTimeout, clearTimeout, advance(ms) }
+ */
+function simulatedClock() {
+  let now = 0;
+  let nextId = 0;
+  const timers = new Map();
+  return {
+    setTimeout(callback, ms) {
+      timers.set(++nextId, { at: now + ms, callback });
+      return nextId;
+    },
+    clearTimeout(id) {
+      timers.delete(id);
+    },
+    advance(ms) {
+      const end = now + ms;
+      for (;;) {
+        const due = [...timers].filter(([, timer]) => timer.at <= end).sort((a, b) => a[1].at - b[1].at)[0];
+        if (!due) break;
+        timers.delete(due[0]);
+        now = due[1].at;
+        due[1].callback();
+      }
+      now = end;
+    },
+  };
+}
+
+/**
+ * Machine over banner A (10-20s), B (15-30s) and C (no window)
+ * @param {Object} [options] - Overrides passed to LBannerTiming.create
+ * @returns {Object} { machine, clock, calls, transitions, seek(time), play(time) }
+ */
+function createMachine(options = {}) {
+  const clock = simulatedClock();
+  const windows = [
+    { key: "A", startOffset: 10, endOffset: 20 },
+    { key: "B", startOffset: 15, endOffset: 30 },
+    { key: "C", startOffset: null, endOffset: null },
+  ];
+  const calls = [];
+  const transitions = [];
+  let time = 0;
+  const machine = LBannerTiming.create({
+    getTime: () => time,
+    getWindows: () => windows,
+    show: (key, reason) => calls.push(`show ${key} ${reason}`),
+    hide: (key, reason) => calls.push(`hide ${key} ${reason}`),
+    onTransition: ({ from, to }) => transitions.push(`${from}>${to}`),
+    clock,
+    ...options,
+  });
+  return {
+    machine,
+    clock,
+    calls,
+    transitions,
+    /** Move the playhead and report a timeupdate */
+    play(to) {
+      time = to;
+      machine.timeupdate();
+    },
+    /** Seek without settling */
+    seek(to) {
+      machine.seeking();
+      time = to;
+      machine.seeked();
+    },
+  };
+}
+
+const consoleMethods = {};
+
+before(() => {
+  for (const method of ["log", "warn"]) {
+    consoleMethods[method] = console[method];
+    console[method] = () => {};
+  }
+});
+
+after(() => {
+  Object.assign(console, consoleMethods);
+});
+
+test("a banner enters, becomes visible and exits with its window", () => {
+  const { machine, clock, calls, play } = createMachine();
+  play(5);
+  assert.equal(machine.getState().state, "scheduled");
+  play(11);
+  assert.deepEqual(machine.getState(), { state: "entering", bannerId: "A", forcedBannerId: null, paused: false, seeking: false });
+  clock.advance(LBannerTiming.ENTER_MS);
+  assert.equal(machine.getState().state, "visible");
+  play(35);
+  assert.equal(machine.getState().state, "exiting");
+  clock.advance(LBannerTiming.EXIT_MS);
+  assert.equal(machine.getState().state, "idle");
+  assert.deepEqual(calls, ["show A timeupdate", "hide A timeupdate"]);
+});
+
+test("seeking while visible hides the banner until the cooldown ends", () => {
+  const { machine, clock, calls, play, seek } = createMachine();
+  play(12);
+  clock.advance(LBannerTiming.ENTER_MS);
+  seek(13);
+  assert.deepEqual(machine.getState(), { state: "seeking", bannerId: null, forcedBannerId: null, paused: false, seeking: true });
+  play(13);
+  clock.advance(LBannerTiming.SEEK_COOLDOWN_MS - 1);
+  assert.equal(machine.getState().state, "seeking");
+  clock.advance(1);
+  assert.deepEqual(calls, ["show A timeupdate", "hide A seeking", "show A seek-complete"]);
+  assert.equal(machine.getState().state, "entering");
+
+  // The exit animation of the seek must not end the new display
+  clock.advance(LBannerTiming.EXIT_MS);
+  assert.deepEqual(machine.getState(), { state: "visible", bannerId: "A", forcedBannerId: null, paused: false, seeking: false });
+  assert.equal(calls.length, 3);
+});
+
+test("a new seek restarts the cooldown", () => {
+  const { machine, clock, calls, play, seek } = createMachine();
+  play(12);
+  seek(13);
+  clock.advance(400);
+  seek(25);
+  clock.advance(400);
+  assert.equal(machine.getState().state, "seeking");
+  clock.advance(200);
+  assert.deepEqual(machine.getState(), { state: "entering", bannerId: "B", forcedBannerId: null, paused: false, seeking: false });
+  assert.deepEqual(calls, ["show A timeupdate", "hide A seeking", "show B seek-complete"]);
+});
+
+test("pausing during a seek holds a banner once the seek settles", () => {
+  const { machine, clock, calls, play, seek } = createMachine({ showOnPause: true });
+  play(12);
+  seek(25);
+  clock.advance(300);
+  machine.pause();
+  assert.equal(machine.getState().state, "seeking");
+  clock.advance(300);
+  assert.deepEqual(machine.getState(), { state: "paused-override", bannerId: "B", forcedBannerId: null, paused: true, seeking: false });
+
+  // Play resumes the schedule on the first timeupdate
+  machine.play();
+  play(25);
+  assert.equal(machine.getState().state, "visible");
+  assert.deepEqual(calls, ["show A timeupdate", "hide A seeking", "show B seek-complete"]);
+});
+
+test("pause and play during a seek leave the display to the cooldown", () => {
+  const { machine, clock, calls, play, seek } = createMachine({ showOnPause: true });
+  play(12);
+  seek(40);
+  machine.pause();
+  machine.play();
+  clock.advance(LBannerTiming.SEEK_COOLDOWN_MS);
+  assert.deepEqual(machine.getState(), { state: "idle", bannerId: null, forcedBannerId: null, paused: false, seeking: false });
+  assert.deepEqual(calls, ["show A timeupdate", "hide A seeking"]);
+});
+
+test("a banner re-entering while it exits starts a new display", () => {
+  const { machine, clock, calls, transitions, play, seek } = createMachine();
+  play(12);
+  clock.advance(LBannerTiming.ENTER_MS);
+  play(35);
+  assert.equal(machine.getState().state, "exiting");
+  clock.advance(500);
+  seek(12);
+  clock.advance(LBannerTiming.SEEK_COOLDOWN_MS);
+  assert.equal(machine.getState().state, "entering");
+
+  // The first exit animation would have ended here
+  clock.advance(LBannerTiming.EXIT_MS - 500 - LBannerTiming.SEEK_COOLDOWN_MS + 100);
+  assert.equal(machine.getState().state, "entering");
+  clock.advance(LBannerTiming.ENTER_MS);
+  assert.equal(machine.getState().state, "visible");
+  assert.deepEqual(calls, ["show A timeupdate", "hide A timeupdate", "show A seek-complete"]);
+  assert.deepEqual(transitions, ["idle>entering", "entering>visible", "visible>exiting", "exiting>seeking", "seeking>entering", "entering>visible"]);
+});
+
+test("exiting goes straight to entering when the window of another banner starts", () => {
+  const { machine, clock, calls, play } = createMachine({ isEligible: (key) => key !== "B" });
+  play(12);
+  machine.hide("A");
+  assert.equal(machine.getState().state, "exiting");
+  play(13);
+  assert.deepEqual(machine.getState(), { state: "entering", bannerId: "A", forcedBannerId: null, paused: false, seeking: false });
+  clock.advance(LBannerTiming.ENTER_MS);
+  assert.equal(machine.getState().state, "visible");
+  assert.deepEqual(calls, ["show A timeupdate", "hide A api", "show A timeupdate"]);
+});
+
+test("a closed banner stays suppressed until its window ends", () => {
+  const { machine, clock, calls, play, seek } = createMachine({ isEligible: (key) => key !== "B" });
+  play(12);
+  clock.advance(LBannerTiming.ENTER_MS);
+  machine.close("A");
+  assert.deepEqual(machine.getState(), { state: "suppressed", bannerId: "A", forcedBannerId: null, paused: false, seeking: false });
+  play(15);
+  assert.equal(machine.getState().state, "suppressed");
+  clock.advance(LBannerTiming.EXIT_MS);
+  assert.equal(machine.getState().state, "suppressed");
+  play(31);
+  assert.equal(machine.getState().state, "idle");
+
+  // Seeking back into the window shows it again
+  seek(12);
+  clock.advance(LBannerTiming.SEEK_COOLDOWN_MS);
+  assert.equal(machine.getState().state, "entering");
+  assert.deepEqual(calls, ["show A timeupdate", "show A seek-complete"]);
+});
+
+test("closing a banner that is not on screen does nothing", () => {
+  const { machine, play } = createMachine();
+  play(12);
+  machine.close("B");
+  assert.equal(machine.getState().state, "entering");
+  play(40);
+  machine.close("A");
+  assert.equal(machine.getState().state, "exiting");
+});
+
+test("destroy stops the timers", () => {
+  const { machine, clock, transitions, play, seek } = createMachine();
+  play(12);
+  seek(25);
+  machine.destroy();
+  clock.advance(5000);
+  assert.equal(machine.getState().state, "seeking");
+  assert.deepEqual(transitions, ["idle>entering", "entering>seeking"]);
+});
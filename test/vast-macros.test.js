@@ -0,0 +1,61 @@
+/**
+ * VASTMacros tests
+ *
+ * Custom macros and the macro context are passed with each expansion by the
+ * player the URL belongs to, so players on the same page never expand each
+ * other's values.
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import VASTMacros from "../vast-macros.js";
+
+const originalLog = console.log;
+
+before(() => {
+  console.log = () => {};
+});
+
+after(() => {
+  console.log = originalLog;
+  VASTMacros.customMacros = {};
+});
+
+test("normalize keys macros by upper-case name without brackets", () => {
+  assert.deepEqual(VASTMacros.normalize({ siteid: "a", "[Section]": "b" }), { SITEID: "a", SECTION: "b" });
+  assert.deepEqual(VASTMacros.normalize(null), {});
+});
+
+test("macros passed to expand only apply to that call", () => {
+  const first = VASTMacros.normalize({ siteId: "first" });
+  const second = VASTMacros.normalize({ siteId: "second" });
+  const url = "https://t.example/px?site=[SITEID]&enc=%5BSITEID%5D";
+
+  assert.equal(VASTMacros.expand(url, {}, first), "https://t.example/px?site=first&enc=first");
+  assert.equal(VASTMacros.expand(url, {}, second), "https://t.example/px?site=second&enc=second");
+  assert.equal(VASTMacros.expand(url), url);
+});
+
+test("macros passed to expand take precedence over registered ones and receive the context", () => {
+  VASTMacros.register("SITEID", "page");
+  const macros = VASTMacros.normalize({ section: (context) => `err-${context.errorCode}` });
+  const url = "https://t.example/px?site=[SITEID]&section=[SECTION]&code=[ERRORCODE]";
+
+  assert.equal(
+    VASTMacros.expand(url, { errorCode: 603 }, macros),
+    "https://t.example/px?site=page&section=err-603&code=603"
+  );
+  assert.equal(
+    VASTMacros.expand(url, {}, VASTMacros.normalize({ siteId: "player" })),
+    "https://t.example/px?site=player&section=[SECTION]&code=-1"
+  );
+});
+
+test("built-in macros come from the context passed to expand", () => {
+  const url = "https://t.example/px?t=[CONTENTPLAYHEAD]&size=[PLAYERSIZE]&asset=[ASSETURI]";
+  assert.equal(
+    VASTMacros.expand(url, { contentPlayhead: 75.5, playerSize: { width: 640, height: 360 }, assetUri: "https://v.example/a.mp4" }),
+    "https://t.example/px?t=00%3A01%3A15.500&size=640%2C360&asset=https%3A%2F%2Fv.example%2Fa.mp4"
+  );
+  assert.equal(VASTMacros.expand(url), "https://t.example/px?t=-1&size=-1&asset=-1");
+});
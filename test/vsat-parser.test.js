@@ -0,0 +1,273 @@
+/**
+ * VSATParser regression tests
+ *
+ * Parses every creative in banners/ with the xmldom backend and checks the
+ * segment and button geometry the renderer receives and that toXML writes
+ * them back unchanged, plus the document forms the samples do not cover
+ * (element order, default and prefixed namespaces).
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync, readdirSync } from "fs";
+import { DOMParser } from "@xmldom/xmldom";
+import VSATParser from "../vsat-parser.js";
+
+const BANNERS_DIR = new URL("../banners/", import.meta.url);
+
+/**
+ * Expected geometry per sample: layout position, segments as
+ * [id, position, width, height, x, y] and buttons per segment as
+ * [id, x, y, width, height]
+ */
+const SAMPLES = {
+  "companion-ads.xml": {
+    position: "left-bottom",
+    segments: [
+      ["segment_left", "left", 240, 720, 0, 0],
+      ["segment_bottom", "bottom", 1040, 120, 240, 600],
+    ],
+    buttons: { segment_left: [], segment_bottom: [] },
+  },
+  "left-bottom-image.xml": {
+    position: "left-bottom",
+    segments: [
+      ["segment_horizontal", "bottom", 1280, 120, 0, 700],
+      ["segment_vertical", "left", 250, 400, 0, 0],
+    ],
+    buttons: {
+      segment_horizontal: [["btn-learn-more", 1030, 735, 200, 50]],
+      segment_vertical: [["btn-upgrade", 50, 320, 150, 50]],
+    },
+  },
+  "left-bottom-poll.xml": {
+    position: "left-bottom",
+    segments: [
+      ["segment_horizontal", "bottom", 1020, 140, 260, 700],
+      ["segment_vertical", "left", 260, 400, 0, 0],
+    ],
+    buttons: {
+      segment_horizontal: [],
+      segment_vertical: [
+        ["poll-option-1", 20, 80, 220, 50],
+        ["poll-option-2", 20, 140, 220, 50],
+        ["poll-option-3", 20, 200, 220, 50],
+        ["poll-option-4", 20, 260, 220, 50],
+      ],
+    },
+  },
+  "n2.xml": {
+    position: "left-bottom",
+    segments: [
+      ["segment_horizontal", "bottom", 150, 120, 200, 760],
+      ["segment_vertical", "left", 500, 300, 40, 260],
+    ],
+    buttons: { segment_horizontal: [], segment_vertical: [] },
+  },
+  "new-l-banner.xml": {
+    position: "left-bottom",
+    segments: [
+      ["segment_horizontal", "bottom", 150, 120, 40, 760],
+      ["segment_vertical", "left", 200, 300, 40, 260],
+    ],
+    buttons: {
+      segment_horizontal: [["segment2-btn", 420, 780, 180, 60]],
+      segment_vertical: [["segment1-btn", 60, 640, 140, 60]],
+    },
+  },
+  "new-vast-banner.xml": {
+    position: "left-bottom",
+    segments: [
+      ["segment_horizontal", "bottom", 400, 120, 40, 760],
+      ["segment_vertical", "left", 250, 400, 40, 260],
+    ],
+    buttons: {
+      segment_horizontal: [["undefined-btn", 420, 780, 180, 60]],
+      segment_vertical: [["undefined-btn", 60, 640, 140, 60]],
+    },
+  },
+  "new-vast-banner-2.xml": {
+    position: "left-bottom",
+    segments: [
+      ["segment_horizontal", "bottom", 400, 120, 40, 760],
+      ["segment_vertical", "left", 250, 400, 40, 260],
+    ],
+    buttons: {
+      segment_horizontal: [["undefined-btn", 420, 780, 180, 60]],
+      segment_vertical: [["undefined-btn", 60, 640, 140, 60]],
+    },
+  },
+  "right-bottom-image.xml": {
+    position: "right-bottom",
+    segments: [
+      ["segment_horizontal", "bottom", 1280, 120, 0, 700],
+      ["segment_vertical", "right", 250, 400, 1030, 0],
+    ],
+    buttons: {
+      segment_horizontal: [],
+      segment_vertical: [["btn-learn-more", 1080, 320, 150, 50]],
+    },
+  },
+  "u-frame-image.xml": {
+    position: "left-right-bottom",
+    segments: [
+      ["segment_left", "left", 200, 720, 0, 0],
+      ["segment_right", "right", 200, 720, 1080, 0],
+      ["segment_bottom", "bottom", 880, 120, 200, 600],
+    ],
+    buttons: {
+      segment_left: [],
+      segment_right: [],
+      segment_bottom: [["btn-u-frame-learn-more", 860, 635, 200, 50]],
+    },
+  },
+};
+
+/**
+ * Build a minimal L-Banner VAST document
+ * @param {string} lbanner - Content of the LBanner element (tags written without prefix)
+ * @param {Object} [options]
+ * @param {string} [options.xmlns] - Default namespace of the document
+ * @param {string} [options.prefix] - Namespace prefix applied to every element
+ * @returns {string} VAST XML
+ */
+function vastDocument(lbanner, { xmlns, prefix } = {}) {
+  const body = `<VAST version="4.1">
+    <Ad id="test-ad">
+      <InLine>
+        <AdSystem>Test</AdSystem>
+        <AdTitle>Test</AdTitle>
+        <Extensions>
+          <Extension type="l-banner">
+            <LBanner>${lbanner}</LBanner>
+          </Extension>
+        </Extensions>
+      </InLine>
+    </Ad>
+  </VAST>`;
+  if (prefix) {
+    return body
+      .replace(/<(\/?)([A-Z]\w*)/g, `<$1${prefix}:$2`)
+      .replace(`<${prefix}:VAST`, `<${prefix}:VAST xmlns:${prefix}="http://www.iab.com/VAST"`);
+  }
+  return xmlns ? body.replace("<VAST", `<VAST xmlns="${xmlns}"`) : body;
+}
+
+const SEGMENTS = `
+  <Vertical>
+    <Width>250</Width>
+    <Height>400</Height>
+    <X>0</X>
+    <Y>0</Y>
+    <Buttons>
+      <Button id="btn-vertical">
+        <Label>Go</Label>
+        <Position><X>20</X><Y>300</Y><Width>150</Width><Height>50</Height></Position>
+      </Button>
+    </Buttons>
+  </Vertical>
+  <Horizontal>
+    <Width>1030</Width>
+    <Height>120</Height>
+    <X>250</X>
+    <Y>600</Y>
+  </Horizontal>
+  <Display><StartOffset>00:00:05</StartOffset><EndOffset>00:00:15</EndOffset></Display>`;
+
+/**
+ * Segments as [id, position, width, height, x, y]
+ */
+function segmentGeometry(configuration) {
+  return configuration.layout.segments.map((segment) => [
+    segment.id, segment.position, segment.width, segment.height, segment.x, segment.y,
+  ]);
+}
+
+/**
+ * Buttons per segment as [id, x, y, width, height]
+ */
+function buttonGeometry(configuration) {
+  const buttons = {};
+  configuration.content.elements.forEach((element) => {
+    buttons[element.segmentId] = element.buttons.map(({ id, position }) => [
+      id, position.x, position.y, position.width, position.height,
+    ]);
+  });
+  return buttons;
+}
+
+function parse(xmlText) {
+  const banner = VSATParser.parseVSAT(xmlText);
+  assert.ok(banner, `parseVSAT returned null (error code ${VSATParser.lastErrorCode})`);
+  return banner.configuration;
+}
+
+const consoleMethods = {};
+
+before(() => {
+  VSATParser.setXMLBackend(new DOMParser());
+  for (const method of ["log", "warn", "error"]) {
+    consoleMethods[method] = console[method];
+    console[method] = () => {};
+  }
+});
+
+after(() => {
+  Object.assign(console, consoleMethods);
+});
+
+test("every sample in banners/ has expected geometry", () => {
+  const files = readdirSync(BANNERS_DIR).filter((file) => file.endsWith(".xml")).sort();
+  assert.deepEqual(files, Object.keys(SAMPLES).sort());
+});
+
+for (const [file, expected] of Object.entries(SAMPLES)) {
+  test(`banners/${file} parses into its segments and buttons`, () => {
+    const configuration = parse(readFileSync(new URL(file, BANNERS_DIR), "utf-8"));
+    assert.equal(configuration.layout.position, expected.position);
+    assert.deepEqual(configuration.layout.canvas, { width: 1280, height: 720 });
+    assert.deepEqual(segmentGeometry(configuration), expected.segments);
+    assert.deepEqual(buttonGeometry(configuration), expected.buttons);
+  });
+}
+
+test("segment size does not depend on the position of Buttons", () => {
+  const reordered = SEGMENTS.replace(
+    /(<Width>250<\/Width>[\s\S]*?<Y>0<\/Y>)(\s*)(<Buttons>[\s\S]*?<\/Buttons>)/,
+    "$3$2$1"
+  );
+  assert.notEqual(reordered, SEGMENTS);
+  assert.ok(reordered.indexOf("<Buttons>") < reordered.indexOf("<Width>250"));
+
+  const configuration = parse(vastDocument(reordered));
+  assert.deepEqual(segmentGeometry(configuration), segmentGeometry(parse(vastDocument(SEGMENTS))));
+  assert.deepEqual(segmentGeometry(configuration)[1], ["segment_vertical", "left", 250, 400, 0, 0]);
+  assert.deepEqual(buttonGeometry(configuration).segment_vertical, [["btn-vertical", 20, 300, 150, 50]]);
+});
+
+test("documents in the default VAST namespace parse like plain ones", () => {
+  const plain = parse(vastDocument(SEGMENTS));
+  const namespaced = parse(vastDocument(SEGMENTS, { xmlns: "http://www.iab.com/VAST" }));
+  assert.deepEqual(segmentGeometry(namespaced), segmentGeometry(plain));
+  assert.deepEqual(buttonGeometry(namespaced), buttonGeometry(plain));
+  assert.deepEqual(namespaced.timing, plain.timing);
+});
+
+test("documents with prefixed elements parse like plain ones", () => {
+  const xmlText = vastDocument(SEGMENTS, { prefix: "vast" });
+  assert.match(xmlText, /<vast:LBanner>/);
+
+  const plain = parse(vastDocument(SEGMENTS));
+  const prefixed = parse(xmlText);
+  assert.deepEqual(segmentGeometry(prefixed), segmentGeometry(plain));
+  assert.deepEqual(buttonGeometry(prefixed), buttonGeometry(plain));
+  assert.deepEqual(prefixed.timing, plain.timing);
+});
+
+for (const file of Object.keys(SAMPLES)) {
+  test(`banners/${file} survives a toXML round trip`, () => {
+    const parsed = VSATParser.parseVSAT(readFileSync(new URL(file, BANNERS_DIR), "utf-8"));
+    assert.ok(parsed, `parseVSAT returned null (error code ${VSATParser.lastErrorCode})`);
+    assert.deepEqual(VSATParser.parseVSAT(VSATParser.toXML(parsed)), parsed);
+  });
+}
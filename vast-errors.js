@@ -0,0 +1,125 @@
+/**
+ * VAST Error Module
+ *
+ * Provides the IAB VAST error code table and helpers to:
+ * - Ping <Error> URLs with the [ERRORCODE] macro substituted
+ * - Create structured error objects carrying a VAST error code
+ *
+ * Error URLs are collected by the parser at both Ad (InLine) and Wrapper level
+ * and stored on the banner as banner.errors.
+ */
+
+const VASTErrors = {
+    /**
+     * IAB VAST error codes used by the L-Banner player
+     */
+    CODES: {
+        XML_PARSE: 100,
+        SCHEMA_VALIDATION: 101,
+        VERSION_UNSUPPORTED: 102,
+        TRAFFICKING: 200,
+        WRAPPER: 300,
+        WRAPPER_TIMEOUT: 301,
+        WRAPPER_LIMIT: 302,
+        NO_ADS: 303,
+        LINEAR: 400,
+        MEDIA_NOT_FOUND: 401,
+        MEDIA_TIMEOUT: 402,
+        MEDIA_UNSUPPORTED: 403,
+        MEDIA_DISPLAY: 405,
+        NONLINEAR: 500,
+        NONLINEAR_DIMENSIONS: 501,
+        NONLINEAR_FETCH: 502,
+        NONLINEAR_UNSUPPORTED: 503,
+        COMPANION: 600,
+        COMPANION_DIMENSIONS: 601,
+        COMPANION_REQUIRED: 602,
+        COMPANION_FETCH: 603,
+        COMPANION_UNSUPPORTED: 604,
+        UNDEFINED: 900,
+    },
+
+    /**
+     * Human-readable descriptions for each error code
+     */
+    MESSAGES: {
+        100: "XML parsing error",
+        101: "VAST schema validation error",
+        102: "VAST version of response not supported",
+        200: "Trafficking error",
+        300: "General Wrapper error",
+        301: "Timeout of VAST URI provided in Wrapper element",
+        302: "Wrapper limit reached",
+        303: "No VAST response after one or more Wrappers",
+        400: "General Linear error",
+        401: "File not found",
+        402: "Timeout of MediaFile URI",
+        403: "Couldn't find MediaFile that is supported",
+        405: "Problem displaying MediaFile",
+        500: "General NonLinearAds error",
+        501: "Unable to display NonLinear Ad because creative dimensions do not align",
+        502: "Unable to fetch NonLinearAds/NonLinear resource",
+        503: "Couldn't find NonLinear resource with supported type",
+        600: "General CompanionAds error",
+        601: "Unable to display Companion because creative dimensions do not fit",
+        602: "Unable to display required Companion",
+        603: "Unable to fetch CompanionAds/Companion resource",
+        604: "Couldn't find Companion resource with supported type",
+        900: "Undefined error",
+    },
+
+    /**
+     * Create a structured error object carrying a VAST error code
+     *
+     * @param {number} code - VAST error code from CODES
+     * @param {string} [message] - Error message (defaults to the code description)
+     * @param {Object} [details={}] - Extra context (url, adId, cause, ...)
+     * @returns {Error} Error with name "LBannerError", code, description and details
+     */
+    createError(code, message, details = {}) {
+        const description = this.MESSAGES[code] || this.MESSAGES[this.CODES.UNDEFINED];
+        const error = new Error(message || description);
+        error.name = "LBannerError";
+        error.code = code;
+        error.description = description;
+        error.details = details;
+        return error;
+    },
+
+    /**
+     * Substitute the [ERRORCODE] macro in an Error URL
+     *
+     * @param {string} url - Error URL as declared in the VAST XML
+     * @param {number} code - VAST error code
+     * @returns {string} URL with the error code inserted
+     */
+    buildErrorUrl(url, code) {
+        return url.replace(/\[ERRORCODE\]|%5BERRORCODE%5D/gi, String(code));
+    },
+
+    /**
+     * Ping Error URLs for a VAST error
+     *
+     * @param {Array<string>} urls - Error URLs (banner.errors or wrapper errors)
+     * @param {number} code - VAST error code
+     * @param {Object|null} [banner=null] - Banner the error belongs to (passed to VASTTracker listeners)
+     * @param {Object} [macros={}] - Custom macros of the player the error belongs to (see VASTMacros.expand)
+     * @param {Object} [context={}] - Macro context of the player the error belongs to
+     */
+    report(urls, code, banner = null, macros = {}, context = {}) {
+        console.warn(`[VASTErrors] VAST error ${code}: ${this.MESSAGES[code] || "Unknown error"}`);
+        if (!Array.isArray(urls) || urls.length === 0) return;
+        const resolved = urls.filter(Boolean).map((url) => this.buildErrorUrl(url, code));
+        if (window.VASTTracker) {
+            window.VASTTracker.fire(resolved, "error", { ...context, errorCode: code }, banner, macros);
+        }
+    },
+};
+
+/**
+ * Export VASTErrors globally for use in other modules
+ * Makes error helpers available on window object for main.js and analytics.js
+ */
+if (typeof window !== "undefined") {
+    window.VASTErrors = VASTErrors;
+}
@@ -0,0 +1,187 @@
+/**
+ * VAST Macro Module
+ *
+ * Expands IAB VAST 4 macros (e.g. [CACHEBUSTING], [TIMESTAMP], [CONTENTPLAYHEAD])
+ * in tracking, clickthrough and VAST request URLs at the time they are fired.
+ *
+ * Macros resolve, in order of precedence, to:
+ * 1. Custom macros passed to expand() (the macros init option of the player the URL belongs to)
+ * 2. Custom macros registered page-wide with register()/registerAll()
+ * 3. Built-in macros, computed from the context passed to expand(): the
+ *    playhead, asset URI, size and consent of the player the URL belongs to
+ *    (see getMacroContext in main.js) plus per-call values (e.g. { errorCode: 603 })
+ *
+ * Supported macros whose value is unknown are replaced with "-1" as the IAB
+ * specification requires. Unknown macro names are left untouched.
+ */
+
+const VASTMacros = {
+    /**
+     * Custom macros registered for every player on the page, keyed by upper-case macro name
+     * Values are strings/numbers or functions receiving the expansion context
+     */
+    customMacros: {},
+
+    /**
+     * Built-in macro resolvers, keyed by macro name
+     * Each receives the merged context and returns a value, or undefined if unknown
+     */
+    builtins: {
+        CACHEBUSTING: () => String(Math.floor(Math.random() * 90000000) + 10000000),
+        TIMESTAMP: () => VASTMacros.formatTimestamp(new Date()),
+        CONTENTPLAYHEAD: (ctx) => VASTMacros.formatPlayhead(ctx.contentPlayhead),
+        MEDIAPLAYHEAD: (ctx) => VASTMacros.formatPlayhead(ctx.mediaPlayhead ?? ctx.contentPlayhead),
+        ADPLAYHEAD: (ctx) => VASTMacros.formatPlayhead(ctx.adPlayhead ?? ctx.mediaPlayhead),
+        ASSETURI: (ctx) => ctx.assetUri,
+        PAGEURL: () => (typeof window !== "undefined" ? window.location?.href : undefined),
+        DOMAIN: () => (typeof window !== "undefined" ? window.location?.hostname : undefined),
+        DEVICEUA: () => (typeof navigator !== "undefined" ? navigator.userAgent : undefined),
+        PLAYERSIZE: (ctx) => (ctx.playerSize ? `${ctx.playerSize.width},${ctx.playerSize.height}` : undefined),
+        PLAYERSTATE: (ctx) => ctx.playerState,
+        ERRORCODE: (ctx) => ctx.errorCode,
+        GDPR: (ctx) => ctx.gdpr,
+        GDPRCONSENT: (ctx) => ctx.gdprConsent,
+        US_PRIVACY: (ctx) => ctx.usPrivacy,
+        GPP_STRING: (ctx) => ctx.gppString,
+        GPP_SID: (ctx) => ctx.gppSid,
+        LIMITADTRACKING: () => {
+            if (typeof navigator === "undefined") return undefined;
+            return navigator.doNotTrack === "1" || window.doNotTrack === "1" ? "1" : "0";
+        },
+    },
+
+    /**
+     * Register a custom macro
+     *
+     * @param {string} name - Macro name without brackets (e.g. "SITEID")
+     * @param {string|number|Function} value - Value, or function (context) => value
+     */
+    register(name, value) {
+        if (!name) return;
+        const key = this.normalizeName(name);
+        this.customMacros[key] = value;
+        console.log(`[VASTMacros] Registered custom macro [${key}]`);
+    },
+
+    /**
+     * Register several custom macros at once
+     *
+     * @param {Object} macros - Map of macro name to value or function
+     */
+    registerAll(macros) {
+        if (!macros || typeof macros !== "object") return;
+        Object.entries(macros).forEach(([name, value]) => this.register(name, value));
+    },
+
+    /**
+     * Key custom macros by upper-case name, as expand() looks them up
+     *
+     * @param {Object} [macros] - Map of macro name (with or without brackets) to value or function
+     * @returns {Object} Macros keyed by upper-case name (empty for anything but an object)
+     */
+    normalize(macros) {
+        if (!macros || typeof macros !== "object") return {};
+        return Object.fromEntries(
+            Object.entries(macros)
+                .filter(([name]) => name)
+                .map(([name, value]) => [this.normalizeName(name), value])
+        );
+    },
+
+    /**
+     * Macro name without brackets, in upper case
+     *
+     * @param {string} name - Macro name (e.g. "siteid" or "[SITEID]")
+     * @returns {string} Normalized name (e.g. "SITEID")
+     */
+    normalizeName(name) {
+        return String(name).replace(/^\[|\]$/g, "").toUpperCase();
+    },
+
+    /**
+     * Expand all macros in a URL
+     *
+     * @param {string} url - URL containing [MACRO] or %5BMACRO%5D placeholders
+     * @param {Object} [context={}] - Values of the built-in macros: { contentPlayhead, mediaPlayhead, adPlayhead,
+     *   assetUri, playerSize, playerState, errorCode, gdpr, gdprConsent, usPrivacy, gppString, gppSid }
+     * @param {Object} [macros={}] - Custom macros of the player the URL belongs to, keyed by
+     *   upper-case name (see normalize); they take precedence over registered ones
+     * @returns {string} URL with supported macros replaced by URL-encoded values
+     */
+    expand(url, context = {}, macros = {}) {
+        if (!url || typeof url !== "string") return url;
+        const ctx = context || {};
+
+        return url.replace(/\[([A-Za-z0-9_]+)\]|%5B([A-Za-z0-9_]+)%5D/gi, (match, plain, encoded) => {
+            const name = (plain || encoded).toUpperCase();
+            let resolver;
+            if (macros && Object.prototype.hasOwnProperty.call(macros, name)) {
+                resolver = macros[name];
+            } else if (Object.prototype.hasOwnProperty.call(this.customMacros, name)) {
+                resolver = this.customMacros[name];
+            } else if (Object.prototype.hasOwnProperty.call(this.builtins, name)) {
+                resolver = this.builtins[name];
+            } else {
+                return match;
+            }
+
+            let value;
+            try {
+                value = typeof resolver === "function" ? resolver(ctx) : resolver;
+            } catch (error) {
+                console.warn(`[VASTMacros] Macro [${name}] failed:`, error);
+            }
+            if (value === undefined || value === null || value === "") {
+                return "-1";
+            }
+            return encodeURIComponent(String(value));
+        });
+    },
+
+    /**
+     * Format a playhead in seconds as HH:MM:SS.mmm
+     *
+     * @param {number} seconds - Playhead position in seconds
+     * @returns {string|undefined} Formatted playhead, or undefined if not a finite number
+     */
+    formatPlayhead(seconds) {
+        if (typeof seconds !== "number" || !Number.isFinite(seconds) || seconds < 0) return undefined;
+        const totalMs = Math.round(seconds * 1000);
+        const hours = Math.floor(totalMs / 3600000);
+        const minutes = Math.floor((totalMs % 3600000) / 60000);
+        const secs = Math.floor((totalMs % 60000) / 1000);
+        const ms = totalMs % 1000;
+        const pad = (n, len = 2) => String(n).padStart(len, "0");
+        return `${pad(hours)}:${pad(minutes)}:${pad(secs)}.${pad(ms, 3)}`;
+    },
+
+    /**
+     * Format a date as ISO 8601 with milliseconds and local timezone offset
+     *
+     * @param {Date} date - Date to format
+     * @returns {string} Timestamp such as 2016-01-17T08:15:07.127-05:00
+     */
+    formatTimestamp(date) {
+        const pad = (n, len = 2) => String(Math.abs(n)).padStart(len, "0");
+        const offset = -date.getTimezoneOffset();
+        const sign = offset >= 0 ? "+" : "-";
+        return (
+            `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+            `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}` +
+            `.${pad(date.getMilliseconds(), 3)}${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`
+        );
+    },
+};
+
+/**
+ * Export VASTMacros globally for use in other modules
+ * Makes macro expansion available on window object for main.js, analytics.js and trackers
+ */
+if (typeof window !== "undefined") {
+    window.VASTMacros = VASTMacros;
+}
+
+/**
+ * ES module export for non-browser consumers (e.g. test/vast-macros.test.js)
+ */
+export default VASTMacros;
@@ -0,0 +1,221 @@
+/**
+ * VAST Event Tracker Module
+ *
+ * Fires the VAST tracking pixels declared for an ad:
+ * - Impression URLs, once when the first L-Banner of the Ad renders
+ * - Linear TrackingEvents (start, quartiles, complete, pause, resume, mute, unmute)
+ *   driven by the playback state of the player (see LBannerPlayers)
+ *
+ * Each linear event fires at most once per view. A view starts when the player
+ * loads a source and starts over when playback is restarted after "ended".
+ * No pixel fires without consent for third-party pixels (see LBannerConsent).
+ * Listeners added with addListener() are told about every pixel fired,
+ * including those fired by LBannerAnalytics and VASTErrors.
+ */
+
+const VASTTracker = {
+    /**
+     * Banners whose Impression URLs have already been fired
+     * Keyed by banner object so re-renders of the same Ad never fire twice
+     */
+    impressedBanners: new WeakSet(),
+
+    /**
+     * Functions called with { event, url, banner } for every pixel fired
+     */
+    listeners: new Set(),
+
+    /**
+     * Add a listener told about every pixel fired
+     *
+     * @param {Function} listener - Called with { event, url, banner } (banner is null when unknown)
+     * @returns {Function} Function that removes the listener
+     */
+    addListener(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    },
+
+    /**
+     * Tell listeners about a fired pixel
+     * A listener that throws never stops tracking
+     *
+     * @param {string} event - Event name
+     * @param {string} url - Requested URL (macros expanded)
+     * @param {Object|null} [banner=null] - Banner the pixel belongs to
+     */
+    notify(event, url, banner = null) {
+        this.listeners.forEach((listener) => {
+            try {
+                listener({ event, url, banner });
+            } catch (err) {
+                console.error("[VASTTracker] Listener failed:", err);
+            }
+        });
+    },
+
+    /**
+     * Fire tracking pixel requests
+     *
+     * Uses Image pixels, matching the tracking approach used for button events.
+     * VAST macros are expanded at fire time via VASTMacros.
+     *
+     * @param {string|Array<string>} urls - Tracking URL(s) to fire
+     * @param {string} [event="tracking"] - Event name used for logging
+     * @param {Object} [context={}] - Macro context of the player plus per-call values (e.g. { errorCode })
+     * @param {Object|null} [banner=null] - Banner the pixels belong to (passed to listeners)
+     * @param {Object} [macros={}] - Custom macros of the player the banner belongs to (see VASTMacros.expand)
+     */
+    fire(urls, event = "tracking", context = {}, banner = null, macros = {}) {
+        if (!urls) return;
+        if (!Array.isArray(urls)) urls = [urls];
+        if (window.LBannerConsent && !window.LBannerConsent.allows("thirdPartyPixels")) {
+            console.log(`[VASTTracker] ${event} not fired - no consent for third-party pixels`);
+            return;
+        }
+        urls.forEach((rawUrl) => {
+            if (!rawUrl || typeof rawUrl !== "string") return;
+            const url = window.VASTMacros ? window.VASTMacros.expand(rawUrl, context, macros) : rawUrl;
+            try {
+                const img = new Image();
+                img.src = url;
+                console.log(`[VASTTracker] ${event} fired:`, url);
+                this.notify(event, url, banner);
+            } catch (err) {
+                console.error("[VASTTracker] Tracking error:", err);
+            }
+        });
+    },
+
+    /**
+     * Fire Impression URLs of a banner the first time it renders
+     *
+     * @param {Object} banner - Parsed banner configuration with impressions array
+     * @param {Object} [macros={}] - Custom macros of the player the banner belongs to
+     * @param {Object} [context={}] - Macro context of the player (see VASTMacros.expand)
+     * @returns {boolean} True if impressions were fired by this call
+     */
+    trackImpression(banner, macros = {}, context = {}) {
+        if (!banner || this.impressedBanners.has(banner)) return false;
+        this.impressedBanners.add(banner);
+        this.fire(banner.impressions || [], "impression", context, banner, macros);
+        return true;
+    },
+
+    /**
+     * Watch a player and fire linear TrackingEvents
+     *
+     * Progress events (start, firstQuartile, midpoint, thirdQuartile, complete)
+     * are derived from timeupdate/ended. Pause and resume are derived from the
+     * pause/play events, mute and unmute from volumechange. Every event is fired
+     * at most once per view.
+     *
+     * @param {Object} player - Player adapter to observe (see LBannerPlayers)
+     * @param {Object} tracking - Map of event name to tracking URLs (media.tracking)
+     * @param {Object|null} [banner=null] - Banner the tracking belongs to (passed to listeners)
+     * @param {Object} [macros={}] - Custom macros of the player the banner belongs to
+     * @param {Function} [getContext] - Returns the macro context of the player when an event fires
+     * @returns {Function} Detach function that removes all listeners
+     */
+    attach(player, tracking, banner = null, macros = {}, getContext = () => ({})) {
+        if (!player || !tracking) return () => { };
+
+        const fired = new Set();
+        let started = false;
+        let pausedMidView = false;
+        let viewEnded = false;
+        let wasMuted = player.isMuted();
+
+        const fireOnce = (event) => {
+            if (fired.has(event)) return;
+            fired.add(event);
+            if (tracking[event]) {
+                this.fire(tracking[event], event, getContext(), banner, macros);
+            }
+        };
+
+        const resetView = () => {
+            fired.clear();
+            started = false;
+            pausedMidView = false;
+            viewEnded = false;
+        };
+
+        const onTimeUpdate = () => {
+            const duration = player.getDuration();
+            const time = player.getCurrentTime();
+            if (!Number.isFinite(duration) || duration <= 0 || time <= 0) return;
+
+            if (!started) {
+                started = true;
+                fireOnce("start");
+            }
+            if (time >= duration * 0.25) fireOnce("firstQuartile");
+            if (time >= duration * 0.5) fireOnce("midpoint");
+            if (time >= duration * 0.75) fireOnce("thirdQuartile");
+        };
+
+        const onEnded = () => {
+            // Fill in progress events a short view may have skipped past
+            if (!started) {
+                started = true;
+                fireOnce("start");
+            }
+            fireOnce("firstQuartile");
+            fireOnce("midpoint");
+            fireOnce("thirdQuartile");
+            fireOnce("complete");
+            viewEnded = true;
+        };
+
+        const onPause = () => {
+            // Browsers emit pause right before ended - that is not a user pause
+            if (!started || player.isEnded()) return;
+            pausedMidView = true;
+            fireOnce("pause");
+        };
+
+        const onPlay = () => {
+            if (viewEnded) {
+                console.log("[VASTTracker] Playback restarted - starting a new view");
+                resetView();
+                return;
+            }
+            if (pausedMidView) {
+                pausedMidView = false;
+                fireOnce("resume");
+            }
+        };
+
+        const onVolumeChange = () => {
+            const muted = player.isMuted();
+            if (muted === wasMuted) return;
+            wasMuted = muted;
+            fireOnce(muted ? "mute" : "unmute");
+        };
+
+        // A new source means a new view
+        const onEmptied = () => resetView();
+
+        const removers = [
+            player.on("timeupdate", onTimeUpdate),
+            player.on("ended", onEnded),
+            player.on("pause", onPause),
+            player.on("play", onPlay),
+            player.on("volumechange", onVolumeChange),
+            player.on("emptied", onEmptied),
+        ];
+
+        console.log("[VASTTracker] Linear tracking attached:", Object.keys(tracking));
+
+        return () => removers.forEach((remove) => remove());
+    },
+};
+
+/**
+ * Export VASTTracker globally for use in other modules
+ * Makes tracker available on window object for main.js and analytics.js
+ */
+if (typeof window !== "undefined") {
+    window.VASTTracker = VASTTracker;
+}
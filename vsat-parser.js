@@ -3,59 +3,174 @@
  * 
  * Parses VSAT (Video Ad Serving Template) XML format with L-Banner Extensions.
  * Extracts banner configurations including:
- * - Layout segments (Horizontal and Vertical)
- * - Content elements (images, polls, buttons)
+ * - Layout segments (<Segment side="..."> list, or legacy Horizontal and Vertical)
+ * - Content elements (images, polls, buttons, VAST CompanionAds resources)
  * - Display timing (start/end offsets)
  * - Media metadata (video URLs, duration, tracking)
+ * - Impression and Error URLs
  * - Button configurations with actions and tracking
  * 
+ * toXML serializes a parsed banner back to VAST, so creative tooling can
+ * build banner objects in JS and emit XML the parser accepts.
+ * 
  * The parser converts VSAT XML into an internal banner configuration format
  * that can be consumed by the analytics and rendering modules.
+ *
+ * All lookups walk direct children by local name (see getChild/getChildren),
+ * so a segment's Width is never confused with a button's Position/Width, and
+ * documents using a default or prefixed XML namespace parse the same way.
  */
 
 const VSATParser = {
+    /**
+     * VAST error code describing why the last parseVSAT call returned null
+     * Reset to null on every successful parse (see VASTErrors.CODES)
+     */
+    lastErrorCode: null,
+
+    /**
+     * Valid values of the Segment side attribute
+     */
+    SEGMENT_SIDES: ["left", "right", "top", "bottom"],
+
+    /**
+     * Design canvas assumed when an LBanner declares no <Canvas>
+     * Matches the default #player-shell size the existing creatives were authored for
+     */
+    DEFAULT_CANVAS: { width: 1280, height: 720 },
+
+    /**
+     * Valid FrequencyCap Limit scopes and periods (see parseFrequencyCap)
+     */
+    FREQUENCY_CAP_SCOPES: ["banner", "campaign", "global"],
+    FREQUENCY_CAP_PERIODS: ["hour", "day", "lifetime"],
+
+    /**
+     * XML backend used to parse VAST documents (see setXMLBackend)
+     * null uses the global DOMParser, which exists in browsers only
+     */
+    xmlBackend: null,
+
+    /**
+     * Set the XML backend used by parseVSAT, validate and parseXMLDocument
+     * 
+     * The backend is any object with a DOMParser-compatible
+     * parseFromString(text, "text/xml") returning a Document. It may throw on
+     * malformed XML or return a document containing a parsererror element.
+     * Outside the browser, pass e.g. new (require("@xmldom/xmldom").DOMParser)().
+     * 
+     * @param {Object|null} backend - XML backend, or null for the global DOMParser
+     */
+    setXMLBackend(backend) {
+        if (backend && typeof backend.parseFromString !== "function") {
+            throw new Error("[VSATParser] XML backend must implement parseFromString(text, mimeType)");
+        }
+        this.xmlBackend = backend || null;
+    },
+
+    /**
+     * XML backend in effect: the configured one, else a global DOMParser
+     * 
+     * @returns {Object} Object with parseFromString(text, mimeType)
+     * @throws {Error} If no backend is configured and there is no global DOMParser
+     */
+    getXMLBackend() {
+        if (this.xmlBackend) return this.xmlBackend;
+        if (typeof DOMParser === "undefined") {
+            throw new Error("[VSATParser] No XML backend - call VSATParser.setXMLBackend() outside the browser");
+        }
+        return new DOMParser();
+    },
+
+    /**
+     * Parse XML text with the configured backend
+     * 
+     * @param {string} xmlText - Raw XML string
+     * @returns {Document} Parsed document (check getParserError)
+     * @throws {Error} If no backend is available or the backend rejects the XML
+     */
+    parseXMLDocument(xmlText) {
+        return this.getXMLBackend().parseFromString(xmlText || "", "text/xml");
+    },
+
     /**
      * Parse VSAT XML string and extract L-Banner configuration
      * 
      * Main entry point for parsing. Finds L-Banner extension in VAST XML,
      * extracts banner configuration, and merges with media details.
+     * When null is returned, lastErrorCode holds the matching VAST error code.
      * 
      * @param {string} xmlText - Raw VSAT XML string to parse
      * @returns {Object|null} Parsed L-Banner configuration object or null if not found/invalid
      */
     parseVSAT(xmlText) {
+        this.lastErrorCode = null;
         try {
-            const parser = new DOMParser();
-            const xmlDoc = parser.parseFromString(xmlText, "text/xml");
+            const backend = this.getXMLBackend();
+            let xmlDoc;
+            let parserError;
+            try {
+                xmlDoc = backend.parseFromString(xmlText || "", "text/xml");
+                parserError = this.getParserError(xmlDoc);
+            } catch (backendError) {
+                // Backends such as xmldom throw instead of returning a parsererror document
+                parserError = { textContent: backendError.message };
+            }
 
             // Check for parsing errors
-            const parserError = xmlDoc.querySelector("parsererror");
             if (parserError) {
                 console.error("[VSATParser] Invalid XML format:", parserError.textContent);
+                this.lastErrorCode = 100;
                 return null;
             }
 
-            // Find Extension with type="l-banner"
-            const lbannerExt = xmlDoc.querySelector('Extension[type="l-banner"]');
-            if (!lbannerExt) {
-                console.warn("[VSATParser] No L-Banner extension found");
-                return null;
+            // Find the first Ad with an Extension of type="l-banner",
+            // falling back to the first Ad with usable CompanionAds
+            const adElements = this.getChildren(xmlDoc.documentElement, "Ad");
+            let adEl = adElements.find((ad) => this.findExtension(ad, "l-banner"));
+            let companions = adEl ? this.parseCompanions(adEl) : [];
+            for (let i = 0; !adEl && i < adElements.length; i++) {
+                companions = this.parseCompanions(adElements[i]);
+                if (companions.length > 0) adEl = adElements[i];
             }
-
-            const lbanner = lbannerExt.querySelector("LBanner");
-            if (!lbanner) {
-                console.warn("[VSATParser] No LBanner element found");
+            if (!adEl) {
+                if (adElements.some((ad) => this.getChild(ad, "Wrapper"))) {
+                    console.warn("[VSATParser] Ad is a Wrapper - resolve its VASTAdTagURI before parsing");
+                    this.lastErrorCode = 300;
+                    return null;
+                }
+                console.warn("[VSATParser] No L-Banner extension or supported CompanionAds found");
+                this.lastErrorCode = 604;
                 return null;
             }
 
-            const banner = this.parseLBanner(lbanner);
-            const media = this.parseMediaDetails(xmlDoc);
+            const lbannerExt = this.findExtension(adEl, "l-banner");
+            let banner;
+            if (lbannerExt) {
+                const lbanner = this.getChild(lbannerExt, "LBanner");
+                if (!lbanner) {
+                    console.warn("[VSATParser] No LBanner element found");
+                    this.lastErrorCode = 101;
+                    return null;
+                }
+                banner = this.parseLBanner(lbanner, this.getCreativeIds(adEl, lbannerExt), companions);
+            } else {
+                console.log("[VSATParser] No L-Banner extension - building banner from CompanionAds");
+                banner = this.parseCompanionBanner(companions, this.getCreativeIds(adEl, null));
+            }
+            const media = this.parseMediaDetails(adEl);
             if (banner && media) {
                 banner.media = media;
             }
+            if (banner) {
+                const inline = this.getChild(adEl, "InLine");
+                banner.impressions = this.parseUrlList(inline, "Impression");
+                banner.errors = this.parseUrlList(inline, "Error");
+            }
             return banner;
         } catch (error) {
             console.error("[VSATParser] Parse error:", error);
+            this.lastErrorCode = 900;
             return null;
         }
     },
@@ -63,98 +178,293 @@ const VSATParser = {
     /**
      * Parse LBanner element into internal banner format
      * 
-     * Extracts horizontal/vertical segments, display timing, and builds
-     * complete banner configuration with metadata, layout, content, and behavior.
+     * Extracts segments, display timing, and builds complete banner
+     * configuration with metadata, layout, content, and behavior.
+     * 
+     * Segments are declared either as any number of <Segment side="left|right|top|bottom">
+     * elements (U-shaped and four-sided frames) or with the legacy single
+     * Horizontal and Vertical elements. Both forms may be combined.
+     * 
+     * Segment and button coordinates are in the pixels of the design canvas
+     * (<Canvas width="1920" height="1080"/>, DEFAULT_CANVAS if omitted); the
+     * renderer scales them to the actual player size.
+     * 
+     * The banner id is derived from the Ad and Creative ids plus a hash of the
+     * parsed configuration, so the same creative keeps its id across page loads.
+     * 
+     * Companions of the same Ad fill segments as described in applyCompanions.
      * 
      * @param {Element} lbannerElement - LBanner XML element from VSAT
+     * @param {Object} [ids={}] - Identifiers of the enclosing VAST elements
+     * @param {string} [ids.adId] - Ad@id
+     * @param {string} [ids.creativeId] - Creative@id
+     * @param {Array<Object>} [companions=[]] - Companions parsed by parseCompanions
      * @returns {Object} Complete banner configuration object with meta, configuration, timing
      */
-    parseLBanner(lbannerElement) {
-        const horizontal = lbannerElement.querySelector("Horizontal");
-        const vertical = lbannerElement.querySelector("Vertical");
-        const display = lbannerElement.querySelector("Display");
+    parseLBanner(lbannerElement, ids = {}, companions = []) {
+        const horizontal = this.getChild(lbannerElement, "Horizontal");
+        const vertical = this.getChild(lbannerElement, "Vertical");
+        const display = this.getChild(lbannerElement, "Display");
+        const canvas = this.parseCanvas(lbannerElement);
+        const frequencyCap = this.parseFrequencyCap(this.getChild(lbannerElement, "FrequencyCap"));
 
         const segments = [];
         const elements = [];
+        const addSegment = (segmentEl, segment) => {
+            // Keep ids unique when a side is used more than once
+            const baseId = segment.id;
+            for (let n = 2; segments.some((s) => s.id === segment.id); n++) {
+                segment.id = `${baseId}_${n}`;
+            }
+            segments.push(segment);
+            elements.push(this.parseSegmentContent(segmentEl, segment.id));
+        };
 
         // Parse Horizontal segment
         if (horizontal) {
-            const hSegment = this.parseSegment(horizontal, "horizontal");
-            const hElement = this.parseSegmentContent(horizontal, hSegment.id);
-            segments.push(hSegment);
-            elements.push(hElement);
+            addSegment(horizontal, this.parseSegment(horizontal, "horizontal", null, canvas));
         }
 
         // Parse Vertical segment
         if (vertical) {
-            const vSegment = this.parseSegment(vertical, "vertical");
-            const vElement = this.parseSegmentContent(vertical, vSegment.id);
-            segments.push(vSegment);
-            elements.push(vElement);
+            addSegment(vertical, this.parseSegment(vertical, "vertical", null, canvas));
         }
 
+        // Parse side segments
+        this.getChildren(lbannerElement, "Segment").forEach((segmentEl) => {
+            const side = segmentEl.getAttribute("side");
+            if (!this.SEGMENT_SIDES.includes(side)) {
+                console.warn(`[VSATParser] Ignoring Segment with invalid side '${side}'`);
+                return;
+            }
+            const type = side === "left" || side === "right" ? "vertical" : "horizontal";
+            addSegment(segmentEl, this.parseSegment(segmentEl, type, side, canvas));
+        });
+
+        this.applyCompanions(segments, elements, companions);
+
         // Parse Display timing
-        let startOffset = null;
-        let endOffset = null;
-        if (display) {
-            const startEl = display.querySelector("StartOffset");
-            const endEl = display.querySelector("EndOffset");
-            if (startEl) startOffset = this.timeToSeconds(startEl.textContent.trim());
-            if (endEl) endOffset = this.timeToSeconds(endEl.textContent.trim());
+        const timing = this.parseDisplayTiming(display);
+
+        const configuration = {
+            layout: {
+                position: this.determinePosition(segments),
+                mode: "standard",
+                canvas: canvas,
+                segments: segments,
+            },
+            content: {
+                type: "multi-segment",
+                elements: elements,
+            },
+            behavior: {
+                display: {
+                    showCloseButton: true,
+                },
+            },
+            timing: timing,
+        };
+        if (frequencyCap) {
+            configuration.behavior.frequencyCap = frequencyCap;
         }
 
+        return this.buildBanner(configuration, ids);
+    },
+
+    /**
+     * Wrap a banner configuration with its meta data
+     * 
+     * @param {Object} configuration - Banner configuration (layout, content, behavior, timing)
+     * @param {Object} [ids={}] - { adId, creativeId } of the enclosing VAST elements
+     * @returns {Object} Banner with meta and configuration
+     */
+    buildBanner(configuration, ids = {}) {
         return {
             meta: {
-                id: `vsat_lbanner_${Date.now()}`,
+                id: this.buildBannerId(ids.adId, ids.creativeId, configuration),
+                adId: ids.adId || null,
+                creativeId: ids.creativeId || null,
                 type: "l-banner",
                 status: "live",
-                createdAt: new Date().toISOString(),
-            },
-            configuration: {
-                layout: {
-                    position: this.determinePosition(segments),
-                    mode: "standard",
-                    segments: segments,
-                },
-                content: {
-                    type: "multi-segment",
-                    elements: elements,
-                },
-                behavior: {
-                    display: {
-                        showCloseButton: true,
-                    },
-                },
-                timing: {
-                    startOffset: startOffset,
-                    endOffset: endOffset,
-                },
             },
+            configuration: configuration,
+        };
+    },
+
+    /**
+     * Build a deterministic banner id
+     * 
+     * Format: lb_{adId}_{creativeId}_{hash}, where missing ids are omitted and
+     * hash is an 8-character FNV-1a hash of the configuration. Ids are reduced
+     * to [A-Za-z0-9-] so they are safe as cookie/storage keys.
+     * 
+     * @param {string|null} adId - Ad@id
+     * @param {string|null} creativeId - Creative@id
+     * @param {Object} configuration - Parsed banner configuration
+     * @returns {string} Stable banner id
+     */
+    buildBannerId(adId, creativeId, configuration) {
+        const clean = (value) => String(value).replace(/[^A-Za-z0-9-]/g, "").substring(0, 40);
+        const parts = ["lb"];
+        if (adId) parts.push(clean(adId));
+        if (creativeId) parts.push(clean(creativeId));
+        parts.push(this.hashString(this.stableStringify(configuration)));
+        return parts.join("_");
+    },
+
+    /**
+     * JSON-serialize a value with object keys sorted
+     * 
+     * Guarantees the same string for equal objects regardless of key order.
+     * 
+     * @param {*} value - Value to serialize
+     * @returns {string} Canonical JSON string
+     */
+    stableStringify(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map((item) => this.stableStringify(item)).join(",")}]`;
+        }
+        if (value && typeof value === "object") {
+            return `{${Object.keys(value)
+                .sort()
+                .filter((key) => value[key] !== undefined)
+                .map((key) => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`)
+                .join(",")}}`;
+        }
+        return JSON.stringify(value ?? null);
+    },
+
+    /**
+     * 32-bit FNV-1a hash of a string
+     * 
+     * @param {string} text - Text to hash
+     * @returns {string} 8-character hexadecimal hash
+     */
+    hashString(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, "0");
+    },
+
+    /**
+     * Find the Ad and Creative ids that identify an L-Banner extension
+     * 
+     * Uses the Creative containing the extension (CreativeExtensions), or the
+     * first Creative of the Ad when the extension sits at InLine level.
+     * 
+     * @param {Element} adEl - Ad XML element
+     * @param {Element|null} lbannerExt - L-Banner Extension/CreativeExtension element, if any
+     * @returns {Object} { adId, creativeId } (null when not declared)
+     */
+    getCreativeIds(adEl, lbannerExt) {
+        const creativeEl =
+            this.findAncestor(lbannerExt, "Creative") || this.getChild(adEl, "InLine", "Creatives", "Creative");
+        return {
+            adId: adEl?.getAttribute("id") || null,
+            creativeId: creativeEl?.getAttribute("id") || null,
+        };
+    },
+
+    /**
+     * Parse the design canvas of an LBanner
+     * 
+     * @param {Element} lbannerElement - LBanner XML element
+     * @returns {Object} Canvas { width, height } in design pixels (DEFAULT_CANVAS if not declared or invalid)
+     */
+    parseCanvas(lbannerElement) {
+        const canvasEl = this.getChild(lbannerElement, "Canvas");
+        if (!canvasEl) return { ...this.DEFAULT_CANVAS };
+
+        const width = parseFloat(canvasEl.getAttribute("width"));
+        const height = parseFloat(canvasEl.getAttribute("height"));
+        if (!(width > 0) || !(height > 0)) {
+            console.warn("[VSATParser] Canvas needs positive width and height - using default canvas");
+            return { ...this.DEFAULT_CANVAS };
+        }
+        return { width, height };
+    },
+
+    /**
+     * Parse the FrequencyCap of an LBanner
+     * 
+     * <FrequencyCap campaign="spring-sale" suppressAfterClick="true">
+     *   <Limit scope="banner" impressions="3" per="day"/>
+     *   <Limit scope="campaign" impressions="10" per="lifetime"/>
+     * </FrequencyCap>
+     * 
+     * Limits with an unknown scope or period or a non-positive impression
+     * count are skipped (validate reports them).
+     * 
+     * @param {Element|null} capEl - FrequencyCap XML element
+     * @returns {Object|null} { campaignId, suppressAfterClick, limits: [{ scope, impressions, per }] }, or null if not declared
+     */
+    parseFrequencyCap(capEl) {
+        if (!capEl) return null;
+        const limits = [];
+        this.getChildren(capEl, "Limit").forEach((limitEl) => {
+            const scope = limitEl.getAttribute("scope") || "banner";
+            const per = limitEl.getAttribute("per") || "lifetime";
+            const impressions = parseInt(limitEl.getAttribute("impressions") || "", 10);
+            if (
+                !this.FREQUENCY_CAP_SCOPES.includes(scope) ||
+                !this.FREQUENCY_CAP_PERIODS.includes(per) ||
+                !(impressions > 0)
+            ) {
+                console.warn(`[VSATParser] Ignoring invalid FrequencyCap Limit (scope '${scope}', per '${per}')`);
+                return;
+            }
+            limits.push({ scope, impressions, per });
+        });
+
+        return {
+            campaignId: capEl.getAttribute("campaign") || null,
+            suppressAfterClick: capEl.getAttribute("suppressAfterClick") === "true",
+            limits: limits,
         };
     },
 
     /**
-     * Parse segment (Horizontal or Vertical) from XML
+     * Parse segment (Segment, Horizontal or Vertical) from XML
      * 
      * Extracts segment dimensions (width, height) and position (x, y).
-     * Determines position hint (left/right/top/bottom) based on coordinates.
+     * Side segments take their position from the side attribute; for legacy
+     * Horizontal/Vertical segments the side is the half of the canvas the
+     * segment's center falls in.
      * 
-     * @param {Element} segmentEl - Horizontal or Vertical XML element
+     * @param {Element} segmentEl - Segment, Horizontal or Vertical XML element
      * @param {string} type - "horizontal" or "vertical"
-     * @returns {Object} Segment configuration with id, dimensions, position, coordinates, type
+     * @param {string|null} [side] - Edge declared by <Segment side="...">
+     * @param {Object} [canvas=DEFAULT_CANVAS] - Design canvas { width, height }
+     * @returns {Object} Segment configuration with id, dimensions, position, coordinates, type (and side)
      */
-    parseSegment(segmentEl, type) {
-        const width = parseInt(segmentEl.querySelector("Width")?.textContent?.trim() || "0", 10);
-        const height = parseInt(segmentEl.querySelector("Height")?.textContent?.trim() || "0", 10);
-        const x = parseInt(segmentEl.querySelector("X")?.textContent?.trim() || "0", 10);
-        const y = parseInt(segmentEl.querySelector("Y")?.textContent?.trim() || "0", 10);
+    parseSegment(segmentEl, type, side, canvas = this.DEFAULT_CANVAS) {
+        const width = parseInt(this.getChildText(segmentEl, "Width") || "0", 10);
+        const height = parseInt(this.getChildText(segmentEl, "Height") || "0", 10);
+        const x = parseInt(this.getChildText(segmentEl, "X") || "0", 10);
+        const y = parseInt(this.getChildText(segmentEl, "Y") || "0", 10);
+
+        if (side) {
+            return {
+                id: `segment_${side}`,
+                width: width,
+                height: height,
+                position: side,
+                side: side,
+                x: x,
+                y: y,
+                type: type,
+            };
+        }
 
-        // Determine position based on X, Y coordinates
+        // Determine position from the half of the canvas the segment's center falls in
         let position;
         if (type === "horizontal") {
-            position = y > 500 ? "bottom" : "top";
+            position = y + height / 2 > canvas.height / 2 ? "bottom" : "top";
         } else {
-            position = x < 200 ? "left" : "right";
+            position = x + width / 2 < canvas.width / 2 ? "left" : "right";
         }
 
         return {
@@ -181,10 +491,9 @@ const VSATParser = {
      * @returns {Object} Element configuration with type, media, buttons, poll, backgroundColor
      */
     parseSegmentContent(segmentEl, segmentId) {
-        const imageUrlEl = segmentEl.querySelector("ImageURL");
-        const pollEl = segmentEl.querySelector("Poll");
-        const backgroundColorEl = segmentEl.querySelector("BackgroundColor");
-        const backgroundColor = backgroundColorEl?.textContent?.trim() || "#1a1f2e";
+        const imageUrlEl = this.getChild(segmentEl, "ImageURL");
+        const pollEl = this.getChild(segmentEl, "Poll");
+        const backgroundColor = this.getChildText(segmentEl, "BackgroundColor") || "#1a1f2e";
 
         // Check if this is a poll segment
         if (pollEl) {
@@ -198,7 +507,7 @@ const VSATParser = {
             };
 
             // Parse buttons for poll
-            const buttons = segmentEl.querySelectorAll("Button");
+            const buttons = this.getButtons(segmentEl);
             buttons.forEach((buttonEl, index) => {
                 const button = this.parseButton(buttonEl, segmentId, index);
                 element.buttons.push(button);
@@ -230,7 +539,7 @@ const VSATParser = {
 
         const mediaType = isVideoUrl(imageUrl) ? "video" : "image";
 
-        const buttons = segmentEl.querySelectorAll("Button");
+        const buttons = this.getButtons(segmentEl);
 
         const element = {
             id: `content_${segmentId}`,
@@ -261,13 +570,16 @@ const VSATParser = {
      * @returns {Object} Poll configuration with heading, question, tagline, options array
      */
     parsePoll(pollEl) {
-        const heading = pollEl.querySelector("Heading")?.textContent?.trim() || "";
-        const question = pollEl.querySelector("Question")?.textContent?.trim() || "";
-        const tagline = pollEl.querySelector("Tagline")?.textContent?.trim() || "";
+        const heading = this.getChildText(pollEl, "Heading");
+        const question = this.getChildText(pollEl, "Question");
+        const tagline = this.getChildText(pollEl, "Tagline");
         const options = [];
 
-        // Parse poll options
-        pollEl.querySelectorAll("Option").forEach((optionEl) => {
+        // Parse poll options (directly under Poll or grouped in Options)
+        const optionEls = this.getChildren(pollEl, "Option").concat(
+            this.getChildren(this.getChild(pollEl, "Options"), "Option")
+        );
+        optionEls.forEach((optionEl) => {
             const optionText = optionEl.textContent?.trim();
             if (optionText) {
                 options.push(optionText);
@@ -301,36 +613,24 @@ const VSATParser = {
         const role = buttonEl.getAttribute("role") || "primary";
         const defaultFocus = buttonEl.getAttribute("defaultFocus") === "true";
 
-        const labelEl = buttonEl.querySelector("Label");
-        const label = labelEl?.textContent?.trim() || "Learn More";
+        const label = this.getChildText(buttonEl, "Label") || "Learn More";
 
-        const positionEl = buttonEl.querySelector("Position");
+        const positionEl = this.getChild(buttonEl, "Position");
         const position = {
-            x: parseInt(positionEl?.querySelector("X")?.textContent?.trim() || "0", 10),
-            y: parseInt(positionEl?.querySelector("Y")?.textContent?.trim() || "0", 10),
-            width: parseInt(positionEl?.querySelector("Width")?.textContent?.trim() || "140", 10),
-            height: parseInt(positionEl?.querySelector("Height")?.textContent?.trim() || "60", 10),
+            x: parseInt(this.getChildText(positionEl, "X") || "0", 10),
+            y: parseInt(this.getChildText(positionEl, "Y") || "0", 10),
+            width: parseInt(this.getChildText(positionEl, "Width") || "140", 10),
+            height: parseInt(this.getChildText(positionEl, "Height") || "60", 10),
         };
 
         // Parse action - match corner banner approach
-        const actionEl = buttonEl.querySelector("Action");
+        const actionEl = this.getChild(buttonEl, "Action");
         const actionType = actionEl?.getAttribute("type") || "clickthrough";
-        const clickThrough = actionEl?.querySelector("ClickThrough")?.textContent?.trim() || "";
-        const deepLink = actionEl?.querySelector("DeepLink")?.textContent?.trim() || "";
-        const customAction = actionEl?.querySelector("CustomAction")?.textContent?.trim() || "";
+        const clickThrough = this.getChildText(actionEl, "ClickThrough");
+        const deepLink = this.getChildText(actionEl, "DeepLink");
+        const customAction = this.getChildText(actionEl, "CustomAction");
 
-        const trackingEventsEl = buttonEl.querySelector("TrackingEvents");
-        const tracking = {};
-        if (trackingEventsEl) {
-            trackingEventsEl.querySelectorAll("Tracking").forEach((trackEl) => {
-                const event = trackEl.getAttribute("event");
-                const url = trackEl.textContent?.trim();
-                if (event && url) {
-                    if (!tracking[event]) tracking[event] = [];
-                    tracking[event].push(url);
-                }
-            });
-        }
+        const tracking = this.parseTrackingEvents(this.getChild(buttonEl, "TrackingEvents"));
 
         return {
             id: buttonId,
@@ -348,6 +648,255 @@ const VSATParser = {
         };
     },
 
+    /**
+     * Parse the CompanionAds of an InLine Ad
+     *
+     * Companions without a supported resource are skipped.
+     *
+     * @param {Element} adEl - Ad XML element
+     * @returns {Array<Object>} Companions as returned by parseCompanion
+     */
+    parseCompanions(adEl) {
+        const companions = [];
+        this.getChildren(this.getChild(adEl, "InLine", "Creatives"), "Creative").forEach((creativeEl) => {
+            this.getChildren(this.getChild(creativeEl, "CompanionAds"), "Companion").forEach((companionEl) => {
+                const companion = this.parseCompanion(companionEl);
+                if (companion) companions.push(companion);
+            });
+        });
+        return companions;
+    },
+
+    /**
+     * Parse a Companion element
+     *
+     * @param {Element} companionEl - Companion XML element
+     * @returns {Object|null} Companion with id, adSlotID, width, height, resource, altText,
+     *                        clickThrough, clickTracking and tracking, or null if no resource is supported
+     */
+    parseCompanion(companionEl) {
+        const resource = this.parseCompanionResource(companionEl);
+        if (!resource) {
+            const label = companionEl.getAttribute("id") || companionEl.getAttribute("adSlotID") || "?";
+            console.warn(`[VSATParser] Companion '${label}' has no supported resource - skipped`);
+            return null;
+        }
+        return {
+            id: companionEl.getAttribute("id") || null,
+            adSlotID: companionEl.getAttribute("adSlotID") || null,
+            width: parseInt(companionEl.getAttribute("width") || "0", 10),
+            height: parseInt(companionEl.getAttribute("height") || "0", 10),
+            resource: resource,
+            altText: this.getChildText(companionEl, "AltText"),
+            clickThrough: this.getChildText(companionEl, "CompanionClickThrough"),
+            clickTracking: this.parseUrlList(companionEl, "CompanionClickTracking"),
+            tracking: this.parseTrackingEvents(this.getChild(companionEl, "TrackingEvents")),
+        };
+    },
+
+    /**
+     * Pick the resource a Companion is rendered from
+     *
+     * Preference order: StaticResource with an image creativeType, IFrameResource,
+     * HTMLResource. HTML is returned as authored - the renderer sanitizes it.
+     *
+     * @param {Element} companionEl - Companion XML element
+     * @returns {Object|null} { type: "static", url, creativeType } | { type: "iframe", url } | { type: "html", html }
+     */
+    parseCompanionResource(companionEl) {
+        const staticEl = this.getChildren(companionEl, "StaticResource").find(
+            (el) => /^image\//i.test(el.getAttribute("creativeType") || "") && el.textContent.trim()
+        );
+        if (staticEl) {
+            return {
+                type: "static",
+                url: staticEl.textContent.trim(),
+                creativeType: staticEl.getAttribute("creativeType"),
+            };
+        }
+        const iframeUrl = this.getChildText(companionEl, "IFrameResource");
+        if (iframeUrl) {
+            return { type: "iframe", url: iframeUrl };
+        }
+        const html = this.getChildText(companionEl, "HTMLResource");
+        if (html) {
+            return { type: "html", html: html };
+        }
+        return null;
+    },
+
+    /**
+     * Build a segment content element from a companion
+     *
+     * @param {Object} companion - Companion from parseCompanion
+     * @param {string} segmentId - Segment ID to associate with content
+     * @param {Object} [base={}] - Content of the segment being filled (backgroundColor and buttons are kept)
+     * @returns {Object} Element configuration of type "image", "iframe" or "html" with companion click/tracking data
+     */
+    buildCompanionElement(companion, segmentId, base = {}) {
+        const element = {
+            id: `content_${segmentId}`,
+            segmentId: segmentId,
+            type: "image",
+            backgroundColor: base.backgroundColor || "#1a1f2e",
+            buttons: base.buttons || [],
+            companion: {
+                id: companion.id,
+                adSlotID: companion.adSlotID,
+                clickThrough: companion.clickThrough,
+                clickTracking: companion.clickTracking,
+                tracking: companion.tracking,
+            },
+        };
+        const { resource } = companion;
+        if (resource.type === "static") {
+            element.media = { url: resource.url };
+            element.alt = companion.altText || undefined;
+        } else if (resource.type === "iframe") {
+            element.type = "iframe";
+            element.media = { url: resource.url };
+        } else {
+            element.type = "html";
+            element.html = resource.html;
+        }
+        return element;
+    },
+
+    /**
+     * Fill L-Banner segments with companions of the same Ad
+     *
+     * A companion whose adSlotID names a segment (its side, e.g. "left", or its
+     * id, e.g. "segment_vertical") replaces that segment's content, keeping its
+     * buttons and background. Otherwise a companion of exactly the segment's
+     * size fills a segment that has no ImageURL or Poll of its own.
+     *
+     * @param {Array<Object>} segments - Parsed segments
+     * @param {Array<Object>} elements - Segment content, index-aligned with segments (mutated)
+     * @param {Array<Object>} companions - Companions from parseCompanions
+     */
+    applyCompanions(segments, elements, companions) {
+        if (!companions.length) return;
+        const used = new Set();
+        const available = (companion) => !used.has(companion);
+
+        segments.forEach((segment, index) => {
+            const element = elements[index];
+            const slotMatch = companions.find((companion) => {
+                const slot = (companion.adSlotID || "").toLowerCase();
+                return available(companion) && !!slot && (slot === segment.id.toLowerCase() || slot === segment.position);
+            });
+            const isEmpty = element.type !== "poll" && !element.media?.url;
+            const sizeMatch = isEmpty
+                ? companions.find(
+                    (companion) =>
+                        available(companion) && companion.width === segment.width && companion.height === segment.height
+                )
+                : null;
+            const companion = slotMatch || sizeMatch;
+            if (!companion) return;
+
+            used.add(companion);
+            elements[index] = this.buildCompanionElement(companion, segment.id, element);
+            console.log(`[VSATParser] Companion '${companion.id || companion.adSlotID || "?"}' fills ${segment.id}`);
+        });
+    },
+
+    /**
+     * Build an L-Banner from CompanionAds alone (Ad without L-Banner extension)
+     *
+     * Companions whose adSlotID is a side (left/right/top/bottom) take that side.
+     * The others are placed by shape: taller-than-wide companions on the left,
+     * then right; the rest at the bottom, then top. Each companion keeps its own
+     * size on the default canvas. The banner shows for the whole content.
+     *
+     * @param {Array<Object>} companions - Companions from parseCompanions
+     * @param {Object} [ids={}] - { adId, creativeId } of the enclosing VAST elements
+     * @returns {Object|null} Banner with meta and configuration, or null if no companion could be placed
+     */
+    parseCompanionBanner(companions, ids = {}) {
+        const canvas = { ...this.DEFAULT_CANVAS };
+        const slotSide = (companion) =>
+            this.SEGMENT_SIDES.find((side) => side === (companion.adSlotID || "").toLowerCase());
+        const bySide = {};
+
+        // Explicit slots first, so shape-based placement never takes their side
+        const ordered = companions.filter(slotSide).concat(companions.filter((companion) => !slotSide(companion)));
+        ordered.forEach((companion) => {
+            let preferred = ["bottom", "top"];
+            if (slotSide(companion)) {
+                preferred = [slotSide(companion)];
+            } else if (companion.height > companion.width) {
+                preferred = ["left", "right"];
+            }
+            const side = preferred.find((candidate) => !bySide[candidate]);
+            if (!side) {
+                console.warn(
+                    `[VSATParser] No free side for companion '${companion.id || companion.adSlotID || "?"}' ` +
+                    `(${companion.width}x${companion.height}) - skipped`
+                );
+                return;
+            }
+            bySide[side] = companion;
+        });
+
+        const leftWidth = bySide.left?.width || 0;
+        const rightWidth = bySide.right?.width || 0;
+        const segments = [];
+        const elements = [];
+        this.SEGMENT_SIDES.filter((side) => bySide[side]).forEach((side) => {
+            const companion = bySide[side];
+            const isColumn = side === "left" || side === "right";
+            let x = leftWidth;
+            if (side === "left") x = 0;
+            if (side === "right") x = canvas.width - companion.width;
+
+            const segment = {
+                id: `segment_${side}`,
+                width: isColumn ? companion.width : canvas.width - leftWidth - rightWidth,
+                height: isColumn ? canvas.height : companion.height,
+                position: side,
+                side: side,
+                x: x,
+                y: side === "bottom" ? canvas.height - companion.height : 0,
+                type: isColumn ? "vertical" : "horizontal",
+            };
+            segments.push(segment);
+            elements.push(this.buildCompanionElement(companion, segment.id));
+        });
+        if (segments.length === 0) return null;
+
+        // Companions have no Display element - show them for the whole content
+        const timing = {
+            startOffset: null,
+            endOffset: null,
+            offsets: { start: this.parseOffset("0"), end: this.parseOffset("100%"), duration: null },
+        };
+        this.resolveTiming(timing, null);
+
+        return this.buildBanner(
+            {
+                layout: {
+                    position: this.determinePosition(segments),
+                    mode: "standard",
+                    canvas: canvas,
+                    segments: segments,
+                },
+                content: {
+                    type: "multi-segment",
+                    elements: elements,
+                },
+                behavior: {
+                    display: {
+                        showCloseButton: true,
+                    },
+                },
+                timing: timing,
+            },
+            ids
+        );
+    },
+
+
     /**
      * Determine overall banner position from segments
      * 
@@ -358,11 +907,17 @@ const VSATParser = {
      * - right-top: right + top segments
      * Defaults to "left-bottom" if no match.
      * 
+     * Layouts built from side segments join their sides in left, right, top,
+     * bottom order instead, e.g. "left-right-bottom" for a U-shaped frame.
+     * 
      * @param {Array} segments - Array of segment objects with position property
-     * @returns {string} Combined position string (e.g., "left-bottom", "right-bottom")
+     * @returns {string} Combined position string (e.g., "left-bottom", "left-right-top-bottom")
      */
     determinePosition(segments) {
         const positions = segments.map((s) => s.position);
+        if (segments.some((s) => s.side)) {
+            return this.SEGMENT_SIDES.filter((side) => positions.includes(side)).join("-");
+        }
         if (positions.includes("left") && positions.includes("bottom")) {
             return "left-bottom";
         }
@@ -378,28 +933,136 @@ const VSATParser = {
         return "left-bottom";
     },
 
+    /**
+     * Parse Display element into banner timing
+     * 
+     * StartOffset, EndOffset and the optional Duration accept any format
+     * understood by parseOffset. Absolute offsets are resolved immediately;
+     * percentages and end-relative offsets stay null until resolveTiming is
+     * called with the content duration.
+     * 
+     * @param {Element|null} displayEl - Display XML element
+     * @returns {Object} Timing with startOffset, endOffset (seconds or null) and raw offsets specs
+     */
+    parseDisplayTiming(displayEl) {
+        const readOffset = (name) => {
+            const el = this.getChild(displayEl, name);
+            return el ? this.parseOffset(el.textContent.trim()) : null;
+        };
+
+        const timing = {
+            startOffset: null,
+            endOffset: null,
+            offsets: {
+                start: readOffset("StartOffset"),
+                end: readOffset("EndOffset"),
+                duration: readOffset("Duration"),
+            },
+        };
+        this.resolveTiming(timing, null);
+        return timing;
+    },
+
+    /**
+     * Parse a Display offset into an offset spec
+     * 
+     * Supported formats:
+     * - HH:MM:SS, HH:MM:SS.mmm, MM:SS(.mmm) or plain seconds -> absolute
+     * - NN% or NN.N% -> percentage of content duration
+     * - Any absolute form prefixed with "-" -> measured back from the end of the content
+     * 
+     * @param {string} offsetStr - Offset text from StartOffset/EndOffset/Duration
+     * @returns {Object|null} { type: "absolute"|"percent"|"fromEnd", value } or null if empty/invalid
+     */
+    parseOffset(offsetStr) {
+        if (!offsetStr) return null;
+        const value = offsetStr.trim();
+
+        const percentMatch = value.match(/^(\d+(?:\.\d+)?)%$/);
+        if (percentMatch) {
+            return { type: "percent", value: parseFloat(percentMatch[1]) };
+        }
+
+        if (value.startsWith("-")) {
+            const seconds = this.timeToSeconds(value.slice(1));
+            return Number.isNaN(seconds) ? null : { type: "fromEnd", value: seconds };
+        }
+
+        const seconds = this.timeToSeconds(value);
+        return Number.isNaN(seconds) ? null : { type: "absolute", value: seconds };
+    },
+
+    /**
+     * Resolve timing offsets to absolute seconds
+     * 
+     * Absolute offsets resolve without a content duration. Percentages and
+     * end-relative offsets need contentDuration and stay null without it.
+     * When EndOffset is missing, Duration is added to the start offset.
+     * 
+     * @param {Object} timing - Banner timing with offsets specs (mutated in place)
+     * @param {number|null} contentDuration - Content duration in seconds, if known
+     * @returns {boolean} True if both startOffset and endOffset are resolved
+     */
+    resolveTiming(timing, contentDuration) {
+        if (!timing?.offsets) {
+            return timing?.startOffset != null && timing?.endOffset != null;
+        }
+        const hasDuration = Number.isFinite(contentDuration) && contentDuration > 0;
+
+        const resolve = (spec) => {
+            if (!spec) return null;
+            if (spec.type === "absolute") return spec.value;
+            if (!hasDuration) return null;
+            if (spec.type === "percent") return (contentDuration * spec.value) / 100;
+            if (spec.type === "fromEnd") return Math.max(0, contentDuration - spec.value);
+            return null;
+        };
+
+        const { start, end, duration } = timing.offsets;
+        const startOffset = resolve(start);
+        let endOffset = resolve(end);
+        if (!end && duration && startOffset !== null) {
+            const length = resolve(duration);
+            endOffset = length !== null ? startOffset + length : null;
+        }
+
+        timing.startOffset = startOffset;
+        timing.endOffset = endOffset;
+        return startOffset !== null && endOffset !== null;
+    },
+
     /**
      * Convert time string to seconds
      * 
      * Supports multiple formats:
-     * - HH:MM:SS (hours:minutes:seconds)
-     * - MM:SS (minutes:seconds)
-     * - Numeric string (parsed as float)
+     * - HH:MM:SS or HH:MM:SS.mmm (hours:minutes:seconds[.milliseconds])
+     * - MM:SS or MM:SS.mmm (minutes:seconds[.milliseconds])
+     * - Numeric string (parsed as float seconds)
      * 
-     * @param {string} timeStr - Time string in HH:MM:SS, MM:SS, or numeric format
-     * @returns {number} Time in seconds
+     * @param {string} timeStr - Time string in HH:MM:SS(.mmm), MM:SS(.mmm), or numeric format
+     * @returns {number} Time in seconds (0 for empty input, NaN if the format is not recognised)
      */
     timeToSeconds(timeStr) {
         if (!timeStr) return 0;
-        const parts = timeStr.split(":").map(Number);
-        if (parts.length === 3) {
-            // HH:MM:SS
-            return parts[0] * 3600 + parts[1] * 60 + parts[2];
-        } else if (parts.length === 2) {
-            // MM:SS
-            return parts[0] * 60 + parts[1];
+        const value = timeStr.trim();
+
+        const clockMatch = value.match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:\.(\d{1,3}))?$/);
+        if (clockMatch) {
+            const [, hours, minutes, seconds, fraction] = clockMatch;
+            // Pad the fraction so "12.5" and "12.500" both mean 500 ms
+            const milliseconds = fraction ? parseInt(fraction.padEnd(3, "0"), 10) : 0;
+            return (
+                parseInt(hours || "0", 10) * 3600 +
+                parseInt(minutes, 10) * 60 +
+                parseInt(seconds, 10) +
+                milliseconds / 1000
+            );
+        }
+
+        if (/^\d+(?:\.\d+)?$/.test(value)) {
+            return parseFloat(value);
         }
-        return parseFloat(timeStr) || 0;
+        return NaN;
     },
 
     /**
@@ -411,24 +1074,25 @@ const VSATParser = {
      * - Click-through and deep link URLs
      * - Tracking events
      * 
-     * @param {Document} xmlDoc - Parsed VAST XML document
+     * @param {Document|Element} source - Parsed VAST XML document (first Ad is used) or Ad element
      * @returns {Object|null} Media details object with duration, files, clickThrough, deepLink, tracking, or null
      */
-    parseMediaDetails(xmlDoc) {
-        if (!xmlDoc) return null;
-        const linear = xmlDoc.querySelector("Linear");
+    parseMediaDetails(source) {
+        if (!source) return null;
+        const adEl = source.nodeType === 9 ? this.getChild(source.documentElement, "Ad") : source;
+        const linear = this.getLinears(adEl, "InLine")[0];
         if (!linear) return null;
 
-        const durationStr = linear.querySelector("Duration")?.textContent?.trim() || null;
-        const duration = durationStr ? this.timeToSeconds(durationStr) : null;
-        const files = this.parseMediaFiles(linear.querySelectorAll("MediaFile"));
+        const durationStr = this.getChildText(linear, "Duration") || null;
+        const parsedDuration = durationStr ? this.timeToSeconds(durationStr) : NaN;
+        const duration = Number.isFinite(parsedDuration) ? parsedDuration : null;
+        const files = this.parseMediaFiles(this.getChildren(this.getChild(linear, "MediaFiles"), "MediaFile"));
         if (!files.length) return null;
 
-        const videoClicks = linear.querySelector("VideoClicks");
-        const clickThrough = videoClicks?.querySelector("ClickThrough")?.textContent?.trim() || "";
-        const deepLink = videoClicks?.querySelector("DeepLink")?.textContent?.trim() || "";
+        const clickThrough = this.getChildText(linear, "VideoClicks", "ClickThrough");
+        const deepLink = this.getChildText(linear, "VideoClicks", "DeepLink");
 
-        const tracking = this.parseTrackingEvents(linear.querySelector("TrackingEvents"));
+        const tracking = this.parseTrackingEvents(this.getChild(linear, "TrackingEvents"));
 
         return {
             duration,
@@ -445,7 +1109,7 @@ const VSATParser = {
      * 
      * Extracts media file information including URL, delivery method, type, dimensions, and bitrate.
      * 
-     * @param {NodeList} mediaNodes - NodeList of MediaFile XML elements
+     * @param {Array<Element>} mediaNodes - MediaFile XML elements
      * @returns {Array<Object>} Array of media file objects with url, delivery, type, width, height, bitrate
      */
     parseMediaFiles(mediaNodes) {
@@ -477,7 +1141,7 @@ const VSATParser = {
     parseTrackingEvents(trackingEl) {
         const tracking = {};
         if (!trackingEl) return tracking;
-        trackingEl.querySelectorAll("Tracking").forEach((trackEl) => {
+        this.getChildren(trackingEl, "Tracking").forEach((trackEl) => {
             const event = trackEl.getAttribute("event");
             const url = trackEl.textContent?.trim();
             if (event && url) {
@@ -489,16 +1153,1103 @@ const VSATParser = {
     },
 
     /**
-     * Fetch VSAT XML from URL and parse it
-     * 
-     * Convenience method that combines fetching and parsing.
-     * Fetches XML from URL, then calls parseVSAT on the result.
-     * 
-     * @param {string} url - VSAT XML URL to fetch
-     * @returns {Promise<Object|null>} Parsed L-Banner configuration or null if fetch/parse fails
+     * Parse Wrapper element of a VAST Ad
+     *
+     * Extracts the VASTAdTagURI to follow along with the Impression, Error and
+     * Linear TrackingEvents URLs declared at this wrapper level, so they can be
+     * merged into the banner parsed from the final InLine ad.
+     *
+     * @param {Element} adEl - Ad XML element
+     * @returns {Object|null} Wrapper details with adTagUri, impressions, errors, tracking, or null if Ad is not a Wrapper
      */
-    async fetchAndParse(url) {
-        try {
+    parseWrapper(adEl) {
+        const wrapperEl = this.getChild(adEl, "Wrapper");
+        if (!wrapperEl) return null;
+
+        const adTagUri = this.getChildText(wrapperEl, "VASTAdTagURI");
+        const tracking = {};
+        this.getLinears(adEl, "Wrapper").forEach((linearEl) => {
+            const parsed = this.parseTrackingEvents(this.getChild(linearEl, "TrackingEvents"));
+            Object.entries(parsed).forEach(([event, urls]) => {
+                tracking[event] = (tracking[event] || []).concat(urls);
+            });
+        });
+
+        return {
+            adTagUri,
+            impressions: this.parseUrlList(wrapperEl, "Impression"),
+            errors: this.parseUrlList(wrapperEl, "Error"),
+            tracking,
+        };
+    },
+
+    /**
+     * Collect non-empty URLs from direct children with the given tag name
+     *
+     * Used for repeatable VAST URL elements such as Impression and Error.
+     *
+     * @param {Element} parentEl - Element whose children are scanned
+     * @param {string} tagName - Child tag name to collect (e.g. "Impression")
+     * @returns {Array<string>} Array of trimmed URLs
+     */
+    parseUrlList(parentEl, tagName) {
+        return this.getChildren(parentEl, tagName)
+            .map((child) => child.textContent?.trim())
+            .filter((url) => !!url);
+    },
+
+    /**
+     * Serialize a banner object back to VAST 4.1 XML with an L-Banner extension
+     * 
+     * Accepts the object shape returned by parseVSAT (meta ids, configuration,
+     * media, impressions, errors) and writes the XML parseVSAT reads, so
+     * parseVSAT(toXML(banner)) returns an equal object:
+     * - Segments with a side become <Segment side>, others Horizontal/Vertical
+     * - Elements filled from companions become CompanionAds matched back to
+     *   their segment by adSlotID or size
+     * - Display offsets keep their original form (time, percentage, from end)
+     * 
+     * Derived values (position, segment and element ids, resolved offsets,
+     * meta.id) are not written; the parser derives them again. Segment and
+     * button geometry is written as integers, as the parser reads it.
+     * 
+     * @param {Object} banner - Banner object as returned by parseVSAT
+     * @param {Object} [options={}] - Serialization options
+     * @param {string} [options.adSystem="L-Banner"] - AdSystem text
+     * @param {string} [options.adTitle] - AdTitle text (defaults to meta.id)
+     * @returns {string} VAST XML string
+     */
+    toXML(banner, options = {}) {
+        const meta = banner?.meta || {};
+        const configuration = banner?.configuration;
+        if (!configuration?.layout) {
+            throw new Error("[VSATParser] toXML needs a banner with configuration.layout");
+        }
+
+        const segments = configuration.layout.segments || [];
+        const elements = configuration.content?.elements || [];
+        const elementFor = (segment, index) =>
+            elements.find((element) => element.segmentId === segment.id) || elements[index] || {};
+
+        const legacy = { horizontal: [], vertical: [] };
+        const segmentNodes = [];
+        const companionNodes = [];
+        segments.forEach((segment, index) => {
+            const element = elementFor(segment, index);
+            if (segment.side) {
+                segmentNodes.push(this.serializeSegment("Segment", segment, element));
+            } else {
+                legacy[segment.type === "vertical" ? "vertical" : "horizontal"].push(
+                    this.serializeSegment(segment.type === "vertical" ? "Vertical" : "Horizontal", segment, element)
+                );
+            }
+            if (element.companion) {
+                companionNodes.push(this.serializeCompanion(element, segment));
+            }
+        });
+        ["horizontal", "vertical"].forEach((type) => {
+            if (legacy[type].length > 1) {
+                console.warn(`[VSATParser] toXML: only one ${type} segment without side is supported - extra ones dropped`);
+            }
+        });
+
+        const offsets = configuration.timing?.offsets || {
+            start: Number.isFinite(configuration.timing?.startOffset)
+                ? { type: "absolute", value: configuration.timing.startOffset }
+                : null,
+            end: Number.isFinite(configuration.timing?.endOffset)
+                ? { type: "absolute", value: configuration.timing.endOffset }
+                : null,
+            duration: null,
+        };
+        const displayNodes = [
+            ["StartOffset", offsets.start],
+            ["EndOffset", offsets.end],
+            ["Duration", offsets.duration],
+        ]
+            .filter(([, spec]) => spec)
+            .map(([name, spec]) => this.xmlNode(name, {}, this.formatOffset(spec)));
+
+        const canvas = configuration.layout.canvas || this.DEFAULT_CANVAS;
+        const frequencyCap = configuration.behavior?.frequencyCap;
+        const lbannerNode = this.xmlNode("LBanner", {}, [
+            this.xmlNode("Canvas", { width: canvas.width, height: canvas.height }),
+            legacy.horizontal[0],
+            legacy.vertical[0],
+            ...segmentNodes,
+            displayNodes.length ? this.xmlNode("Display", {}, displayNodes) : null,
+            frequencyCap ? this.serializeFrequencyCap(frequencyCap) : null,
+        ]);
+
+        // The first Creative identifies the banner (see getCreativeIds)
+        const creativeNodes = [];
+        const linearNode = banner.media ? this.serializeLinear(banner.media) : null;
+        if (linearNode) {
+            creativeNodes.push(this.xmlNode("Creative", { id: meta.creativeId }, [linearNode]));
+        }
+        if (companionNodes.length) {
+            creativeNodes.push(
+                this.xmlNode("Creative", { id: creativeNodes.length ? null : meta.creativeId }, [
+                    this.xmlNode("CompanionAds", {}, companionNodes),
+                ])
+            );
+        }
+        if (!creativeNodes.length && meta.creativeId) {
+            creativeNodes.push(this.xmlNode("Creative", { id: meta.creativeId }));
+        }
+
+        const inlineNode = this.xmlNode("InLine", {}, [
+            this.xmlNode("AdSystem", { version: "4.1" }, options.adSystem || "L-Banner"),
+            this.xmlNode("AdTitle", {}, options.adTitle || meta.id || "L-Banner"),
+            ...(banner.impressions || []).map((url) => this.xmlNode("Impression", {}, { cdata: url })),
+            ...(banner.errors || []).map((url) => this.xmlNode("Error", {}, { cdata: url })),
+            creativeNodes.length ? this.xmlNode("Creatives", {}, creativeNodes) : null,
+            this.xmlNode("Extensions", {}, [this.xmlNode("Extension", { type: "l-banner" }, [lbannerNode])]),
+        ]);
+
+        const vastNode = this.xmlNode("VAST", { version: "4.1" }, [
+            this.xmlNode("Ad", { id: meta.adId }, [inlineNode]),
+        ]);
+        return `<?xml version="1.0" encoding="UTF-8"?>\n${this.renderXmlNode(vastNode, 0)}\n`;
+    },
+
+    /**
+     * Serialize a segment and its content element
+     * 
+     * Elements filled from a companion are written without ImageURL/Poll so
+     * the companion fills them again on parse; their buttons are kept.
+     * 
+     * @param {string} tagName - "Segment", "Horizontal" or "Vertical"
+     * @param {Object} segment - Segment configuration
+     * @param {Object} element - Content element of the segment
+     * @returns {Object} XML node (see xmlNode)
+     */
+    serializeSegment(tagName, segment, element) {
+        let content = [];
+        if (!element.companion) {
+            if (element.type === "poll" && element.poll) {
+                content = [this.serializePoll(element.poll)];
+            } else if (element.media?.url) {
+                content = [this.xmlNode("ImageURL", {}, { cdata: element.media.url })];
+            }
+        }
+        const buttons = element.buttons || [];
+
+        return this.xmlNode(tagName, { side: tagName === "Segment" ? segment.side : null }, [
+            ...content,
+            this.xmlNode("BackgroundColor", {}, element.backgroundColor || "#1a1f2e"),
+            this.xmlNode("Width", {}, Math.round(segment.width || 0)),
+            this.xmlNode("Height", {}, Math.round(segment.height || 0)),
+            this.xmlNode("X", {}, Math.round(segment.x || 0)),
+            this.xmlNode("Y", {}, Math.round(segment.y || 0)),
+            buttons.length
+                ? this.xmlNode("Buttons", {}, buttons.map((button) => this.serializeButton(button)))
+                : null,
+        ]);
+    },
+
+    /**
+     * Serialize a frequency cap
+     * 
+     * @param {Object} frequencyCap - Frequency cap as returned by parseFrequencyCap
+     * @returns {Object} XML node (see xmlNode)
+     */
+    serializeFrequencyCap(frequencyCap) {
+        return this.xmlNode(
+            "FrequencyCap",
+            {
+                campaign: frequencyCap.campaignId,
+                suppressAfterClick: frequencyCap.suppressAfterClick ? "true" : null,
+            },
+            (frequencyCap.limits || []).map((limit) =>
+                this.xmlNode("Limit", { scope: limit.scope, impressions: limit.impressions, per: limit.per })
+            )
+        );
+    },
+
+    /**
+     * Serialize a poll configuration
+     * 
+     * @param {Object} poll - Poll with heading, question, tagline, options
+     * @returns {Object} XML node (see xmlNode)
+     */
+    serializePoll(poll) {
+        return this.xmlNode("Poll", {}, [
+            poll.heading ? this.xmlNode("Heading", {}, poll.heading) : null,
+            poll.question ? this.xmlNode("Question", {}, poll.question) : null,
+            poll.tagline ? this.xmlNode("Tagline", {}, poll.tagline) : null,
+            this.xmlNode(
+                "Options",
+                {},
+                (poll.options || []).map((option) => this.xmlNode("Option", {}, option))
+            ),
+        ]);
+    },
+
+    /**
+     * Serialize a button configuration
+     * 
+     * @param {Object} button - Button as returned by parseButton
+     * @returns {Object} XML node (see xmlNode)
+     */
+    serializeButton(button) {
+        const position = button.position || {};
+        const action = button.action || {};
+        return this.xmlNode(
+            "Button",
+            {
+                id: button.id,
+                defaultFocus: button.defaultFocus ? "true" : null,
+                role: button.role || "primary",
+            },
+            [
+                this.xmlNode("Label", {}, button.label || "Learn More"),
+                this.xmlNode("Position", {}, [
+                    this.xmlNode("X", {}, Math.round(position.x || 0)),
+                    this.xmlNode("Y", {}, Math.round(position.y || 0)),
+                    this.xmlNode("Width", {}, Math.round(position.width ?? 140)),
+                    this.xmlNode("Height", {}, Math.round(position.height ?? 60)),
+                ]),
+                this.xmlNode("Action", { type: action.type || "clickthrough" }, [
+                    action.clickThrough ? this.xmlNode("ClickThrough", {}, { cdata: action.clickThrough }) : null,
+                    action.deepLink ? this.xmlNode("DeepLink", {}, { cdata: action.deepLink }) : null,
+                    action.customAction ? this.xmlNode("CustomAction", {}, action.customAction) : null,
+                ]),
+                this.serializeTrackingEvents(button.tracking),
+            ]
+        );
+    },
+
+    /**
+     * Serialize an element filled from a companion back to a Companion
+     * 
+     * The companion takes the segment's size. Its original adSlotID is kept;
+     * without one it is matched back to the (empty) segment by size.
+     * 
+     * @param {Object} element - Element built by buildCompanionElement
+     * @param {Object} segment - Segment the element belongs to
+     * @returns {Object} XML node (see xmlNode)
+     */
+    serializeCompanion(element, segment) {
+        const companion = element.companion;
+        const url = element.media?.url || "";
+        let resource;
+        if (element.type === "iframe") {
+            resource = this.xmlNode("IFrameResource", {}, { cdata: url });
+        } else if (element.type === "html") {
+            resource = this.xmlNode("HTMLResource", {}, { cdata: element.html || "" });
+        } else {
+            const extension = (url.split(/[?#]/)[0].match(/\.(\w+)$/) || [])[1]?.toLowerCase();
+            const creativeTypes = { png: "image/png", gif: "image/gif", webp: "image/webp", svg: "image/svg+xml" };
+            resource = this.xmlNode(
+                "StaticResource",
+                { creativeType: creativeTypes[extension] || "image/jpeg" },
+                { cdata: url }
+            );
+        }
+
+        return this.xmlNode(
+            "Companion",
+            {
+                id: companion.id,
+                width: Math.round(segment.width || 0),
+                height: Math.round(segment.height || 0),
+                adSlotID: companion.adSlotID,
+            },
+            [
+                resource,
+                element.alt ? this.xmlNode("AltText", {}, element.alt) : null,
+                this.serializeTrackingEvents(companion.tracking),
+                companion.clickThrough
+                    ? this.xmlNode("CompanionClickThrough", {}, { cdata: companion.clickThrough })
+                    : null,
+                ...(companion.clickTracking || []).map((url) =>
+                    this.xmlNode("CompanionClickTracking", {}, { cdata: url })
+                ),
+            ]
+        );
+    },
+
+    /**
+     * Serialize media details to a Linear element
+     * 
+     * @param {Object} media - Media details as returned by parseMediaDetails
+     * @returns {Object|null} XML node (see xmlNode), or null if there are no media files
+     */
+    serializeLinear(media) {
+        const files = media.files || [];
+        if (!files.length) return null;
+
+        const hasClicks = media.clickThrough || media.deepLink;
+        return this.xmlNode("Linear", {}, [
+            Number.isFinite(media.duration) ? this.xmlNode("Duration", {}, this.secondsToTime(media.duration)) : null,
+            this.xmlNode(
+                "MediaFiles",
+                {},
+                files.map((file) =>
+                    this.xmlNode(
+                        "MediaFile",
+                        {
+                            delivery: file.delivery,
+                            type: file.type,
+                            width: file.width,
+                            height: file.height,
+                            bitrate: file.bitrate,
+                        },
+                        { cdata: file.url }
+                    )
+                )
+            ),
+            this.serializeTrackingEvents(media.tracking),
+            hasClicks
+                ? this.xmlNode("VideoClicks", {}, [
+                    media.clickThrough ? this.xmlNode("ClickThrough", {}, { cdata: media.clickThrough }) : null,
+                    media.deepLink ? this.xmlNode("DeepLink", {}, { cdata: media.deepLink }) : null,
+                ])
+                : null,
+        ]);
+    },
+
+    /**
+     * Serialize a map of event -> url[] to TrackingEvents
+     * 
+     * @param {Object} [tracking] - Tracking map as returned by parseTrackingEvents
+     * @returns {Object|null} XML node (see xmlNode), or null if there are no URLs
+     */
+    serializeTrackingEvents(tracking) {
+        const trackingNodes = [];
+        Object.entries(tracking || {}).forEach(([event, urls]) => {
+            (urls || []).forEach((url) => {
+                trackingNodes.push(this.xmlNode("Tracking", { event: event }, { cdata: url }));
+            });
+        });
+        return trackingNodes.length ? this.xmlNode("TrackingEvents", {}, trackingNodes) : null;
+    },
+
+    /**
+     * Format an offset spec as Display offset text
+     * 
+     * Inverse of parseOffset.
+     * 
+     * @param {Object} spec - { type: "absolute"|"percent"|"fromEnd", value }
+     * @returns {string} Offset text, e.g. "00:00:10", "25%" or "-00:00:05.500"
+     */
+    formatOffset(spec) {
+        if (spec.type === "percent") return `${spec.value}%`;
+        if (spec.type === "fromEnd") return `-${this.secondsToTime(spec.value)}`;
+        return this.secondsToTime(spec.value);
+    },
+
+    /**
+     * Convert seconds to HH:MM:SS(.mmm)
+     * 
+     * Inverse of timeToSeconds, to millisecond precision.
+     * 
+     * @param {number} seconds - Time in seconds
+     * @returns {string} Time string, with milliseconds only when non-zero
+     */
+    secondsToTime(seconds) {
+        const totalMs = Math.round(Math.max(0, seconds || 0) * 1000);
+        const pad = (value) => String(value).padStart(2, "0");
+        const hours = Math.floor(totalMs / 3600000);
+        const minutes = Math.floor((totalMs % 3600000) / 60000);
+        const secs = Math.floor((totalMs % 60000) / 1000);
+        const milliseconds = totalMs % 1000;
+        const time = `${pad(hours)}:${pad(minutes)}:${pad(secs)}`;
+        return milliseconds ? `${time}.${String(milliseconds).padStart(3, "0")}` : time;
+    },
+
+    /**
+     * Create an XML node for renderXmlNode
+     * 
+     * @param {string} name - Tag name
+     * @param {Object} [attrs={}] - Attributes; null/undefined values are omitted
+     * @param {Array<Object|null>|string|number|Object} [content] - Child nodes (nulls are skipped),
+     *        text, or { cdata } for character data written as CDATA
+     * @returns {Object} XML node { name, attrs, content }
+     */
+    xmlNode(name, attrs = {}, content = null) {
+        return { name, attrs, content: Array.isArray(content) ? content.filter(Boolean) : content };
+    },
+
+    /**
+     * Render an XML node (see xmlNode) as indented XML text
+     * 
+     * @param {Object} node - XML node
+     * @param {number} depth - Indentation level
+     * @returns {string} XML text
+     */
+    renderXmlNode(node, depth) {
+        const indent = "  ".repeat(depth);
+        const attrs = Object.entries(node.attrs || {})
+            .filter(([, value]) => value !== null && value !== undefined)
+            .map(([key, value]) => ` ${key}="${this.escapeXml(value)}"`)
+            .join("");
+        const { content } = node;
+
+        if (content === null || content === undefined || (Array.isArray(content) && !content.length)) {
+            return `${indent}<${node.name}${attrs}/>`;
+        }
+        if (Array.isArray(content)) {
+            const children = content.map((child) => this.renderXmlNode(child, depth + 1)).join("\n");
+            return `${indent}<${node.name}${attrs}>\n${children}\n${indent}</${node.name}>`;
+        }
+        const text =
+            typeof content === "object"
+                ? `<![CDATA[${String(content.cdata).replace(/]]>/g, "]]]]><![CDATA[>")}]]>`
+                : this.escapeXml(content);
+        return `${indent}<${node.name}${attrs}>${text}</${node.name}>`;
+    },
+
+    /**
+     * Escape text for use in XML content or a double-quoted attribute
+     * 
+     * @param {*} value - Value to escape
+     * @returns {string} Escaped text
+     */
+    escapeXml(value) {
+        return String(value)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;");
+    },
+
+    /**
+     * Local name of an element, without any namespace prefix
+     *
+     * @param {Node} node - XML node
+     * @returns {string} Local name (e.g. "Extension" for vast:Extension)
+     */
+    localName(node) {
+        return node.localName || String(node.nodeName || "").replace(/^.*:/, "");
+    },
+
+    /**
+     * Direct element children of an element, optionally filtered by local name
+     *
+     * Namespace-tolerant: matches regardless of default namespace or prefix.
+     *
+     * @param {Element|null} parentEl - Element whose children are scanned
+     * @param {string} [name] - Local name to keep (all element children if omitted)
+     * @returns {Array<Element>} Matching child elements in document order
+     */
+    getChildren(parentEl, name) {
+        if (!parentEl) return [];
+        return Array.from(parentEl.childNodes || []).filter(
+            (child) => child.nodeType === 1 && (!name || this.localName(child) === name)
+        );
+    },
+
+    /**
+     * First element reached by following a path of direct-child local names
+     *
+     * @param {Element|null} parentEl - Element to start from
+     * @param {...string} names - Child local names, e.g. ("Position", "Width")
+     * @returns {Element|null} Matching element or null if any step is missing
+     */
+    getChild(parentEl, ...names) {
+        let current = parentEl || null;
+        for (const name of names) {
+            if (!current) return null;
+            current = this.getChildren(current, name)[0] || null;
+        }
+        return current;
+    },
+
+    /**
+     * Trimmed text of the element reached by getChild
+     *
+     * @param {Element|null} parentEl - Element to start from
+     * @param {...string} names - Child local names
+     * @returns {string} Trimmed text content, or "" if the element is missing
+     */
+    getChildText(parentEl, ...names) {
+        return this.getChild(parentEl, ...names)?.textContent?.trim() || "";
+    },
+
+    /**
+     * Nearest ancestor with the given local name
+     *
+     * @param {Node|null} node - Node to start from (excluded)
+     * @param {string} name - Ancestor local name
+     * @returns {Element|null} Matching ancestor or null
+     */
+    findAncestor(node, name) {
+        let current = node?.parentNode;
+        while (current && current.nodeType === 1) {
+            if (this.localName(current) === name) return current;
+            current = current.parentNode;
+        }
+        return null;
+    },
+
+    /**
+     * Parser error element of a parsed document, if any
+     *
+     * @param {Document} xmlDoc - Result of parseXMLDocument
+     * @returns {Element|null} parsererror element or null if the XML is well-formed
+     */
+    getParserError(xmlDoc) {
+        return xmlDoc?.getElementsByTagName("parsererror")?.[0] || null;
+    },
+
+    /**
+     * Find an Ad's extension of the given type
+     *
+     * Looks at InLine/Extensions/Extension first, then at
+     * InLine/Creatives/Creative/CreativeExtensions/CreativeExtension.
+     *
+     * @param {Element} adEl - Ad XML element
+     * @param {string} type - Extension type attribute (e.g. "l-banner")
+     * @returns {Element|null} Extension element or null if not found
+     */
+    findExtension(adEl, type) {
+        const inline = this.getChild(adEl, "InLine");
+        const matches = (el) => el.getAttribute("type") === type;
+
+        const adExtension = this.getChildren(this.getChild(inline, "Extensions"), "Extension").find(matches);
+        if (adExtension) return adExtension;
+
+        for (const creativeEl of this.getChildren(this.getChild(inline, "Creatives"), "Creative")) {
+            const creativeExtension = this.getChildren(
+                this.getChild(creativeEl, "CreativeExtensions"),
+                "CreativeExtension"
+            ).find(matches);
+            if (creativeExtension) return creativeExtension;
+        }
+        return null;
+    },
+
+    /**
+     * Linear elements of an Ad's creatives
+     *
+     * @param {Element|null} adEl - Ad XML element
+     * @param {string} container - "InLine" or "Wrapper"
+     * @returns {Array<Element>} Linear elements in creative order
+     */
+    getLinears(adEl, container) {
+        return this.getChildren(this.getChild(adEl, container, "Creatives"), "Creative")
+            .map((creativeEl) => this.getChild(creativeEl, "Linear"))
+            .filter(Boolean);
+    },
+
+    /**
+     * Button elements of a segment
+     *
+     * Buttons are normally grouped in a Buttons element; Button elements placed
+     * directly in the segment are accepted as well.
+     *
+     * @param {Element} segmentEl - Segment XML element
+     * @returns {Array<Element>} Button elements
+     */
+    getButtons(segmentEl) {
+        return this.getChildren(this.getChild(segmentEl, "Buttons"), "Button").concat(
+            this.getChildren(segmentEl, "Button")
+        );
+    },
+
+    /**
+     * Action types understood by the button click handler
+     */
+    ACTION_TYPES: ["clickthrough", "deeplink", "custom"],
+
+    /**
+     * Validate an L-Banner VAST document
+     * 
+     * Reports problems the parser would otherwise hide behind null results or
+     * silent defaults. Each diagnostic carries an XPath-like location such as
+     * /VAST/Ad[1]/InLine/Extensions/Extension[@type="l-banner"]/LBanner/Vertical/Width.
+     * 
+     * Errors (creative cannot be rendered as authored):
+     * - Invalid XML, no Ad, missing L-Banner extension/LBanner/segments
+     * - Missing or non-numeric segment Width/Height/X/Y, invalid Segment side
+     * - Missing Display offsets, unparseable offsets, windows where end <= start
+     * - Buttons positioned outside the area their segment renders, unknown action types
+     * 
+     * Warnings (creative renders, but probably not as intended):
+     * - Values the parser defaults (button Label/Position, segment content)
+     * - Display windows overlapping across Ads
+     * - Non-HTTPS URLs
+     * - Wrapper ads, which can only be validated after resolution
+     * 
+     * @param {string} xmlText - Raw VAST XML string to validate
+     * @returns {Object} { valid, errors: Array<{path, message}>, warnings: Array<{path, message}> }
+     */
+    validate(xmlText) {
+        const errors = [];
+        const warnings = [];
+        const error = (node, message) => errors.push({ path: this.nodePath(node), message });
+        const warn = (node, message) => warnings.push({ path: this.nodePath(node), message });
+        const result = () => ({ valid: errors.length === 0, errors, warnings });
+
+        const backend = this.getXMLBackend();
+        let xmlDoc;
+        try {
+            xmlDoc = backend.parseFromString(xmlText || "", "text/xml");
+        } catch (parseError) {
+            errors.push({ path: "/", message: `Invalid XML: ${parseError.message}` });
+            return result();
+        }
+        const parserError = this.getParserError(xmlDoc);
+        if (parserError) {
+            errors.push({ path: "/", message: `Invalid XML: ${parserError.textContent.trim()}` });
+            return result();
+        }
+
+        const adElements = this.getChildren(xmlDoc.documentElement, "Ad");
+        if (adElements.length === 0) {
+            error(xmlDoc.documentElement, "No Ad element found");
+            return result();
+        }
+
+        const windows = [];
+        adElements.forEach((adEl) => {
+            if (this.getChild(adEl, "Wrapper")) {
+                warn(adEl, "Wrapper ad - validate the resolved InLine ad instead");
+                return;
+            }
+            const lbanner = this.validateAd(adEl, { error, warn });
+            if (!lbanner) return;
+
+            const display = this.getChild(lbanner, "Display");
+            if (display) {
+                const timing = this.parseDisplayTiming(display);
+                if (timing.startOffset !== null && timing.endOffset !== null) {
+                    windows.push({ node: display, adId: adEl.getAttribute("id"), timing });
+                }
+            }
+        });
+
+        this.findOverlappingWindows(windows).forEach(({ first, second }) => {
+            warn(
+                second.node,
+                `Display window ${second.timing.startOffset}s-${second.timing.endOffset}s overlaps ` +
+                `Ad '${first.adId || "?"}' (${first.timing.startOffset}s-${first.timing.endOffset}s); only the first will show`
+            );
+        });
+
+        return result();
+    },
+
+    /**
+     * Validate a single InLine Ad element
+     * 
+     * @param {Element} adEl - Ad XML element
+     * @param {Object} report - Diagnostic callbacks { error(node, message), warn(node, message) }
+     * @returns {Element|null} LBanner element if found, for further checks
+     */
+    validateAd(adEl, report) {
+        const { error, warn } = report;
+
+        this.getChildren(this.getChild(adEl, "InLine"))
+            .filter((child) => ["Impression", "Error"].includes(this.localName(child)))
+            .forEach((urlEl) => this.checkHttps(urlEl.textContent.trim(), urlEl, warn));
+        this.getLinears(adEl, "InLine").forEach((linearEl) => {
+            this.getChildren(this.getChild(linearEl, "MediaFiles"), "MediaFile").forEach((mediaEl) => {
+                this.checkHttps(mediaEl.textContent.trim(), mediaEl, warn);
+            });
+        });
+
+        const companionEls = this.getChildren(this.getChild(adEl, "InLine", "Creatives"), "Creative").flatMap(
+            (creativeEl) => this.getChildren(this.getChild(creativeEl, "CompanionAds"), "Companion")
+        );
+        companionEls.forEach((companionEl) => this.validateCompanion(companionEl, report));
+
+        const lbannerExt = this.findExtension(adEl, "l-banner");
+        if (!lbannerExt) {
+            if (companionEls.some((companionEl) => this.parseCompanionResource(companionEl))) {
+                warn(adEl, 'No Extension[@type="l-banner"] - banner is built from CompanionAds');
+                return null;
+            }
+            error(adEl, 'Missing Extension[@type="l-banner"]');
+            return null;
+        }
+        const lbanner = this.getChild(lbannerExt, "LBanner");
+        if (!lbanner) {
+            error(lbannerExt, "Missing LBanner element");
+            return null;
+        }
+
+        const canvasEl = this.getChild(lbanner, "Canvas");
+        if (canvasEl && !(parseFloat(canvasEl.getAttribute("width")) > 0 && parseFloat(canvasEl.getAttribute("height")) > 0)) {
+            error(canvasEl, "Canvas needs positive width and height attributes");
+        }
+
+        const segments = ["Horizontal", "Vertical"]
+            .map((name) => this.getChild(lbanner, name))
+            .filter(Boolean)
+            .concat(this.getChildren(lbanner, "Segment"));
+        if (segments.length === 0) {
+            error(lbanner, "LBanner has no Segment, Horizontal or Vertical segment");
+        }
+
+        // Edges the segments are attached to, as the renderer lays them out
+        const canvas = this.parseCanvas(lbanner);
+        const sides = segments.map((segmentEl) => {
+            const name = this.localName(segmentEl);
+            if (name === "Segment") return segmentEl.getAttribute("side");
+            return this.parseSegment(segmentEl, name.toLowerCase(), null, canvas).position;
+        });
+        const sideWidth = (side) =>
+            Math.max(0, ...segments.map((segmentEl, i) =>
+                sides[i] === side ? this.parseInteger(this.getChild(segmentEl, "Width")) || 0 : 0
+            ));
+        const frame = { canvas, left: sideWidth("left"), right: sideWidth("right") };
+        segments.forEach((segmentEl, i) => this.validateSegment(segmentEl, report, sides[i], frame));
+
+        const capEl = this.getChild(lbanner, "FrequencyCap");
+        if (capEl) {
+            this.validateFrequencyCap(capEl, report);
+        }
+
+        const display = this.getChild(lbanner, "Display");
+        if (!display) {
+            error(lbanner, "Missing Display element - banner will never be shown");
+        } else {
+            this.validateDisplay(display, report);
+        }
+
+        return lbanner;
+    },
+
+    /**
+     * Validate a FrequencyCap element
+     * 
+     * @param {Element} capEl - FrequencyCap XML element
+     * @param {Object} report - Diagnostic callbacks { error(node, message), warn(node, message) }
+     */
+    validateFrequencyCap(capEl, report) {
+        const { error, warn } = report;
+        const suppress = capEl.getAttribute("suppressAfterClick");
+        if (suppress !== null && suppress !== "true" && suppress !== "false") {
+            error(capEl, `Invalid suppressAfterClick '${suppress}' (expected true or false)`);
+        }
+
+        const limitEls = this.getChildren(capEl, "Limit");
+        if (limitEls.length === 0 && suppress !== "true") {
+            warn(capEl, "FrequencyCap has no Limit and does not suppress after click - it has no effect");
+        }
+        limitEls.forEach((limitEl) => {
+            const scope = limitEl.getAttribute("scope");
+            const per = limitEl.getAttribute("per");
+            const impressions = limitEl.getAttribute("impressions");
+            if (scope !== null && !this.FREQUENCY_CAP_SCOPES.includes(scope)) {
+                error(limitEl, `Invalid scope '${scope}' (expected ${this.FREQUENCY_CAP_SCOPES.join(", ")})`);
+            }
+            if (per !== null && !this.FREQUENCY_CAP_PERIODS.includes(per)) {
+                error(limitEl, `Invalid per '${per}' (expected ${this.FREQUENCY_CAP_PERIODS.join(", ")})`);
+            }
+            if (!/^\d+$/.test(impressions || "") || parseInt(impressions, 10) <= 0) {
+                error(limitEl, "Limit needs a positive whole impressions attribute");
+            }
+        });
+    },
+
+    /**
+     * Validate a Segment/Horizontal/Vertical segment and its buttons
+     * 
+     * Side segments are placed by their side attribute, so their X and Y are
+     * optional and default to 0 (they only anchor button positions).
+     * 
+     * @param {Element} segmentEl - Segment XML element
+     * @param {Object} report - Diagnostic callbacks { error(node, message), warn(node, message) }
+     * @param {string} side - Edge the segment is attached to (left, right, top or bottom)
+     * @param {Object} frame - { canvas, left, right } canvas and widths of the left and right columns
+     */
+    validateSegment(segmentEl, report, side, frame) {
+        const { error, warn } = report;
+
+        const isSideSegment = this.localName(segmentEl) === "Segment";
+        if (isSideSegment) {
+            const side = segmentEl.getAttribute("side");
+            if (!this.SEGMENT_SIDES.includes(side)) {
+                error(segmentEl, `Invalid side '${side || ""}' (expected ${this.SEGMENT_SIDES.join(", ")}) - segment is ignored`);
+                return;
+            }
+        }
+
+        const bounds = {};
+        ["Width", "Height", "X", "Y"].forEach((name) => {
+            const el = this.getChild(segmentEl, name);
+            const value = this.parseInteger(el);
+            if (!el && isSideSegment && (name === "X" || name === "Y")) {
+                bounds[name] = 0;
+                return;
+            }
+            if (!el) {
+                error(segmentEl, `Missing required ${name}`);
+            } else if (value === null) {
+                error(el, `${name} must be a whole number, got '${el.textContent.trim()}'`);
+            }
+            bounds[name] = value;
+        });
+
+        const imageUrlEl = this.getChild(segmentEl, "ImageURL");
+        const pollEl = this.getChild(segmentEl, "Poll");
+        if (!imageUrlEl && !pollEl) {
+            warn(segmentEl, "Segment has no ImageURL or Poll - it will render as an empty color block");
+        } else if (imageUrlEl && !pollEl) {
+            const imageUrl = imageUrlEl.textContent.trim();
+            if (!imageUrl) {
+                error(imageUrlEl, "ImageURL is empty");
+            } else {
+                this.checkHttps(imageUrl, imageUrlEl, warn);
+            }
+        }
+
+        const area = this.getRenderedArea(bounds, side, isSideSegment, frame);
+        this.getButtons(segmentEl).forEach((buttonEl) => {
+            this.validateButton(buttonEl, area, report);
+        });
+    },
+
+    /**
+     * Area a segment covers on screen, in canvas pixels
+     * 
+     * Mirrors LBannerRenderer's layout: left and right segments span the full
+     * canvas height, top and bottom segments stretch between the left and right
+     * columns (Horizontal segments from their X). Buttons are placed relative to
+     * the segment's declared X and Y, so the area keeps that origin.
+     * 
+     * @param {Object} bounds - Segment { X, Y, Width, Height } (null for invalid values)
+     * @param {string} side - Edge the segment is attached to
+     * @param {boolean} isSideSegment - Whether the segment is a <Segment side>
+     * @param {Object} frame - { canvas, left, right } as passed to validateSegment
+     * @returns {Object} { X, Y, Width, Height } (null where bounds are invalid)
+     */
+    getRenderedArea(bounds, side, isSideSegment, frame) {
+        const { canvas, left, right } = frame;
+        if (side === "left" || side === "right") {
+            return { X: bounds.X, Y: bounds.Y, Width: bounds.Width, Height: canvas.height };
+        }
+        const width = isSideSegment
+            ? canvas.width - left - right
+            : bounds.X === null ? null : canvas.width - bounds.X - right;
+        return { X: bounds.X, Y: bounds.Y, Width: width, Height: bounds.Height };
+    },
+
+    /**
+     * Validate a Button element against the area its segment covers on screen
+     * 
+     * @param {Element} buttonEl - Button XML element
+     * @param {Object} segmentBounds - Rendered segment area { X, Y, Width, Height } (null for invalid values)
+     * @param {Object} report - Diagnostic callbacks { error(node, message), warn(node, message) }
+     */
+    validateButton(buttonEl, segmentBounds, report) {
+        const { error, warn } = report;
+
+        if (!this.getChildText(buttonEl, "Label")) {
+            warn(buttonEl, 'Missing Label - defaults to "Learn More"');
+        }
+
+        const positionEl = this.getChild(buttonEl, "Position");
+        if (!positionEl) {
+            warn(buttonEl, "Missing Position - defaults to 140x60 at the segment origin");
+        } else {
+            const pos = {};
+            ["X", "Y", "Width", "Height"].forEach((name) => {
+                const el = this.getChild(positionEl, name);
+                pos[name] = this.parseInteger(el);
+                if (!el) {
+                    warn(positionEl, `Missing ${name}`);
+                } else if (pos[name] === null) {
+                    error(el, `${name} must be a whole number, got '${el.textContent.trim()}'`);
+                }
+            });
+
+            const seg = segmentBounds;
+            const complete = [pos.X, pos.Y, pos.Width, pos.Height, seg.X, seg.Y, seg.Width, seg.Height]
+                .every((value) => value !== null && value !== undefined);
+            if (
+                complete &&
+                (pos.X < seg.X ||
+                    pos.Y < seg.Y ||
+                    pos.X + pos.Width > seg.X + seg.Width ||
+                    pos.Y + pos.Height > seg.Y + seg.Height)
+            ) {
+                error(
+                    positionEl,
+                    `Button (${pos.X},${pos.Y} ${pos.Width}x${pos.Height}) lies outside the area its segment renders ` +
+                    `(${seg.X},${seg.Y} ${seg.Width}x${seg.Height})`
+                );
+            }
+        }
+
+        const actionEl = this.getChild(buttonEl, "Action");
+        if (!actionEl) {
+            warn(buttonEl, "Missing Action - button click does nothing");
+            return;
+        }
+        const actionType = actionEl.getAttribute("type") || "clickthrough";
+        if (!this.ACTION_TYPES.includes(actionType)) {
+            error(actionEl, `Unknown action type '${actionType}' (expected ${this.ACTION_TYPES.join(", ")})`);
+        }
+
+        const clickThroughEl = this.getChild(actionEl, "ClickThrough");
+        if (clickThroughEl) {
+            this.checkHttps(clickThroughEl.textContent.trim(), clickThroughEl, warn);
+        } else if (actionType === "clickthrough" && !this.getChild(actionEl, "DeepLink")) {
+            warn(actionEl, "clickthrough action has no ClickThrough URL");
+        }
+        if (actionType === "custom" && !this.getChildText(actionEl, "CustomAction")) {
+            error(actionEl, "custom action has no CustomAction value");
+        }
+
+        this.getChildren(this.getChild(buttonEl, "TrackingEvents"), "Tracking").forEach((trackEl) => {
+            this.checkHttps(trackEl.textContent.trim(), trackEl, warn);
+        });
+    },
+
+    /**
+     * Validate a Companion element
+     * 
+     * @param {Element} companionEl - Companion XML element
+     * @param {Object} report - Diagnostic callbacks { error(node, message), warn(node, message) }
+     */
+    validateCompanion(companionEl, report) {
+        const { warn } = report;
+
+        const resource = this.parseCompanionResource(companionEl);
+        if (!resource) {
+            warn(companionEl, "Companion has no image StaticResource, IFrameResource or HTMLResource - it is ignored");
+            return;
+        }
+        if (resource.url) {
+            const resourceEl = this.getChild(companionEl, resource.type === "static" ? "StaticResource" : "IFrameResource");
+            this.checkHttps(resource.url, resourceEl, warn);
+        }
+        this.getChildren(companionEl)
+            .filter((child) => ["CompanionClickThrough", "CompanionClickTracking"].includes(this.localName(child)))
+            .forEach((urlEl) => this.checkHttps(urlEl.textContent.trim(), urlEl, warn));
+    },
+
+    /**
+     * Validate Display offsets
+     * 
+     * @param {Element} displayEl - Display XML element
+     * @param {Object} report - Diagnostic callbacks { error(node, message), warn(node, message) }
+     */
+    validateDisplay(displayEl, report) {
+        const { error } = report;
+
+        const startEl = this.getChild(displayEl, "StartOffset");
+        const endEl = this.getChild(displayEl, "EndOffset");
+        const durationEl = this.getChild(displayEl, "Duration");
+        if (!startEl) error(displayEl, "Missing StartOffset");
+        if (!endEl && !durationEl) error(displayEl, "Missing EndOffset or Duration");
+
+        [startEl, endEl, durationEl].forEach((el) => {
+            if (el && !this.parseOffset(el.textContent.trim())) {
+                error(el, `Unrecognised offset '${el.textContent.trim()}'`);
+            }
+        });
+
+        // Offsets of the same kind can be compared without knowing the content duration
+        const start = startEl ? this.parseOffset(startEl.textContent.trim()) : null;
+        const end = endEl ? this.parseOffset(endEl.textContent.trim()) : null;
+        if (start && end && start.type === end.type) {
+            const reversed = start.type === "fromEnd" ? start.value <= end.value : end.value <= start.value;
+            if (reversed) {
+                error(endEl, `EndOffset '${endEl.textContent.trim()}' is not after StartOffset '${startEl.textContent.trim()}'`);
+            }
+        }
+        const duration = durationEl ? this.parseOffset(durationEl.textContent.trim()) : null;
+        if (duration && (duration.type === "fromEnd" || duration.value <= 0)) {
+            error(durationEl, "Duration must be a positive time or percentage");
+        }
+    },
+
+    /**
+     * Find pairs of resolved display windows that overlap
+     * 
+     * findBannerForTime shows the first matching banner, so an overlapping
+     * later window is (partly) hidden.
+     * 
+     * @param {Array<Object>} windows - Items with timing.startOffset/endOffset in seconds
+     * @returns {Array<Object>} Overlapping pairs as { first, second }
+     */
+    findOverlappingWindows(windows) {
+        const overlaps = [];
+        windows.forEach((second, index) => {
+            windows.slice(0, index).forEach((first) => {
+                if (
+                    second.timing.startOffset < first.timing.endOffset &&
+                    first.timing.startOffset < second.timing.endOffset
+                ) {
+                    overlaps.push({ first, second });
+                }
+            });
+        });
+        return overlaps;
+    },
+
+    /**
+     * Warn about URLs that are not served over HTTPS
+     * 
+     * @param {string} url - URL to check
+     * @param {Element} node - Element the URL came from
+     * @param {Function} warn - Warning callback (node, message)
+     */
+    checkHttps(url, node, warn) {
+        if (url && /^http:\/\//i.test(url)) {
+            warn(node, `Non-HTTPS URL '${url}' will be blocked on HTTPS pages`);
+        }
+    },
+
+    /**
+     * Parse an element's text as a whole number
+     * 
+     * @param {Element|null} el - Element to read
+     * @returns {number|null} Integer value, or null if missing or not a whole number
+     */
+    parseInteger(el) {
+        const text = el?.textContent?.trim();
+        if (!text || !/^-?\d+$/.test(text)) return null;
+        return parseInt(text, 10);
+    },
+
+    /**
+     * Build an XPath-like location for an element
+     * 
+     * Repeated siblings get a 1-based index and Extension elements their type,
+     * e.g. /VAST/Ad[2]/InLine/Extensions/Extension[@type="l-banner"].
+     * 
+     * @param {Node|null} node - Element to locate
+     * @returns {string} Path from the document root
+     */
+    nodePath(node) {
+        const parts = [];
+        let current = node;
+        while (current && current.nodeType === 1) {
+            let part = current.tagName;
+            const type = current.getAttribute("type");
+            const parent = current.parentNode;
+            const siblings = parent
+                ? Array.from(parent.childNodes).filter((child) => child.nodeType === 1 && child.tagName === current.tagName)
+                : [];
+            if (["Extension", "CreativeExtension"].includes(this.localName(current)) && type) {
+                part += `[@type="${type}"]`;
+            } else if (siblings.length > 1) {
+                part += `[${siblings.indexOf(current) + 1}]`;
+            }
+            parts.unshift(part);
+            current = parent;
+        }
+        return `/${parts.join("/")}`;
+    },
+
+    /**
+     * Fetch VSAT XML from URL and parse it
+     * 
+     * Convenience method that combines fetching and parsing.
+     * Fetches XML from URL, then calls parseVSAT on the result.
+     * 
+     * @param {string} url - VSAT XML URL to fetch
+     * @returns {Promise<Object|null>} Parsed L-Banner configuration or null if fetch/parse fails
+     */
+    async fetchAndParse(url) {
+        try {
             const response = await fetch(url, {
                 method: "GET",
                 headers: {
@@ -527,3 +2278,8 @@ if (typeof window !== "undefined") {
     window.VSATParser = VSATParser;
 }
 
+/**
+ * ES module export for non-browser consumers (e.g. bin/lbanner-lint.js)
+ */
+export default VSATParser;
+